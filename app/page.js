@@ -1,50 +1,136 @@
 "use client";
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
-import { Dock } from 'lucide-react';
-
-// Decodes a base64 string into an ArrayBuffer.
-const base64ToArrayBuffer = (base64) => {
-    const binaryString = window.atob(base64);
-    const len = binaryString.length;
-    const bytes = new Uint8Array(len);
-    for (let i = 0; i < len; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-    }
-    return bytes.buffer;
+import { Dock, LayoutGrid, Minus, Plus, Maximize, Download, Upload, ImagePlus, Clapperboard, Keyboard, StickyNote, Frame, Pointer, Sun, Moon } from 'lucide-react';
+import {
+    createId, createElement, findElementAt, getBounds, getSceneBounds, getResizeHandles, getRotationHandle,
+    pointInRect, translateElement, scaleElement, rotateElement, flipElement,
+} from '@/lib/scene';
+import {
+    renderScene, renderThumbnail, renderToCanvas, drawElement, drawSelection, drawSelectionArea, drawGuides, drawPresentationMask,
+} from '@/lib/render';
+import { hexToRgb, DEFAULT_FILL_OPTIONS } from '@/lib/fill';
+import { fillInBackground } from '@/lib/fillWorker';
+import {
+    DEFAULT_HISTORY_LIMIT, createHistory, record, undo, redo, jumpTo,
+    trimHistory, canUndo, canRedo, applyOp, applyLayersOp, diffScenes,
+} from '@/lib/history';
+import {
+    DEFAULT_VIEWPORT, screenToWorld, panBy, zoomTo, fitToBounds, centerOn,
+} from '@/lib/viewport';
+import { exportPng, exportSvg, exportPdf, exportBoardFile, downloadBlob, toFileName } from '@/lib/export';
+import { parseBoard, BOARD_FILE_EXTENSION } from '@/lib/boardFile';
+import { DEFAULT_TEXT_STYLE, measureText, getTextStyle } from '@/lib/text';
+import { readImageFile, isImageFile, onImageLoad } from '@/lib/images';
+import { stabilize, MAX_STABILIZER } from '@/lib/stroke';
+import {
+    createDefaultLayers, createLayer, nextLayerName, getLayerId, getLayerElements, getVisibleElements, getEditableElements,
+    updateLayer, moveLayer, mergeDown,
+} from '@/lib/layers';
+import { recognizeShape, DEFAULT_RECOGNITION_THRESHOLD } from '@/lib/recognize';
+import {
+    DEFAULT_SHAPE_STYLE, SHAPE_TOOLS, elementToolFor, getShapePoints, getShapeProps, getShapeStyle, getShapeTool, getPolygonPoints,
+} from '@/lib/shapes';
+import { isConnector, bindConnector, followShapes } from '@/lib/connectors';
+import { getElementsInArea } from '@/lib/selection';
+import { copyElements, parseElements, cloneElements } from '@/lib/clipboard';
+import { NARRATION_SAMPLE_RATE, recordMicrophone, pcmToWav } from '@/lib/audio';
+import { createTimeline, createTimelineRecorder, getSceneAt, SESSION_MAX_IDLE, SESSION_MAX_STEPS } from '@/lib/timeline';
+import { exportReplayVideo, exportReplayGif } from '@/lib/replay';
+import { drawPattern } from '@/lib/grid';
+import { getSnapLines, snapBox, snapPoint } from '@/lib/snapping';
+import { createTemplate } from '@/lib/templates';
+import { STICKY_COLORS, getStickyProps, getStickyTextBox } from '@/lib/sticky';
+import { getSlides, getNewFrameProps, moveSlide } from '@/lib/frames';
+import { expandToGroups, groupElements, ungroupElements } from '@/lib/groups';
+import { isTrailVisible, drawLaserTrails } from '@/lib/laser';
+import { loadTheme, saveTheme, applyTheme, THEME_COLORS } from '@/lib/theme';
+import { DEFAULT_PALETTES, loadPalettes, savePalettes } from '@/lib/palettes';
+import { COMMANDS, DEFAULT_BINDINGS, eventToBinding, formatBinding, findCommand, loadBindings, saveBindings } from '@/lib/shortcuts';
+import { createBoard, getBoard, saveBoard, listBoards, getLastBoardId, setLastBoardId } from '@/lib/storage';
+import useCollaboration from '@/hooks/useCollaboration';
+import HistoryPanel from '@/components/HistoryPanel';
+import CollabBar from '@/components/CollabBar';
+import RemoteCursors from '@/components/RemoteCursors';
+import BoardGallery from '@/components/BoardGallery';
+import Minimap from '@/components/Minimap';
+import ExportDialog from '@/components/ExportDialog';
+import TextOptions from '@/components/TextOptions';
+import ShapeRecognitionOptions from '@/components/ShapeRecognitionOptions';
+import FillOptions from '@/components/FillOptions';
+import ShapeOptions from '@/components/ShapeOptions';
+import SelectionOptions from '@/components/SelectionOptions';
+import LayersPanel from '@/components/LayersPanel';
+import NarrationPanel from '@/components/NarrationPanel';
+import ReplayBar from '@/components/ReplayBar';
+import TextEditor from '@/components/TextEditor';
+import CommandPalette from '@/components/CommandPalette';
+import BackgroundOptions from '@/components/BackgroundOptions';
+import TemplatePicker from '@/components/TemplatePicker';
+import ShortcutsDialog from '@/components/ShortcutsDialog';
+import StickyOptions from '@/components/StickyOptions';
+import FramesPanel from '@/components/FramesPanel';
+import PresentationBar from '@/components/PresentationBar';
+import ToolButton from '@/components/ToolButton';
+import ColorPalette from '@/components/ColorPalette';
+import ObjectList from '@/components/ObjectList';
+
+const AUTOSAVE_DELAY = 500; // ms of inactivity before the board is saved
+const WHEEL_ZOOM_SPEED = 0.0015;
+const ZOOM_STEP = 1.25;
+const ROTATION_SNAP = Math.PI / 12; // rotation snaps to 15° steps...
+const ROTATION_SNAP_RANGE = 0.05; // ...when within this many radians of one
+const IMAGE_MAX_VIEW_SHARE = 0.6; // imported images fit in this share of the view
+const NUDGE_STEP = 1; // board units per arrow key press, ten times that with Shift
+const ARROW_KEYS = { ArrowLeft: { x: -1, y: 0 }, ArrowRight: { x: 1, y: 0 }, ArrowUp: { x: 0, y: -1 }, ArrowDown: { x: 0, y: 1 } };
+const PASTE_OFFSET = 20; // screen px between a pasted or duplicated copy and its original
+const PALM_CONTACT_SIZE = 40; // CSS px; wider touches are a resting palm
+const PEN_GRACE_PERIOD = 500; // ms after the pen was last seen that touches are ignored
+const MIN_POINT_SPACING = 1; // screen px between recorded stroke points
+const MIN_LINE_WIDTH = 1;
+const MAX_LINE_WIDTH = 50;
+const PRESENTATION_PADDING = 24; // screen px around the frame being presented
+const SLIDE_KEYS = { ArrowRight: 1, ArrowDown: 1, PageDown: 1, ' ': 1, ArrowLeft: -1, ArrowUp: -1, PageUp: -1 };
+const UNSIZED_TOOLS = ['fill', 'text', 'image', 'sticky', 'frame']; // elements the stroke size does not apply to
+const KEYBOARD_SHAPE_SIZE = 160; // screen px across a shape added from the keyboard
+const TOOLBAR_KEYS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+// The part of the board worth exporting: everything drawn, or the initial
+// screen area when the board is empty.
+const getContentRect = (elements, canvasSize, padding = 20) => {
+    const bounds = getSceneBounds(elements);
+    if (!bounds) return { x: 0, y: 0, width: canvasSize.width, height: canvasSize.height };
+    return { x: bounds.x - padding, y: bounds.y - padding, width: bounds.width + padding * 2, height: bounds.height + padding * 2 };
+};
+
+// Writes the open board, with its session timeline and a fresh thumbnail,
+// to IndexedDB.
+const persistBoard = (board, { elements, backgroundColor, backgroundPattern, layers, narration }, timeline, canvasSize) => saveBoard({
+    ...board,
+    elements,
+    backgroundColor,
+    backgroundPattern,
+    layers,
+    narration,
+    timeline,
+    thumbnail: renderThumbnail(elements, getContentRect(getVisibleElements(elements, layers), canvasSize), backgroundColor, layers, backgroundPattern),
+    updatedAt: Date.now(),
+}).catch(() => toast.error('Could not save the board', { position: 'top-center', autoClose: 2000 }));
+
+// Stops a narration audio element and frees its data.
+const releaseAudio = (audio) => {
+    audio.pause();
+    URL.revokeObjectURL(audio.src);
 };
 
-// Converts raw PCM audio data into a playable WAV format.
-const pcmToWav = (pcmData, sampleRate) => {
-    const header = new ArrayBuffer(44);
-    const view = new DataView(header);
-    const pcmLength = pcmData.length * 2; // 16-bit PCM
-
-    const writeString = (view, offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
-    };
-
-    // RIFF chunk descriptor
-    writeString(view, 0, 'RIFF');
-    view.setUint32(4, 36 + pcmLength, true);
-    writeString(view, 8, 'WAVE');
-    // "fmt " sub-chunk
-    writeString(view, 12, 'fmt ');
-    view.setUint32(16, 16, true); // Subchunk1Size
-    view.setUint16(20, 1, true); // AudioFormat (1 for PCM)
-    view.setUint16(22, 1, true); // NumChannels (1 for mono)
-    view.setUint32(24, sampleRate, true); // SampleRate
-    view.setUint32(28, sampleRate * 2, true); // ByteRate
-    view.setUint16(32, 2, true); // BlockAlign
-    view.setUint16(34, 16, true); // BitsPerSample
-    // "data" sub-chunk
-    writeString(view, 36, 'data');
-    view.setUint32(40, pcmLength, true);
-
-    return new Blob([header, pcmData], { type: 'audio/wav' });
+// Human-readable name of a tool, e.g. 'rectangle' -> 'Rectangle'.
+const toolLabel = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+const layerChangeLabel = (changes) => {
+    if ('visible' in changes) return changes.visible ? 'Show layer' : 'Hide layer';
+    if ('locked' in changes) return changes.locked ? 'Lock layer' : 'Unlock layer';
+    return 'Layer opacity';
 };
 
 
@@ -53,386 +139,1835 @@ const App = () => {
     // Refs for canvas and its context
     const canvasRef = useRef(null);
     const contextRef = useRef(null);
+    const [canvasSize, setCanvasSize] = useState(null);
 
-    // State for drawing properties and actions
-    const [isDrawing, setIsDrawing] = useState(false);
+    // Viewport onto the infinite board, and whether Space is held for panning
+    const [viewport, setViewport] = useState(DEFAULT_VIEWPORT);
+    const [isSpaceDown, setIsSpaceDown] = useState(false);
+
+    // State for drawing properties
     const [color, setColor] = useState('#000000');
     const [lineWidth, setLineWidth] = useState(5);
+    const [stabilizer, setStabilizer] = useState(2);
     const [backgroundColor, setBackgroundColor] = useState('#FFFFFF');
-    const [tool, setTool] = useState('pencil'); // 'pencil', 'eraser', 'line', 'rectangle', 'circle', 'move', 'fill'
+    const [backgroundPattern, setBackgroundPattern] = useState('none'); // see lib/grid.js
+    const [snapping, setSnapping] = useState({ grid: false, objects: true });
+    const [tool, setTool] = useState('pencil'); // 'pencil', 'eraser', a shape tool (lib/shapes.js), 'text', 'sticky', 'frame', 'laser', 'select', 'fill'
+    const [stickyColor, setStickyColor] = useState(STICKY_COLORS[0]);
+    const [textStyle, setTextStyle] = useState(DEFAULT_TEXT_STYLE);
+    const [shapeStyle, setShapeStyle] = useState(DEFAULT_SHAPE_STYLE);
+    const [recognizeShapes, setRecognizeShapes] = useState(false);
+    const [recognitionThreshold, setRecognitionThreshold] = useState(DEFAULT_RECOGNITION_THRESHOLD);
+    const [fillOptions, setFillOptions] = useState({ tolerance: DEFAULT_FILL_OPTIONS.tolerance, gapSize: 0, behind: false });
+    const [isFilling, setIsFilling] = useState(false);
+
+    // Light or dark theme (see lib/theme.js) and the saved color palettes
+    // (see lib/palettes.js)
+    const [theme, setTheme] = useState('light');
+    const [palettes, setPalettes] = useState(DEFAULT_PALETTES);
+
+    // Key bindings of every command (see lib/shortcuts.js), and the command
+    // palette and shortcut editor dialogs
+    const [bindings, setBindings] = useState(DEFAULT_BINDINGS);
+    const [showPalette, setShowPalette] = useState(false);
+    const [showShortcuts, setShowShortcuts] = useState(false);
+
+    // Scene and its operation history for undo/redo
+    const [history, setHistory] = useState(() => createHistory([], createDefaultLayers()));
+    const [historyLimit, setHistoryLimit] = useState(DEFAULT_HISTORY_LIMIT);
+    const elements = history.elements;
+
+    // Drawing layers, bottom first, kept in the history with the scene, and
+    // the one the tools work on
+    const layers = history.layers;
+    const [activeLayerId, setActiveLayerId] = useState(() => layers[0].id);
+    const activeLayer = layers.find(layer => layer.id === activeLayerId) || layers[layers.length - 1];
+    const activeElements = getLayerElements(elements, layers, activeLayer.id);
 
-    // State for shape and move tools
-    const [startPos, setStartPos] = useState(null);
-    const [canvasSnapshot, setCanvasSnapshot] = useState(null);
-    const [pastingImage, setPastingImage] = useState(null); // For move tool
+    // State for the select tool. Style controls act on a single selected
+    // element; moving, transforming and the clipboard work on all of them.
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [selectionMode, setSelectionMode] = useState('marquee');
+    const selectedElements = elements.filter(el => selectedIds.includes(el.id));
+    const selectedElement = selectedElements.length === 1 ? selectedElements[0] : null;
+    const selectedShape = selectedElement && SHAPE_TOOLS.includes(selectedElement.tool) ? selectedElement : null;
+    const selectedText = selectedElement && (selectedElement.tool === 'text' || selectedElement.tool === 'sticky') ? selectedElement : null;
 
-    // State for Undo functionality
-    const [history, setHistory] = useState([]);
-    const [historyStep, setHistoryStep] = useState(-1);
+    // Text box being typed: { key, id (null for a new box), point, text }.
+    // Sticky notes are typed in their own `box`, in the note's `style` and
+    // `color`. `finishedTextRef` remembers the last finished session so a
+    // blur that follows Escape does not commit it twice.
+    const [editingText, setEditingText] = useState(null);
+    const finishedTextRef = useRef(null);
+
+    // The board open in the editor ({ id, name, createdAt }) and the content
+    // last written to storage ({ elements, backgroundColor,
+    // backgroundPattern, layers, narration }), used to skip redundant
+    // autosaves.
+    const [board, setBoard] = useState(null);
+    const [showGallery, setShowGallery] = useState(false);
+    const [showExport, setShowExport] = useState(false);
+    const savedRef = useRef(null);
+    const importInputRef = useRef(null);
+    const imageInputRef = useRef(null);
+    const [, setLoadedImages] = useState(0);
+
+    // Voice narration of the board (see lib/storage.js). While recording,
+    // `recorderRef` holds the microphone and the timeline being recorded.
+    const [narration, setNarration] = useState(null);
+    const [isRecording, setIsRecording] = useState(false);
+    const recorderRef = useRef(null);
+
+    // Every change made to the open board is recorded in its session
+    // timeline for replays. While a timeline replays, on its own or with the
+    // narration's audio (`narrated`), the board shows it at `playback.time`:
+    // { timeline, time, playing, speed, narrated }.
+    const sessionRef = useRef(null);
+    const [playback, setPlayback] = useState(null);
+    const [exportingReplay, setExportingReplay] = useState(null); // 'webm' | 'gif' while exporting
+    const audioRef = useRef(null);
+    const isPlaying = Boolean(playback && playback.playing);
+
+    // The board's frames in slide order and, while presenting, the slide
+    // shown and the viewport to go back to: { index, viewport }. The stage
+    // is the canvas container that goes full-screen.
+    const [presenting, setPresenting] = useState(null);
+    const stageRef = useRef(null);
+    const slides = getSlides(getVisibleElements(elements, layers));
+    const presentedFrame = presenting ? slides[Math.min(presenting.index, slides.length - 1)] : null;
+
+    // Laser pointer trails (see lib/laser.js). While any are visible,
+    // `laserClock` re-renders the board every frame so they fade.
+    const laserRef = useRef([]);
+    const [laserClock, setLaserClock] = useState(null);
+
+    // The interaction in progress (drawing, moving, resizing, panning or
+    // pinching), kept in a ref so pointer moves can redraw without
+    // re-rendering the whole toolbar.
+    const actionRef = useRef(null);
+
+    // Pointers currently pressed on the canvas (id -> position and type) and
+    // the stylus state used for palm rejection.
+    const pointersRef = useRef(new Map());
+    const penRef = useRef({ down: false, lastSeen: 0, used: false });
+
+    // Collaboration: `syncedRef` is the scene and `syncedLayersRef` the
+    // layer list as the room last saw them, so local changes can be sent as
+    // the difference from them.
+    const syncedRef = useRef([]);
+    const syncedLayersRef = useRef(null);
+    const collab = useCollaboration({
+        onWelcome: (roomElements, roomLayers, roomPeers, roomName) => {
+            // The first person in an empty room shares their board with it;
+            // everyone else opens the room's board as a new board, so the
+            // one they had open keeps what was drawn on it.
+            if (roomElements.length === 0 && roomPeers.length === 0) {
+                syncedRef.current = [];
+                syncedLayersRef.current = null;
+                return;
+            }
+            if (board && isDirty()) {
+                savedRef.current = { elements, backgroundColor, backgroundPattern, layers, narration };
+                persistBoard(board, savedRef.current, sessionRef.current.finish(), canvasSize);
+            }
+            const record = { ...createBoard(`Room ${roomName}`, THEME_COLORS[theme].background), elements: roomElements };
+            if (roomLayers) record.layers = roomLayers;
+            syncedRef.current = roomElements;
+            syncedLayersRef.current = record.layers;
+            loadBoard(record);
+            saveBoard(record).catch(() => toast.error('Could not save the room board', { position: 'top-center', autoClose: 2000 }));
+        },
+        onRemoteOp: (op) => {
+            syncedRef.current = applyOp(syncedRef.current, op);
+            syncedLayersRef.current = applyLayersOp(syncedLayersRef.current, op);
+            setHistory(prev => ({ ...prev, elements: applyOp(prev.elements, op), layers: applyLayersOp(prev.layers, op) }));
+        },
+        onDisconnect: () => toast.warn('Disconnected from the room', { position: 'top-center', autoClose: 2000 }),
+    });
+    const { status: collabStatus, sendOp, sendDraft, sendCursor } = collab;
 
 
     // --- Canvas Initialization and Effects ---
     useEffect(() => {
         const canvas = canvasRef.current;
-        const dpr = window.devicePixelRatio || 1;
-        const rect = canvas.getBoundingClientRect();
-        canvas.width = rect.width * dpr;
-        canvas.height = rect.height * dpr;
-
-        const context = canvas.getContext('2d');
-        context.scale(dpr, dpr);
-        context.lineCap = 'round';
-        context.strokeStyle = color;
-        context.lineWidth = lineWidth;
-        contextRef.current = context;
-        clearCanvas();
+        contextRef.current = canvas.getContext('2d');
 
         const handleResize = () => {
-            // Save current drawing
-            const imageDataUrl = canvas.toDataURL();
-            const newRect = canvas.getBoundingClientRect();
-            canvas.width = newRect.width * dpr;
-            canvas.height = newRect.height * dpr;
-            context.scale(dpr, dpr);
-            
-            // Restore drawing
-            const img = new Image();
-            img.src = imageDataUrl;
-            img.onload = () => {
-                context.drawImage(img, 0, 0, newRect.width, newRect.height);
-            };
+            const dpr = window.devicePixelRatio || 1;
+            const rect = canvas.getBoundingClientRect();
+            canvas.width = rect.width * dpr;
+            canvas.height = rect.height * dpr;
+            setCanvasSize({ width: rect.width, height: rect.height, dpr });
+        };
+        handleResize();
+        // The canvas also changes size without the window, e.g. when it
+        // goes full-screen to present.
+        const resizeObserver = new ResizeObserver(handleResize);
+        resizeObserver.observe(canvas);
 
-            context.strokeStyle = color;
-            context.lineWidth = lineWidth;
-            context.lineCap = 'round';
+        // Wheel zooms around the pointer. Registered natively because React's
+        // wheel listener is passive and cannot stop the page from scrolling.
+        const handleWheel = (event) => {
+            event.preventDefault();
+            const rect = canvas.getBoundingClientRect();
+            const point = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+            const factor = Math.exp(-event.deltaY * WHEEL_ZOOM_SPEED);
+            setViewport(prev => zoomTo(prev, prev.zoom * factor, point));
+        };
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+
+        return () => {
+            resizeObserver.disconnect();
+            canvas.removeEventListener('wheel', handleWheel);
         };
-        window.addEventListener('resize', handleResize);
-        return () => window.removeEventListener('resize', handleResize);
     }, []);
 
+    // Loads a stored board into the editor
+    const loadBoard = useCallback((record) => {
+        const recordLayers = record.layers || createDefaultLayers();
+        const recordPattern = record.backgroundPattern || 'none';
+        savedRef.current = { elements: record.elements, backgroundColor: record.backgroundColor, backgroundPattern: recordPattern, layers: record.layers, narration: record.narration || null };
+        // Recording or playback in progress belongs to the board being closed
+        if (recorderRef.current) {
+            recorderRef.current.microphone.stop();
+            recorderRef.current = null;
+            setIsRecording(false);
+        }
+        if (audioRef.current) {
+            releaseAudio(audioRef.current);
+            audioRef.current = null;
+        }
+        setPlayback(null);
+        setNarration(record.narration || null);
+        sessionRef.current = createTimelineRecorder(record.timeline || createTimeline(record.elements), record.elements, { maxIdle: SESSION_MAX_IDLE, maxSteps: SESSION_MAX_STEPS });
+        setBoard({ id: record.id, name: record.name, createdAt: record.createdAt });
+        setHistory(createHistory(record.elements, recordLayers));
+        setBackgroundColor(record.backgroundColor);
+        setBackgroundPattern(recordPattern);
+        setActiveLayerId(recordLayers[recordLayers.length - 1].id);
+        setSelectedIds([]);
+        setViewport(DEFAULT_VIEWPORT);
+        setLastBoardId(record.id);
+    }, []);
+
+    // Reopen the last board, or start a new one on the first visit
     useEffect(() => {
-        if (contextRef.current) {
-            contextRef.current.lineWidth = lineWidth;
-            contextRef.current.strokeStyle = color;
-            contextRef.current.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
+        const restore = async () => {
+            const lastId = getLastBoardId();
+            const saved = lastId && await getBoard(lastId);
+            if (saved) {
+                loadBoard(saved);
+                return;
+            }
+            const fresh = createBoard(undefined, THEME_COLORS[loadTheme()].background);
+            await saveBoard(fresh);
+            loadBoard(fresh);
+        };
+        restore().catch(() => toast.error('Could not open saved boards', { position: 'top-center', autoClose: 2000 }));
+    }, [loadBoard]);
+
+    const isDirty = () => {
+        const saved = savedRef.current;
+        return !saved || saved.elements !== elements || saved.backgroundColor !== backgroundColor || saved.backgroundPattern !== backgroundPattern ||
+            saved.layers !== layers || saved.narration !== narration;
+    };
+
+    // Autosave shortly after the board stops changing
+    useEffect(() => {
+        if (!board || !canvasSize) return;
+        const saved = savedRef.current;
+        if (saved && saved.elements === elements && saved.backgroundColor === backgroundColor && saved.backgroundPattern === backgroundPattern &&
+            saved.layers === layers && saved.narration === narration) return;
+        const timer = setTimeout(() => {
+            savedRef.current = { elements, backgroundColor, backgroundPattern, layers, narration };
+            persistBoard(board, savedRef.current, sessionRef.current.finish(), canvasSize);
+        }, AUTOSAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [board, elements, backgroundColor, backgroundPattern, layers, narration, canvasSize]);
+
+    // Send local changes (drawing, undo, clear...) to the room. Layer
+    // changes go first, so elements never arrive on a layer peers lack.
+    useEffect(() => {
+        if (collabStatus !== 'connected') return;
+        if (syncedLayersRef.current !== layers) {
+            sendOp({ type: 'layers', before: syncedLayersRef.current || [], after: layers });
+            syncedLayersRef.current = layers;
         }
-    }, [color, lineWidth, tool]);
+        const op = diffScenes(syncedRef.current, elements);
+        syncedRef.current = elements;
+        if (op) sendOp(op);
+    }, [elements, layers, collabStatus, sendOp]);
 
+    // Record every change to the board for replays, and for the narration
+    // while one is recorded
     useEffect(() => {
-        if (contextRef.current && historyStep < 0) clearCanvas();
-    }, [backgroundColor]);
+        if (sessionRef.current) sessionRef.current.update(elements);
+        if (recorderRef.current) recorderRef.current.timeline.update(elements);
+    }, [elements]);
 
-    // Redraw canvas on undo
+    // Advance a playing replay; narrated ones follow their audio
     useEffect(() => {
-        if (historyStep >= 0 && history[historyStep]) {
-            const canvas = canvasRef.current;
-            const context = contextRef.current;
-            const dpr = window.devicePixelRatio || 1;
-            const img = new Image();
-            img.src = history[historyStep];
-            img.onload = () => {
-                context.clearRect(0, 0, canvas.width, canvas.height);
-                context.drawImage(img, 0, 0, canvas.width / dpr, canvas.height / dpr);
-            };
+        if (!isPlaying) return;
+        let frame;
+        let last = performance.now();
+        const tick = (now) => {
+            const elapsed = Math.max(0, now - last) / 1000;
+            last = now;
+            const audio = audioRef.current;
+            setPlayback(prev => {
+                if (!prev) return prev;
+                if (prev.narrated) return audio ? { ...prev, time: audio.currentTime } : prev;
+                const time = Math.min(prev.timeline.duration, prev.time + elapsed * prev.speed);
+                return { ...prev, time, playing: time < prev.timeline.duration };
+            });
+            frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [isPlaying]);
+
+    // Fade the laser trails out, dropping each once it is gone
+    useEffect(() => {
+        if (laserClock === null) return;
+        const frame = requestAnimationFrame((now) => {
+            const action = actionRef.current;
+            laserRef.current = laserRef.current.filter(trail => (action && action.trail === trail) || isTrailVisible(trail, now));
+            setLaserClock(laserRef.current.length > 0 ? now : null);
+        });
+        return () => cancelAnimationFrame(frame);
+    }, [laserClock]);
+
+    // Fit the slide being presented to the screen
+    useEffect(() => {
+        if (presentedFrame && canvasSize) setViewport(fitToBounds(getBounds(presentedFrame), canvasSize, PRESENTATION_PADDING));
+    }, [presentedFrame, canvasSize]);
+
+    // Leaving full-screen, or deleting the last frame, ends the presentation
+    useEffect(() => {
+        if (!presenting) return;
+        if (!presentedFrame) {
+            stopPresentation();
+            return;
         }
-    }, [historyStep]);
-    
-    // --- History Management ---
-    const saveToHistory = () => {
+        const handleFullscreenChange = () => {
+            if (!document.fullscreenElement) stopPresentation();
+        };
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    });
+
+    // Redraw the board from the scene after every render
+    useEffect(() => {
+        redraw();
+    });
+
+    // Images decode asynchronously; re-render once each one is ready
+    useEffect(() => onImageLoad(() => setLoadedImages(count => count + 1)), []);
+
+    // Paste copied board elements, screenshots and other images from the
+    // clipboard
+    useEffect(() => {
+        const handlePaste = (event) => {
+            if (['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            const copied = parseElements(event.clipboardData.getData('text/plain'));
+            if (copied) {
+                event.preventDefault();
+                pasteElements(copied);
+                return;
+            }
+            const files = [...event.clipboardData.files].filter(isImageFile);
+            if (files.length === 0) return;
+            event.preventDefault();
+            insertImages(files);
+        };
+        window.addEventListener('paste', handlePaste);
+        return () => window.removeEventListener('paste', handlePaste);
+    });
+
+    // Remapped shortcuts, theme and palettes from earlier visits
+    useEffect(() => {
+        const savedTheme = loadTheme();
+        setBindings(loadBindings());
+        setTheme(savedTheme);
+        setColor(THEME_COLORS[savedTheme].ink);
+        setPalettes(loadPalettes());
+    }, []);
+
+    useEffect(() => {
+        applyTheme(theme);
+    }, [theme]);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.defaultPrevented || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+            // The palette and the shortcut editor handle their own keys
+            if (showPalette || showShortcuts) return;
+            // Presentations only step through the slides
+            if (presenting) {
+                if (SLIDE_KEYS[event.key]) {
+                    event.preventDefault();
+                    showSlide(presenting.index + SLIDE_KEYS[event.key]);
+                } else if (event.key === 'Escape') {
+                    stopPresentation();
+                }
+                return;
+            }
+            const binding = eventToBinding(event);
+            const command = binding && findCommand(bindings, binding);
+            // Space pans unless the user bound it to a command
+            if (event.code === 'Space' && !command) {
+                event.preventDefault();
+                setIsSpaceDown(true);
+                return;
+            }
+            if (command) {
+                // Commands that cannot run leave the key to the browser
+                if (!commandHandlers[command]) return;
+                event.preventDefault();
+                commandHandlers[command]();
+            } else if (selectedElements.length === 0) {
+                return;
+            } else if (event.key === 'Escape') {
+                setSelectedIds([]);
+            } else if (ARROW_KEYS[event.key]) {
+                event.preventDefault();
+                const step = event.shiftKey ? NUDGE_STEP * 10 : NUDGE_STEP;
+                nudgeSelection(ARROW_KEYS[event.key].x * step, ARROW_KEYS[event.key].y * step);
+            }
+        };
+        // Stop a held Space from also clicking the focused toolbar button
+        const handleKeyUp = (event) => {
+            if (event.code !== 'Space') return;
+            event.preventDefault();
+            setIsSpaceDown(false);
+        };
+        const handleBlur = () => setIsSpaceDown(false);
+        window.addEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        window.addEventListener('blur', handleBlur);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+            window.removeEventListener('blur', handleBlur);
+        };
+    });
+
+    const redraw = () => {
         const canvas = canvasRef.current;
-        if (!canvas) return;
-        const newHistory = history.slice(0, historyStep + 1);
-        newHistory.push(canvas.toDataURL('image/png'));
-        setHistory(newHistory);
-        setHistoryStep(newHistory.length - 1);
-    };
+        const context = contextRef.current;
+        if (!context || !canvasSize) return;
 
-    const handleUndo = () => {
-        if (historyStep > 0) {
-            setHistoryStep(prev => prev - 1);
+        const action = actionRef.current;
+        // The text being edited shows in its editor; a note keeps its card.
+        let scene = editingText && editingText.id
+            ? elements.flatMap(el => (el.id !== editingText.id ? [el] : el.tool === 'sticky' ? [{ ...el, text: '' }] : []))
+            : elements;
+        if (playback) {
+            scene = getSceneAt(playback.timeline, playback.time);
+        } else if (action && action.previews) {
+            // Lines attached to the elements being changed follow them.
+            const changed = new Map([...action.previews, ...followShapes(elements, action.previews).after].map(el => [el.id, el]));
+            scene = scene.map(el => changed.get(el.id) || el);
+        } else if (action && action.preview) {
+            scene = [...scene, action.preview];
         }
+        // Slides show what is in their frame, without the frame itself.
+        if (presentedFrame) scene = scene.filter(el => el.tool !== 'frame');
+
+        const scale = canvasSize.dpr * viewport.zoom;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.setTransform(scale, 0, 0, scale, -viewport.x * scale, -viewport.y * scale);
+        const visible = { x: viewport.x, y: viewport.y, width: canvasSize.width / viewport.zoom, height: canvasSize.height / viewport.zoom };
+        drawPattern(context, backgroundPattern, visible, { zoom: viewport.zoom, background: backgroundColor });
+        renderScene(context, scene, layers);
+        Object.values(collab.peers).forEach(peer => {
+            if (peer.draft) drawElement(context, peer.draft);
+        });
+
+        const selected = action && action.previews ? action.previews : selectedElements;
+        if (selected.length > 0) drawSelection(context, selected, viewport.zoom);
+        if (action && action.type === 'select-area') drawSelectionArea(context, action.area, viewport.zoom);
+        if (action && action.guides && action.guides.length > 0) drawGuides(context, action.guides, viewport.zoom);
+        if (presentedFrame) drawPresentationMask(context, getBounds(presentedFrame), visible);
+        if (laserRef.current.length > 0) drawLaserTrails(context, laserRef.current, performance.now(), viewport.zoom);
+    };
+
+    // --- History Management ---
+    // Applies an operation to the scene and records it as an undo step.
+    const commit = (op, label, key = null) => {
+        setHistory(prev => record(prev, op, { label, key, limit: historyLimit }));
+    };
+
+    const handleUndo = () => setHistory(undo);
+
+    const handleRedo = () => setHistory(redo);
+
+    const handleJump = (step) => setHistory(prev => jumpTo(prev, step));
+
+    const handleHistoryLimitChange = (limit) => {
+        setHistoryLimit(limit);
+        setHistory(prev => trimHistory(prev, limit));
     };
 
     // --- Coordinate and Event Handlers ---
-    const getCoords = (event) => {
-        const { clientX, clientY } = event.touches ? event.touches[0] : event;
+    // Position of a pointer event on the canvas element, in CSS pixels.
+    const getScreenCoords = ({ clientX, clientY }) => {
         const rect = canvasRef.current.getBoundingClientRect();
         return { x: clientX - rect.left, y: clientY - rect.top };
     };
 
-    const handleMouseDown = (event) => {
-        if (pastingImage) {
-            pasteImage(getCoords(event));
+    // Position of an event on the board, in world coordinates.
+    const getCoords = (event) => screenToWorld(viewport, getScreenCoords(event));
+
+    // A stroke point for a pointer event; stylus points carry their pressure.
+    const getStrokePoint = (event) => {
+        const point = getCoords(event);
+        return event.pointerType === 'pen' ? { ...point, pressure: event.pressure } : point;
+    };
+
+    const getTouches = () => [...pointersRef.current.values()].filter(pointer => pointer.pointerType === 'touch');
+
+    // Touches wider than a fingertip, and any touch while a pen is on or
+    // near the screen, are a resting hand rather than input.
+    const isPalm = (event) => {
+        if (event.pointerType !== 'touch') return false;
+        const pen = penRef.current;
+        return Math.max(event.width, event.height) > PALM_CONTACT_SIZE || pen.down || Date.now() - pen.lastSeen < PEN_GRACE_PERIOD;
+    };
+
+    const handlePointerDown = (event) => {
+        // Presses keep focus where it is, so an open text box is not blurred
+        // before the click below finishes it.
+        event.preventDefault();
+        if (event.pointerType === 'pen') penRef.current = { down: true, lastSeen: Date.now(), used: true };
+        if (isPalm(event)) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        pointersRef.current.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY, pointerType: event.pointerType });
+
+        if (editingText) {
+            finishTextEditing();
             return;
         }
+        // A second finger turns the gesture into a pinch
+        const touches = getTouches();
+        if (event.pointerType === 'touch' && touches.length > 1) {
+            startPinch(touches);
+            return;
+        }
+        if (actionRef.current) return;
+        // Once a stylus has been used, fingers pan instead of drawing.
+        if (event.button === 1 || isSpaceDown || (event.pointerType === 'touch' && penRef.current.used)) {
+            actionRef.current = { type: 'pan', pointerId: event.pointerId, origin: getScreenCoords(event), viewport };
+            return;
+        }
+        // While presenting, the pointer is always a laser and the board
+        // cannot change.
+        if (presenting || tool === 'laser') {
+            startLaser(getCoords(event));
+            actionRef.current.pointerId = event.pointerId;
+            return;
+        }
+        // The board is read-only while a narration replays on it.
+        if (playback) return;
+        if (activeLayer.locked || !activeLayer.visible) {
+            toast.warn(`${activeLayer.name} is ${activeLayer.locked ? 'locked' : 'hidden'}`, { position: 'top-center', autoClose: 2000 });
+            return;
+        }
+        const pos = getCoords(event);
         if (tool === 'fill') {
-            handleFill(event);
+            handleFill(pos);
+        } else if (tool === 'select') {
+            startSelect(pos, event.shiftKey);
+        } else if (tool === 'text') {
+            startTextEditing(pos);
+        } else if (tool === 'sticky') {
+            startStickyNote(pos);
+        } else {
+            startDrawing(getStrokePoint(event), event.ctrlKey || event.metaKey);
+        }
+        if (actionRef.current) actionRef.current.pointerId = event.pointerId;
+    };
+
+    // Double-clicking a text element or sticky note with the select tool
+    // edits it in place.
+    const handleDoubleClick = (event) => {
+        if (tool !== 'select' || presenting) return;
+        const target = findElementAt(activeElements, getCoords(event), viewport.zoom);
+        if (target && target.tool === 'text') editTextElement(target);
+        else if (target && target.tool === 'sticky') editStickyNote(target);
+    };
+
+    const startDrawing = (input, free = false) => {
+        const isFreehand = tool === 'pencil' || tool === 'eraser';
+        // Shapes and lines start and end on snap points; freehand strokes do not snap.
+        const snap = isFreehand || free ? null : getSnapOptions();
+        const { point: pos, guides } = snap ? snapPoint(input, snap) : { point: input, guides: [] };
+        const points = isFreehand ? [pos] : getShapePoints(tool, pos, pos, {}, shapeStyle);
+        let props = isFreehand ? {} : getShapeProps(tool, shapeStyle);
+        if (tool === 'frame') props = { ...getNewFrameProps(elements), lineWidth: 0 };
+        const preview = createElement(elements, elementToolFor(tool), { points, color, lineWidth, layer: activeLayer.id, ...props });
+        // Frames go under everything else on their layer.
+        if (tool === 'frame' && activeElements.length > 0) preview.z = Math.min(...activeElements.map(el => el.z)) - 1;
+        actionRef.current = { type: 'draw', tool, origin: pos, preview, lastInput: pos, snap, guides };
+        if (sessionRef.current) sessionRef.current.startStroke(preview.id);
+        if (recorderRef.current) recorderRef.current.timeline.startStroke(preview.id);
+        sendDraft(actionRef.current.preview);
+        redraw();
+    };
+
+    const handlePointerMove = (event) => {
+        if (event.pointerType === 'pen') penRef.current.lastSeen = Date.now();
+        const isTracked = pointersRef.current.has(event.pointerId);
+        if (isTracked) {
+            pointersRef.current.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY, pointerType: event.pointerType });
+        } else if (event.pointerType === 'touch') {
+            return;
+        }
+
+        const action = actionRef.current;
+        if (action && action.type === 'pinch') {
+            const touches = getTouches();
+            if (touches.length > 1) updatePinch(touches);
             return;
         }
-        startDrawing(event);
+        if (action && action.pointerId !== event.pointerId) return;
+        if (action && action.type === 'pan') {
+            const pos = getScreenCoords(event);
+            setViewport(panBy(action.viewport, pos.x - action.origin.x, pos.y - action.origin.y));
+            return;
+        }
+        sendCursor(getCoords(event));
+        if (!action) return;
+        // Fast pens report several positions per frame; use all of them.
+        const samples = event.nativeEvent.getCoalescedEvents ? event.nativeEvent.getCoalescedEvents() : [];
+        draw((samples.length > 0 ? samples : [event]).map(getStrokePoint), { shift: event.shiftKey, alt: event.altKey, free: event.ctrlKey || event.metaKey });
     };
-    
-    const handleMouseMove = (event) => {
-        if (pastingImage) {
-            const currentPos = getCoords(event);
-            contextRef.current.putImageData(canvasSnapshot, 0, 0);
-            contextRef.current.drawImage(pastingImage.image, currentPos.x - pastingImage.width / 2, currentPos.y - pastingImage.height / 2);
+
+    const handlePointerUp = (event) => {
+        pointersRef.current.delete(event.pointerId);
+        if (event.pointerType === 'pen') penRef.current = { ...penRef.current, down: false, lastSeen: Date.now() };
+        const action = actionRef.current;
+        if (!action) return;
+        if (action.type === 'pinch' || action.type === 'pinch-end') {
+            // A finger left on the screen after a pinch does nothing until it
+            // is lifted too, so it cannot draw a stray line.
+            const touches = getTouches();
+            if (touches.length > 1) startPinch(touches);
+            else actionRef.current = touches.length === 1 ? { type: 'pinch-end' } : null;
             return;
         }
-        draw(event);
+        if (action.pointerId === event.pointerId) stopDrawing();
     };
 
-    const startDrawing = (event) => {
-        const pos = getCoords(event);
-        setIsDrawing(true);
-        contextRef.current.beginPath();
-        setStartPos(pos);
-        
-        if (tool === 'pencil' || tool === 'eraser') {
-            contextRef.current.moveTo(pos.x, pos.y);
-        } else { // For shapes, move
-            const canvas = canvasRef.current;
-            setCanvasSnapshot(contextRef.current.getImageData(0, 0, canvas.width, canvas.height));
-        }
-    };
-    
-    const draw = (event) => {
-        if (!isDrawing || !startPos) return;
-        const currentPos = getCoords(event);
-    
-        if (tool === 'pencil' || tool === 'eraser') {
-            contextRef.current.lineTo(currentPos.x, currentPos.y);
-            contextRef.current.stroke();
-        } else if (canvasSnapshot) {
-            contextRef.current.putImageData(canvasSnapshot, 0, 0);
-            contextRef.current.beginPath();
-
-            if (tool === 'line') {
-                contextRef.current.moveTo(startPos.x, startPos.y);
-                contextRef.current.lineTo(currentPos.x, currentPos.y);
-                contextRef.current.stroke();
-            } else if (tool === 'rectangle' || tool === 'move') {
-                const rectWidth = currentPos.x - startPos.x;
-                const rectHeight = currentPos.y - startPos.y;
-                contextRef.current.rect(startPos.x, startPos.y, rectWidth, rectHeight);
-                 if (tool === 'move') {
-                    contextRef.current.setLineDash([5, 10]);
-                    contextRef.current.strokeStyle = '#000000';
-                    contextRef.current.lineWidth = 1;
-                    contextRef.current.stroke();
-                    contextRef.current.setLineDash([]);
-                    contextRef.current.strokeStyle = color;
-                    contextRef.current.lineWidth = lineWidth;
-                } else {
-                    contextRef.current.stroke();
-                }
-            } else if (tool === 'circle') {
-                const radius = Math.sqrt(Math.pow(currentPos.x - startPos.x, 2) + Math.pow(currentPos.y - startPos.y, 2));
-                contextRef.current.arc(startPos.x, startPos.y, radius, 0, 2 * Math.PI);
-                contextRef.current.stroke();
+    // --- Pan and Zoom ---
+    const getPinch = (touches) => {
+        const [a, b] = [getScreenCoords(touches[0]), getScreenCoords(touches[1])];
+        return { mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, distance: Math.hypot(a.x - b.x, a.y - b.y) };
+    };
+
+    // Whatever the first finger started drawing is dropped.
+    const startPinch = (touches) => {
+        const action = actionRef.current;
+        if (action && action.type === 'draw') sendDraft(null);
+        actionRef.current = { type: 'pinch', start: getPinch(touches), viewport };
+        redraw();
+    };
+
+    const updatePinch = (touches) => {
+        const { start, viewport: startViewport } = actionRef.current;
+        const current = getPinch(touches);
+        const zoomed = zoomTo(startViewport, startViewport.zoom * current.distance / Math.max(start.distance, 1), start.mid);
+        setViewport(panBy(zoomed, current.mid.x - start.mid.x, current.mid.y - start.mid.y));
+    };
+
+    const zoomBy = (factor) => {
+        const center = { x: canvasSize.width / 2, y: canvasSize.height / 2 };
+        setViewport(prev => zoomTo(prev, prev.zoom * factor, center));
+    };
+
+    const resetZoom = () => zoomBy(1 / viewport.zoom);
+
+    const zoomToFit = () => setViewport(fitToBounds(getSceneBounds(elements), canvasSize));
+
+    const handleMinimapNavigate = (point) => setViewport(prev => centerOn(prev, point, canvasSize));
+
+    const handlePointerLeave = () => sendCursor(null);
+
+    // Follows the pointer through `samples`, the positions it passed since the
+    // last event, oldest first. Shift constrains shapes and resizing to their
+    // proportions; Alt draws shapes from their center; `free` (Ctrl) turns
+    // snapping off.
+    const draw = (samples, modifiers = {}) => {
+        const action = actionRef.current;
+        if (!action) return;
+        const pos = samples[samples.length - 1];
+        const snap = modifiers.free ? null : action.snap;
+        action.guides = [];
+
+        if (action.type === 'laser') {
+            const time = performance.now();
+            samples.forEach(({ x, y }) => action.trail.push({ x, y, time }));
+        } else if (action.type === 'draw') {
+            const { preview } = action;
+            if (preview.tool === 'pencil' || preview.tool === 'eraser') {
+                samples.forEach(sample => addStrokePoint(action, sample));
+            } else {
+                const snapped = snap ? snapPoint(pos, snap) : { point: pos, guides: [] };
+                action.guides = snapped.guides;
+                action.preview = { ...preview, points: getShapePoints(action.tool, action.origin, snapped.point, modifiers, shapeStyle) };
             }
+            sendDraft(action.preview);
+        } else if (action.type === 'move') {
+            // The moved elements' edges and center snap as one box
+            let dx = pos.x - action.origin.x;
+            let dy = pos.y - action.origin.y;
+            if (snap) {
+                const snapped = snapBox({ ...action.bounds, x: action.bounds.x + dx, y: action.bounds.y + dy }, snap);
+                dx += snapped.dx;
+                dy += snapped.dy;
+                action.guides = snapped.guides;
+            }
+            action.previews = action.originals.map(el => translateElement(el, dx, dy));
+        } else if (action.type === 'resize') {
+            // The grabbed corner follows the pointer; the opposite one stays.
+            const { bounds, anchor } = action;
+            const snapped = snap ? snapPoint(pos, snap) : { point: pos, guides: [] };
+            const corner = snapped.point;
+            action.guides = snapped.guides;
+            let width = Math.max(1, Math.abs(corner.x - anchor.x));
+            let height = Math.max(1, Math.abs(corner.y - anchor.y));
+            if (modifiers.shift && bounds.width && bounds.height) {
+                const factor = Math.max(width / bounds.width, height / bounds.height);
+                width = bounds.width * factor;
+                height = bounds.height * factor;
+            }
+            const target = {
+                x: anchor.x > bounds.x ? anchor.x - width : anchor.x,
+                y: anchor.y > bounds.y ? anchor.y - height : anchor.y,
+                width,
+                height,
+            };
+            action.previews = action.originals.map(el => scaleElement(el, bounds, target));
+        } else if (action.type === 'rotate') {
+            const { center } = action;
+            let angle = Math.atan2(pos.y - center.y, pos.x - center.x) - action.startAngle;
+            const snapped = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+            if (Math.abs(angle - snapped) < ROTATION_SNAP_RANGE) angle = snapped;
+            action.previews = action.originals.map(el => rotateElement(el, angle, center));
+        } else if (action.type === 'select-area') {
+            action.area.points.push(pos);
         }
+        redraw();
     };
 
-    const stopDrawing = (event) => {
-        if (!isDrawing) return;
-        const endPos = getCoords(event);
-        let actionTaken = false;
+    // Adds a point to the freehand stroke being drawn, through the
+    // stabilizer. Points closer than a screen pixel add nothing.
+    const addStrokePoint = (action, sample, strength = stabilizer) => {
+        const { points } = action.preview;
+        const last = points[points.length - 1];
+        const point = stabilize(last, sample, strength);
+        action.lastInput = sample;
+        if (Math.hypot(point.x - last.x, point.y - last.y) >= MIN_POINT_SPACING / viewport.zoom) points.push(point);
+    };
 
-        if (tool === 'line' || tool === 'rectangle' || tool === 'circle') {
-            contextRef.current.putImageData(canvasSnapshot, 0, 0);
-            draw({ clientX: endPos.x + canvasRef.current.offsetLeft, clientY: endPos.y + canvasRef.current.offsetTop});
-            actionTaken = true;
-        } else if (tool === 'pencil' || tool === 'eraser') {
-             actionTaken = true;
-        } else if (tool === 'move') {
-            handleMoveSelection(endPos);
-        }
-    
-        contextRef.current.closePath();
-        setStartPos(null);
-        setCanvasSnapshot(null);
-        setIsDrawing(false);
+    const stopDrawing = () => {
+        const action = actionRef.current;
+        if (!action) return;
+        actionRef.current = null;
 
-        if (actionTaken) {
-            saveToHistory();
+        if (action.type === 'pan' || action.type === 'pinch' || action.type === 'pinch-end' || action.type === 'laser') return;
+        if (action.type === 'draw') {
+            let stroke = action.preview;
+            // The stabilized line trails the pointer; finish where it let go.
+            if (stroke.tool === 'pencil' || stroke.tool === 'eraser') addStrokePoint(action, action.lastInput, 0);
+            if (isConnector(stroke)) stroke = bindConnector(activeElements, stroke);
+            commit({ type: 'add', elements: [stroke] }, toolLabel(action.tool));
+            // A recognized shape replaces the stroke as its own step, so
+            // undo brings the freehand stroke back.
+            const shape = stroke.tool === 'pencil' && recognizeShapes && recognizeShape(stroke.points, { threshold: recognitionThreshold });
+            if (shape) {
+                const { name, ...props } = shape;
+                commitTransform([stroke], [{ ...stroke, ...props }], `Recognize ${name}`);
+            }
+        } else if (action.type === 'select-area') {
+            const picked = expandToGroups(activeElements, getElementsInArea(activeElements, action.area).map(el => el.id));
+            setSelectedIds(action.additive ? [...new Set([...selectedIds, ...picked])] : picked);
+        } else if (action.previews !== action.originals) {
+            commitTransform(action.originals, action.previews, toolLabel(action.type));
+        } else {
+            redraw();
         }
     };
 
     // --- Tool-Specific Functions ---
-    const handleMoveSelection = (endPos) => {
-        const rect = {
-            x: Math.min(startPos.x, endPos.x),
-            y: Math.min(startPos.y, endPos.y),
-            width: Math.abs(startPos.x - endPos.x),
-            height: Math.abs(startPos.y - endPos.y)
-        };
-        if (rect.width < 1 || rect.height < 1) return;
-
-        const dpr = window.devicePixelRatio || 1;
-        const selectedImageData = contextRef.current.getImageData(rect.x * dpr, rect.y * dpr, rect.width * dpr, rect.height * dpr);
-        
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = rect.width * dpr;
-        tempCanvas.height = rect.height * dpr;
-        tempCanvas.getContext('2d').putImageData(selectedImageData, 0, 0);
-        
-        const image = new Image();
-        image.src = tempCanvas.toDataURL();
-        image.onload = () => {
-            contextRef.current.putImageData(canvasSnapshot, 0, 0);
-            contextRef.current.fillStyle = backgroundColor;
-            contextRef.current.fillRect(rect.x, rect.y, rect.width, rect.height);
-            setCanvasSnapshot(contextRef.current.getImageData(0, 0, canvasRef.current.width, canvasRef.current.height));
-            setPastingImage({ image, width: rect.width, height: rect.height });
-        };
+    const selectTool = (name) => {
+        setTool(name);
+        if (name !== 'select') setSelectedIds([]);
     };
-    
-    const pasteImage = (pos) => {
-        contextRef.current.drawImage(pastingImage.image, pos.x - pastingImage.width / 2, pos.y - pastingImage.height / 2);
-        setPastingImage(null);
-        setTool('pencil');
-        saveToHistory();
+
+    // Opens a text box at a point, or the existing text element or sticky
+    // note under it.
+    const startTextEditing = (pos) => {
+        const target = findElementAt(activeElements, pos, viewport.zoom);
+        if (target && target.tool === 'text') {
+            editTextElement(target);
+        } else if (target && target.tool === 'sticky') {
+            editStickyNote(target);
+        } else {
+            setEditingText({ key: createId(), id: null, point: pos, text: '' });
+        }
     };
 
-    const handleFill = (event) => {
-        const canvas = canvasRef.current;
-        const context = contextRef.current;
-        const dpr = window.devicePixelRatio || 1;
-        const { x, y } = getCoords(event);
-        const startX = Math.floor(x * dpr);
-        const startY = Math.floor(y * dpr);
-
-        const hexToRgb = (hex) => {
-            const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-            return result ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)] : null;
-        };
+    const editTextElement = (target) => {
+        setTextStyle(getTextStyle(target));
+        setColor(target.color);
+        setSelectedIds([]);
+        setEditingText({ key: createId(), id: target.id, point: target.points[0], text: target.text });
+    };
+
+    // Adds a note centered on a point and starts typing on it, or edits the
+    // note under the point.
+    const startStickyNote = (pos) => {
+        const target = findElementAt(activeElements, pos, viewport.zoom);
+        if (target && target.tool === 'sticky') {
+            editStickyNote(target);
+            return;
+        }
+        const note = createElement(elements, 'sticky', { ...getStickyProps(pos, stickyColor), color, layer: activeLayer.id });
+        commit({ type: 'add', elements: [note] }, 'Sticky note');
+        editStickyNote(note);
+    };
+
+    const editStickyNote = (note) => {
+        const box = getStickyTextBox(note);
+        setSelectedIds([]);
+        setEditingText({
+            key: createId(),
+            id: note.id,
+            point: { x: box.x, y: box.y },
+            text: note.text,
+            box,
+            style: getTextStyle(note),
+            color: note.color,
+        });
+    };
+
+    // Enter on the focused canvas adds an element of the current tool in
+    // the middle of the view, so the board can be drawn on without a
+    // pointer. New shapes are selected for the arrow keys to move.
+    const addAtViewCenter = () => {
+        if (!canvasSize || playback || presenting) return;
+        if (activeLayer.locked || !activeLayer.visible) {
+            toast.warn(`${activeLayer.name} is ${activeLayer.locked ? 'locked' : 'hidden'}`, { position: 'top-center', autoClose: 2000 });
+            return;
+        }
+        const center = screenToWorld(viewport, { x: canvasSize.width / 2, y: canvasSize.height / 2 });
+        if (tool === 'text') {
+            startTextEditing(center);
+        } else if (tool === 'sticky') {
+            startStickyNote(center);
+        } else if (SHAPE_TOOLS.includes(tool) || tool === 'frame') {
+            const half = KEYBOARD_SHAPE_SIZE / 2 / viewport.zoom;
+            const edge = { x: center.x + half, y: tool === 'circle' ? center.y : center.y + half };
+            const points = getShapePoints(tool, center, edge, { alt: true }, shapeStyle);
+            const props = tool === 'frame' ? { ...getNewFrameProps(elements), lineWidth: 0 } : getShapeProps(tool, shapeStyle);
+            const shape = createElement(elements, elementToolFor(tool), { points, color, lineWidth, layer: activeLayer.id, ...props });
+            if (tool === 'frame' && activeElements.length > 0) shape.z = Math.min(...activeElements.map(el => el.z)) - 1;
+            commit({ type: 'add', elements: [shape] }, toolLabel(tool));
+            setTool('select');
+            setSelectedIds([shape.id]);
+        } else {
+            toast.info(`The ${tool} tool needs a pointer`, { position: 'top-center', autoClose: 2000 });
+        }
+    };
+
+    const handleCanvasKeyDown = (event) => {
+        if (event.key !== 'Enter' || event.repeat) return;
+        event.preventDefault();
+        addAtViewCenter();
+    };
+
+    // Commits the open text box. Emptying an existing box deletes it; notes
+    // stay on the board with no text.
+    const finishTextEditing = () => {
+        if (!editingText || finishedTextRef.current === editingText.key) return;
+        finishedTextRef.current = editingText.key;
+        setEditingText(null);
+
+        const original = editingText.id && elements.find(el => el.id === editingText.id);
+        const text = editingText.text.trimEnd();
+        if (original && original.tool === 'sticky') {
+            if (text !== original.text) commit({ type: 'update', before: [original], after: [{ ...original, text }] }, 'Edit note');
+            return;
+        }
+        if (!text.trim()) {
+            if (original) commit({ type: 'remove', elements: [original] }, 'Delete text');
+            return;
+        }
+
+        const props = { text, color, ...textStyle, ...measureText(text, textStyle) };
+        if (original) {
+            commitTransform([original], [{ ...original, ...props }], 'Edit text');
+        } else {
+            const element = createElement(elements, 'text', { points: [editingText.point], lineWidth: 0, layer: activeLayer.id, ...props });
+            commit({ type: 'add', elements: [element] }, 'Text');
+        }
+    };
+
+    // Font controls restyle the open text box or the selected text element
+    // or note. Notes keep their size; their text wraps to fit.
+    const handleTextStyleChange = (changes) => {
+        if (selectedText && selectedText.tool === 'sticky') {
+            const after = { ...selectedText, ...changes };
+            commit({ type: 'update', before: [selectedText], after: [after] }, 'Restyle note', `textStyle:${selectedText.id}`);
+            return;
+        }
+        const nextStyle = { ...textStyle, ...changes };
+        setTextStyle(nextStyle);
+        if (selectedText) {
+            const style = { ...getTextStyle(selectedText), ...changes };
+            const after = { ...selectedText, ...style, ...measureText(selectedText.text, style) };
+            commitTransform([selectedText], [after], 'Restyle text', `textStyle:${selectedText.id}`);
+        }
+    };
+
+    // The note color picks the color of new notes and recolors the selected
+    // ones.
+    const handleStickyColorChange = (value) => {
+        setStickyColor(value);
+        const notes = selectedElements.filter(el => el.tool === 'sticky');
+        if (notes.length > 0) {
+            const after = notes.map(el => ({ ...el, fillColor: value }));
+            commit({ type: 'update', before: notes, after }, 'Recolor note', `stickyColor:${notes.map(el => el.id).join(',')}`);
+        }
+    };
+
+    // Shape controls set the style of new shapes and restyle the selected one.
+    const handleShapeStyleChange = (changes) => {
+        setShapeStyle(prev => ({ ...prev, ...changes }));
+        if (selectedShape) {
+            const style = { ...getShapeStyle(selectedShape, shapeStyle), ...changes };
+            const after = { ...selectedShape, ...getShapeProps(getShapeTool(selectedShape), style) };
+            if (after.sides !== selectedShape.sides) after.points = getPolygonPoints(selectedShape, after.sides);
+            commitTransform([selectedShape], [after], 'Restyle shape', `shapeStyle:${selectedShape.id}`);
+        }
+    };
+
+    // What an action that changes the elements `ids` snaps to: the grid, and
+    // the edges and centers of every other visible element.
+    const getSnapOptions = (ids = []) => ({
+        lines: snapping.objects ? getSnapLines(getVisibleElements(elements, layers).filter(el => !ids.includes(el.id))) : null,
+        grid: snapping.grid ? backgroundPattern : null,
+        zoom: viewport.zoom,
+    });
+
+    // Grabs a handle of the selection, or picks the element under the
+    // pointer, with the rest of its group, and starts dragging the
+    // selection. Shift-clicking adds or removes an element; dragging over
+    // empty space selects an area.
+    const startSelect = (pos, additive) => {
+        const bounds = getSceneBounds(selectedElements);
+        if (bounds && !additive) {
+            const handle = getResizeHandles(bounds, viewport.zoom).find(h => pointInRect(pos, h));
+            if (handle) {
+                actionRef.current = { type: 'resize', bounds, anchor: handle.anchor, originals: selectedElements, previews: selectedElements, snap: getSnapOptions(selectedIds) };
+                return;
+            }
+            const rotation = getRotationHandle(bounds, viewport.zoom);
+            if (Math.hypot(pos.x - rotation.x, pos.y - rotation.y) <= rotation.radius * 2) {
+                const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+                const startAngle = Math.atan2(pos.y - center.y, pos.x - center.x);
+                actionRef.current = { type: 'rotate', center, startAngle, originals: selectedElements, previews: selectedElements };
+                return;
+            }
+        }
+
+        const target = findElementAt(activeElements, pos, viewport.zoom);
+        if (!target) {
+            if (!additive) setSelectedIds([]);
+            actionRef.current = { type: 'select-area', additive, area: { mode: selectionMode, points: [pos] } };
+            return;
+        }
+        const targetIds = expandToGroups(activeElements, [target.id]);
+        if (additive) {
+            setSelectedIds(selectedIds.includes(target.id) ? selectedIds.filter(id => !targetIds.includes(id)) : [...new Set([...selectedIds, ...targetIds])]);
+            return;
+        }
+        const moving = selectedIds.includes(target.id) ? selectedElements : activeElements.filter(el => targetIds.includes(el.id));
+        setSelectedIds(moving.map(el => el.id));
+        actionRef.current = { type: 'move', origin: pos, originals: moving, previews: moving, bounds: getSceneBounds(moving), snap: getSnapOptions(moving.map(el => el.id)) };
+    };
+
+    // Records a change that can move or resize elements: transforms,
+    // restyles and recognized shapes. Lines among them attach to whatever
+    // their ends now lie on, and lines attached to changed shapes follow
+    // them, all in the same step.
+    const commitTransform = (originals, previews, label, key = null) => {
+        const changed = new Map(previews.map(el => [el.id, el]));
+        const scene = activeElements.map(el => changed.get(el.id) || el);
+        const after = previews.map(el => (isConnector(el) ? bindConnector(scene, el) : el));
+        const connectors = followShapes(elements, after);
+        commit({ type: 'update', before: [...originals, ...connectors.before], after: [...after, ...connectors.after] }, label, key);
+    };
+
+    const nudgeSelection = (dx, dy) => {
+        const previews = selectedElements.map(el => translateElement(el, dx, dy));
+        commitTransform(selectedElements, previews, 'Nudge', `nudge:${selectedIds.join(',')}`);
+    };
+
+    // Mirrors the selection across its own center.
+    const flipSelection = (axis) => {
+        const bounds = getSceneBounds(selectedElements);
+        if (!bounds) return;
+        const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+        commitTransform(selectedElements, selectedElements.map(el => flipElement(el, axis, center)), 'Flip');
+    };
+
+    // Two or more selected elements can be grouped unless they already are
+    // one group; any grouped ones can be ungrouped.
+    const canGroup = selectedElements.length > 1 && !selectedElements.every(el => el.groupId && el.groupId === selectedElements[0].groupId);
+    const canUngroup = selectedElements.some(el => el.groupId);
+
+    const groupSelection = () => {
+        commit({ type: 'update', before: selectedElements, after: groupElements(selectedElements) }, 'Group');
+    };
+
+    const ungroupSelection = () => {
+        commit({ type: 'update', before: selectedElements.filter(el => el.groupId), after: ungroupElements(selectedElements) }, 'Ungroup');
+    };
+
+    // Adds copies of elements to the active layer and selects them.
+    const addCopies = (copies, label) => {
+        commit({ type: 'add', elements: copies }, label);
+        setTool('select');
+        setSelectedIds(copies.map(el => el.id));
+    };
+
+    const duplicateSelection = () => {
+        if (selectedElements.length === 0) return;
+        const offset = PASTE_OFFSET / viewport.zoom;
+        addCopies(cloneElements(selectedElements, elements, { dx: offset, dy: offset, layer: activeLayer.id }), 'Duplicate');
+    };
+
+    // Copies (or cuts) the selection to the system clipboard.
+    const copySelection = async (cut = false) => {
+        if (selectedElements.length === 0) return;
+        const copied = selectedElements;
+        if (cut) deleteSelection();
+        try {
+            await copyElements(copied, layers);
+        } catch {
+            toast.error('Could not copy to the clipboard', { position: 'top-center', autoClose: 2000 });
+        }
+    };
+
+    // Pastes copied elements onto the active layer. Copies of elements still
+    // on the board are offset from them; anything that would land out of
+    // sight is moved to the middle of the view.
+    const pasteElements = (copied) => {
+        const ids = new Set(elements.map(el => el.id));
+        const offset = copied.some(el => ids.has(el.id)) ? PASTE_OFFSET / viewport.zoom : 0;
+        const bounds = getSceneBounds(copied) || { x: 0, y: 0, width: 0, height: 0 };
+        const visible = { x: viewport.x, y: viewport.y, width: canvasSize.width / viewport.zoom, height: canvasSize.height / viewport.zoom };
+        let dx = offset;
+        let dy = offset;
+        const inView = bounds.x + dx < visible.x + visible.width && bounds.x + bounds.width + dx > visible.x &&
+            bounds.y + dy < visible.y + visible.height && bounds.y + bounds.height + dy > visible.y;
+        if (!inView) {
+            dx = visible.x + (visible.width - bounds.width) / 2 - bounds.x;
+            dy = visible.y + (visible.height - bounds.height) / 2 - bounds.y;
+        }
+        addCopies(cloneElements(copied, elements, { dx, dy, layer: activeLayer.id }), 'Paste');
+    };
+
+    // Adds a built-in template (see lib/templates.js) in the middle of the
+    // view and selects it.
+    const insertTemplate = (id) => {
+        if (activeLayer.locked || !activeLayer.visible) {
+            toast.warn(`${activeLayer.name} is ${activeLayer.locked ? 'locked' : 'hidden'}`, { position: 'top-center', autoClose: 2000 });
+            return;
+        }
+        const center = { x: viewport.x + canvasSize.width / viewport.zoom / 2, y: viewport.y + canvasSize.height / viewport.zoom / 2 };
+        const added = createTemplate(id, elements, { center, layer: activeLayer.id });
+        commit({ type: 'add', elements: added }, 'Template');
+        setTool('select');
+        setSelectedIds(added.map(el => el.id));
+    };
+
+    // Adds image files to the board, centered on `point` (the middle of the
+    // view by default), and selects the last one with the move tool.
+    const insertImages = async (files, point = null) => {
+        const visible = { width: canvasSize.width / viewport.zoom, height: canvasSize.height / viewport.zoom };
+        const center = point || { x: viewport.x + visible.width / 2, y: viewport.y + visible.height / 2 };
+        const offset = 20 / viewport.zoom;
+        try {
+            const added = [];
+            for (const [index, file] of files.entries()) {
+                const { src, width, height } = await readImageFile(file);
+                const fit = Math.min(1 / viewport.zoom, visible.width * IMAGE_MAX_VIEW_SHARE / width, visible.height * IMAGE_MAX_VIEW_SHARE / height);
+                const x = center.x - width * fit / 2 + index * offset;
+                const y = center.y - height * fit / 2 + index * offset;
+                added.push(createElement([...elements, ...added], 'image', {
+                    points: [{ x, y }, { x: x + width * fit, y: y + height * fit }],
+                    src,
+                    rotation: 0,
+                    lineWidth: 0,
+                    layer: activeLayer.id,
+                }));
+            }
+            commit({ type: 'add', elements: added }, added.length > 1 ? 'Images' : 'Image');
+            setTool('select');
+            setSelectedIds([added[added.length - 1].id]);
+        } catch {
+            toast.error('Could not read the image', { position: 'top-center', autoClose: 2000 });
+        }
+    };
+
+    const handleImageUpload = (event) => {
+        const files = [...event.target.files].filter(isImageFile);
+        event.target.value = '';
+        if (files.length > 0) insertImages(files);
+    };
+
+    const handleDragOver = (event) => {
+        if (event.dataTransfer.types.includes('Files')) event.preventDefault();
+    };
+
+    const handleDrop = (event) => {
+        const files = [...event.dataTransfer.files].filter(isImageFile);
+        if (files.length === 0) return;
+        event.preventDefault();
+        insertImages(files, screenToWorld(viewport, getScreenCoords(event)));
+    };
+
+    const deleteSelection = () => {
+        if (selectedElements.length === 0) return;
+        commit({ type: 'remove', elements: selectedElements }, 'Delete');
+        setSelectedIds([]);
+    };
+
+    // The color and size controls also restyle the selected elements.
+    const handleColorChange = (value) => {
+        setColor(value);
+        if (selectedElements.length > 0) {
+            const after = selectedElements.map(el => ({ ...el, color: value }));
+            commit({ type: 'update', before: selectedElements, after }, 'Recolor', `color:${selectedIds.join(',')}`);
+        }
+    };
+
+    const handlePalettesChange = (next) => {
+        setPalettes(next);
+        savePalettes(next);
+    };
+
+    // A board background and ink still in the old theme's defaults switch
+    // to the new theme's; colors the user picked stay.
+    const toggleTheme = () => {
+        const next = theme === 'dark' ? 'light' : 'dark';
+        if (backgroundColor.toUpperCase() === THEME_COLORS[theme].background) setBackgroundColor(THEME_COLORS[next].background);
+        if (color.toUpperCase() === THEME_COLORS[theme].ink) setColor(THEME_COLORS[next].ink);
+        setTheme(next);
+        saveTheme(next);
+    };
+
+    const handleLineWidthChange = (value) => {
+        setLineWidth(value);
+        const strokes = selectedElements.filter(el => !UNSIZED_TOOLS.includes(el.tool));
+        if (strokes.length > 0) {
+            const after = strokes.map(el => ({ ...el, lineWidth: value }));
+            commitTransform(strokes, after, 'Resize stroke', `lineWidth:${strokes.map(el => el.id).join(',')}`);
+        }
+    };
 
+    // Fills the area under the pointer as it is currently shown on screen;
+    // the filled pixels are mapped back into world coordinates. A fill
+    // behind the strokes goes under everything and grows a little under the
+    // surrounding outlines, so their soft edges show no gap.
+    const handleFill = async (pos) => {
+        const canvas = canvasRef.current;
+        const scale = canvasSize.dpr * viewport.zoom;
         const fillColorRgb = hexToRgb(color);
         if (!fillColorRgb) return;
 
-        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
-        
-        const getPixel = (px, py) => {
-            if (px < 0 || py < 0 || px >= canvas.width || py >= canvas.height) {
-                return [-1, -1, -1, -1];
-            }
-            const offset = (py * canvas.width + px) * 4;
-            return [data[offset], data[offset + 1], data[offset + 2], data[offset + 3]];
+        // Only the active layer's pixels bound the fill.
+        const visible = { x: viewport.x, y: viewport.y, width: canvas.width / scale, height: canvas.height / scale };
+        const imageData = renderToCanvas(activeElements, { ...visible, scale }).getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const pixelX = Math.floor((pos.x - viewport.x) * scale);
+        const pixelY = Math.floor((pos.y - viewport.y) * scale);
+        const options = {
+            tolerance: fillOptions.tolerance,
+            gapSize: Math.round(fillOptions.gapSize * canvasSize.dpr),
+            expand: fillOptions.behind ? Math.ceil(canvasSize.dpr) : 0,
         };
+        setIsFilling(true);
+        let area;
+        try {
+            area = await fillInBackground(imageData, pixelX, pixelY, [...fillColorRgb, 255], options);
+        } catch {
+            toast.error('Could not fill the area', { position: 'top-center', autoClose: 2000 });
+        } finally {
+            setIsFilling(false);
+        }
+        if (!area) return;
+
+        const region = {
+            x: viewport.x + area.left / scale,
+            y: viewport.y + area.top / scale,
+            width: area.pixelWidth / scale,
+            height: area.pixelHeight / scale,
+            pixelWidth: area.pixelWidth,
+            pixelHeight: area.pixelHeight,
+            spans: area.spans,
+        };
+        const fill = createElement(elements, 'fill', { points: [pos], color, lineWidth: 0, region, layer: activeLayer.id });
+        if (fillOptions.behind && activeElements.length > 0) fill.z = Math.min(...activeElements.map(el => el.z)) - 1;
+        commit({ type: 'add', elements: [fill] }, 'Fill');
+    };
+
+
+    // --- Layers ---
+    const handleLayerSelect = (id) => {
+        setActiveLayerId(id);
+        if (id !== activeLayer.id) setSelectedIds([]);
+    };
+
+    // Selects an object picked in the object list, with its group, and
+    // brings it into view. Its layer becomes the active one.
+    const selectObject = (el) => {
+        if (playback || presenting) return;
+        const layer = layers.find(l => l.id === getLayerId(el, layers));
+        if (layer.locked) {
+            toast.warn(`${layer.name} is locked`, { position: 'top-center', autoClose: 2000 });
+            return;
+        }
+        setActiveLayerId(layer.id);
+        setTool('select');
+        setSelectedIds(expandToGroups(getLayerElements(elements, layers, layer.id), [el.id]));
+        const { x, y, width, height } = getBounds(el);
+        if (canvasSize) setViewport(prev => centerOn(prev, { x: x + width / 2, y: y + height / 2 }, canvasSize));
+    };
+
+    // Every layer change is an undo step. Hiding or locking the active layer
+    // drops its selection; dragging the opacity slider is a single step.
+    const handleLayerChange = (id, changes) => {
+        commit({ type: 'layers', before: layers, after: updateLayer(layers, id, changes) }, layerChangeLabel(changes), 'opacity' in changes ? `layerOpacity:${id}` : null);
+        if (id === activeLayer.id && (changes.locked || changes.visible === false)) setSelectedIds([]);
+    };
+
+    // New layers go right above the active one.
+    const handleAddLayer = () => {
+        const layer = createLayer(nextLayerName(layers));
+        const index = layers.findIndex(l => l.id === activeLayer.id);
+        commit({ type: 'layers', before: layers, after: [...layers.slice(0, index + 1), layer, ...layers.slice(index + 1)] }, 'Add layer');
+        setActiveLayerId(layer.id);
+        setSelectedIds([]);
+    };
 
-        const startColor = getPixel(startX, startY);
-        const fillColor = [...fillColorRgb, 255];
-
-        if (startColor.every((c, i) => c === fillColor[i])) return;
-
-        const queue = [[startX, startY]];
-        while (queue.length > 0) {
-            const [px, py] = queue.shift();
-            if (px < 0 || py < 0 || px >= canvas.width || py >= canvas.height) continue;
-            
-            const currentColor = getPixel(px, py);
-            if (currentColor.every((c, i) => c === startColor[i])) {
-                const offset = (py * canvas.width + px) * 4;
-                data[offset] = fillColor[0];
-                data[offset + 1] = fillColor[1];
-                data[offset + 2] = fillColor[2];
-                data[offset + 3] = fillColor[3];
-
-                queue.push([px + 1, py]);
-                queue.push([px - 1, py]);
-                queue.push([px, py + 1]);
-                queue.push([px, py - 1]);
+    // The layer's elements go with it, in the same undo step.
+    const handleDeleteLayer = (id) => {
+        if (layers.length === 1) return;
+        const layerElements = getLayerElements(elements, layers, id);
+        const index = layers.findIndex(l => l.id === id);
+        const remaining = layers.filter(l => l.id !== id);
+        const layersOp = { type: 'layers', before: layers, after: remaining };
+        commit(layerElements.length > 0 ? { type: 'batch', ops: [{ type: 'remove', elements: layerElements }, layersOp] } : layersOp, 'Delete layer');
+        if (id === activeLayer.id) setActiveLayerId(remaining[Math.max(0, index - 1)].id);
+        setSelectedIds([]);
+    };
+
+    const handleMergeDown = (id) => {
+        const merge = mergeDown(elements, layers, id);
+        if (!merge) return;
+        const layersOp = { type: 'layers', before: layers, after: merge.layers };
+        commit(merge.before.length > 0 ? { type: 'batch', ops: [{ type: 'update', before: merge.before, after: merge.after }, layersOp] } : layersOp, 'Merge layers');
+        setActiveLayerId(merge.activeLayerId);
+        setSelectedIds([]);
+    };
+
+    const handleReorderLayer = (from, to) => {
+        commit({ type: 'layers', before: layers, after: moveLayer(layers, from, to) }, 'Reorder layers');
+    };
+
+
+    // --- Narration ---
+    const startNarration = async () => {
+        if (narration && !window.confirm('Replace the current narration?')) return;
+        try {
+            const microphone = await recordMicrophone();
+            stopPlayback();
+            // Idle time is kept and steps keep their times, so the drawing stays in
+            // time with the voice.
+            recorderRef.current = { microphone, timeline: createTimelineRecorder(createTimeline(elements), elements, { maxSteps: SESSION_MAX_STEPS, keepTimes: true }) };
+            setIsRecording(true);
+        } catch {
+            toast.error('Could not access the microphone', { position: 'top-center', autoClose: 2000 });
+        }
+    };
+
+    const stopNarration = () => {
+        const { microphone, timeline } = recorderRef.current;
+        recorderRef.current = null;
+        setIsRecording(false);
+        setNarration({ timeline: timeline.finish(), sampleRate: NARRATION_SAMPLE_RATE, pcm: microphone.stop().buffer });
+    };
+
+    const stopPlayback = () => {
+        if (audioRef.current) {
+            releaseAudio(audioRef.current);
+            audioRef.current = null;
+        }
+        setPlayback(null);
+    };
+
+    // Plays the narration from the start, or resumes it where it was paused.
+    const playNarration = () => {
+        const resume = playback && playback.narrated;
+        if (!resume) stopPlayback();
+        if (!audioRef.current) {
+            const audio = new Audio(URL.createObjectURL(pcmToWav(new Int16Array(narration.pcm), narration.sampleRate)));
+            audio.onended = stopPlayback;
+            audioRef.current = audio;
+        }
+        if (editingText) finishTextEditing();
+        setSelectedIds([]);
+        const speed = resume ? playback.speed : 1;
+        const audio = audioRef.current;
+        audio.playbackRate = speed;
+        audio.play().catch((error) => {
+            // Pausing or stopping before playback starts aborts it; that is not an error
+            if (error.name === 'AbortError' || audioRef.current !== audio) return;
+            setPlayback(prev => prev && { ...prev, playing: false });
+            toast.error('Could not play the narration', { position: 'top-center', autoClose: 2000 });
+        });
+        setPlayback({ timeline: narration.timeline, time: resume ? playback.time : 0, playing: true, speed, narrated: true });
+    };
+
+    const pauseNarration = () => {
+        audioRef.current.pause();
+        setPlayback(prev => ({ ...prev, playing: false }));
+    };
+
+    const exportNarration = () => {
+        downloadBlob(pcmToWav(new Int16Array(narration.pcm), narration.sampleRate), toFileName(`${board ? board.name : 'board'} narration`, '.wav'));
+    };
+
+    const deleteNarration = () => {
+        if (!window.confirm('Delete the narration? This cannot be undone.')) return;
+        stopPlayback();
+        setNarration(null);
+    };
+
+    // --- Replay ---
+    // Replays everything drawn on the board so far.
+    const startReplay = () => {
+        const timeline = sessionRef.current.finish();
+        if (timeline.steps.length === 0) {
+            toast.info('Nothing to replay yet', { position: 'top-center', autoClose: 2000 });
+            return;
+        }
+        stopPlayback();
+        if (editingText) finishTextEditing();
+        setSelectedIds([]);
+        setPlayback({ timeline, time: 0, playing: true, speed: 1, narrated: false });
+    };
+
+    const playReplay = () => {
+        if (playback.narrated) {
+            playNarration();
+            return;
+        }
+        setPlayback(prev => ({ ...prev, time: prev.time >= prev.timeline.duration ? 0 : prev.time, playing: true }));
+    };
+
+    const pauseReplay = () => {
+        if (playback.narrated) pauseNarration();
+        else setPlayback(prev => ({ ...prev, playing: false }));
+    };
+
+    const seekReplay = (time) => {
+        if (audioRef.current) audioRef.current.currentTime = time;
+        setPlayback(prev => ({ ...prev, time }));
+    };
+
+    const changeReplaySpeed = (speed) => {
+        if (audioRef.current) audioRef.current.playbackRate = speed;
+        setPlayback(prev => ({ ...prev, speed }));
+    };
+
+    // Exports the replay as a timelapse at its current speed, with the
+    // narration's audio when it is a narrated replay.
+    const exportReplay = async (format) => {
+        const { timeline, speed, narrated } = playback;
+        const name = `${board ? board.name : 'board'} replay`;
+        setExportingReplay(format);
+        try {
+            if (format === 'gif') {
+                downloadBlob(await exportReplayGif(timeline, { background: backgroundColor, layers, speed }), toFileName(name, '.gif'));
+            } else {
+                downloadBlob(await exportReplayVideo(timeline, { background: backgroundColor, layers, speed, narration: narrated ? narration : null }), toFileName(name, '.webm'));
             }
+            toast.success('Replay exported!', { position: 'top-center', autoClose: 2000 });
+        } catch (error) {
+            toast.error(`Export failed: ${error.message}`, { position: 'top-center', autoClose: 3000 });
+        } finally {
+            setExportingReplay(null);
         }
-        context.putImageData(imageData, 0, 0);
-        saveToHistory();
     };
 
+    // --- Frames and Presentation ---
+    const renameFrame = (frame, name) => {
+        commit({ type: 'update', before: [frame], after: [{ ...frame, name }] }, 'Rename frame', `frameName:${frame.id}`);
+    };
+
+    const moveFrame = (index, offset) => {
+        const move = moveSlide(slides, index, offset);
+        if (move) commit({ type: 'update', ...move }, 'Reorder frames');
+    };
+
+    const showFrame = (frame) => setViewport(fitToBounds(getBounds(frame), canvasSize));
+
+    // Shows the frames full-screen as slides, starting with slide `index`.
+    const startPresentation = (index) => {
+        stopPlayback();
+        if (editingText) finishTextEditing();
+        setSelectedIds([]);
+        setPresenting({ index, viewport });
+        const stage = stageRef.current;
+        if (stage.requestFullscreen) stage.requestFullscreen().catch(() => {});
+    };
+
+    const stopPresentation = () => {
+        if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+        laserRef.current = [];
+        setViewport(presenting.viewport);
+        setPresenting(null);
+    };
+
+    const showSlide = (index) => {
+        setPresenting(prev => ({ ...prev, index: Math.max(0, Math.min(slides.length - 1, index)) }));
+    };
+
+    // Starts a laser trail; it fades out on its own (see lib/laser.js).
+    const startLaser = (pos) => {
+        const trail = [{ ...pos, time: performance.now() }];
+        laserRef.current = [...laserRef.current, trail];
+        actionRef.current = { type: 'laser', trail };
+        setLaserClock(performance.now());
+    };
 
     // --- Control Functions ---
+    // Clears every layer that is visible and unlocked; the others keep
+    // what is on them.
+    const clearableElements = getEditableElements(elements, layers);
     const clearCanvas = () => {
-        const canvas = canvasRef.current;
-        const context = contextRef.current;
-        const dpr = window.devicePixelRatio || 1;
-        context.fillStyle = backgroundColor;
-        context.clearRect(0, 0, canvas.width, canvas.height);
-        context.fillRect(0, 0, canvas.width / dpr, canvas.height / dpr);
-        saveToHistory();
+        if (clearableElements.length === 0) return;
+        commit({ type: 'remove', elements: clearableElements }, 'Clear');
+        setSelectedIds([]);
         toast.info('Canvas cleared!', { position: 'top-center', autoClose: 2000 });
     };
 
-    const saveDrawing = () => {
-        const canvas = canvasRef.current;
-        const image = canvas.toDataURL('image/png');
-        const link = document.createElement('a');
-        link.href = image;
-        link.download = 'whiteboard-art.png';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    const saveDrawing = async () => {
+        const rect = getContentRect(getVisibleElements(elements, layers), canvasSize);
+        try {
+            downloadBlob(await exportPng(elements, rect, { scale: canvasSize.dpr, background: backgroundColor, layers, pattern: backgroundPattern }), 'whiteboard-art.png');
+        } catch {
+            toast.error('Could not save the drawing', { position: 'top-center', autoClose: 2000 });
+            return;
+        }
         toast.success('Drawing saved!', { position: 'top-center', autoClose: 2000 });
     };
 
-    
+    const handleExport = async ({ format, scale, transparent }) => {
+        const rect = getContentRect(getVisibleElements(elements, layers), canvasSize);
+        const background = transparent ? null : backgroundColor;
+        const pattern = transparent ? null : backgroundPattern;
+        const name = board ? board.name : 'board';
+        setShowExport(false);
+        try {
+            if (format === 'png') {
+                downloadBlob(await exportPng(elements, rect, { scale, background, layers, pattern }), toFileName(name, '.png'));
+            } else if (format === 'svg') {
+                downloadBlob(exportSvg(elements, rect, { background, layers, pattern }), toFileName(name, '.svg'));
+            } else if (format === 'pdf') {
+                const pageSize = { width: canvasSize.width / viewport.zoom, height: canvasSize.height / viewport.zoom };
+                downloadBlob(await exportPdf(elements, rect, { pageSize, background: backgroundColor, layers, pattern: backgroundPattern }), toFileName(name, '.pdf'));
+            } else {
+                downloadBlob(exportBoardFile({ name, backgroundColor, backgroundPattern, layers, elements, viewport, narration, timeline: sessionRef.current.finish() }), toFileName(name, BOARD_FILE_EXTENSION));
+            }
+            toast.success('Board exported!', { position: 'top-center', autoClose: 2000 });
+        } catch (error) {
+            toast.error(`Export failed: ${error.message}`, { position: 'top-center', autoClose: 3000 });
+        }
+    };
+
+    // Imports an .iboard file as a new board and opens it.
+    const handleImport = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseBoard(await file.text());
+            const record = { ...createBoard(imported.name), elements: imported.elements, backgroundColor: imported.backgroundColor, backgroundPattern: imported.backgroundPattern, layers: imported.layers, narration: imported.narration, timeline: imported.timeline };
+            await saveBoard(record);
+            collab.disconnect();
+            loadBoard(record);
+            if (imported.viewport) setViewport(imported.viewport);
+            toast.success(`Imported "${record.name}"`, { position: 'top-center', autoClose: 2000 });
+        } catch (error) {
+            toast.error(`Import failed: ${error.message}`, { position: 'top-center', autoClose: 3000 });
+        }
+    };
+
+    // --- Board Management ---
+    const openGallery = async () => {
+        if (board && isDirty()) {
+            savedRef.current = { elements, backgroundColor, backgroundPattern, layers, narration };
+            await persistBoard(board, savedRef.current, sessionRef.current.finish(), canvasSize);
+        }
+        setShowGallery(true);
+    };
+
+    // The gallery lists boards without their timelines; load the full board.
+    const handleOpenBoard = async (record) => {
+        setShowGallery(false);
+        if (board && record.id === board.id) return;
+        try {
+            const full = await getBoard(record.id);
+            collab.disconnect();
+            loadBoard(full || record);
+        } catch {
+            toast.error('Could not open the board', { position: 'top-center', autoClose: 2000 });
+        }
+    };
+
+    const handleBoardRenamed = (id, name) => {
+        if (board && board.id === id) setBoard(prev => ({ ...prev, name }));
+    };
+
+    // Deleting the open board switches to the most recent remaining one.
+    const handleBoardDeleted = async (id) => {
+        if (!board || board.id !== id) return;
+        collab.disconnect();
+        try {
+            const [next] = await listBoards();
+            if (next) {
+                loadBoard(await getBoard(next.id));
+                return;
+            }
+            const fresh = createBoard(undefined, THEME_COLORS[theme].background);
+            await saveBoard(fresh);
+            loadBoard(fresh);
+        } catch {
+            toast.error('Could not open another board', { position: 'top-center', autoClose: 2000 });
+        }
+    };
+
+    // --- Commands ---
+    // What every command in lib/shortcuts.js does, or null while it cannot
+    // run (nothing selected, nothing to undo...).
+    const hasSelection = selectedElements.length > 0;
+    const commandHandlers = {
+        ...Object.fromEntries(COMMANDS.filter(({ id }) => id.startsWith('tool.')).map(({ id }) => [id, () => selectTool(id.slice('tool.'.length))])),
+        'stroke.thinner': lineWidth > MIN_LINE_WIDTH ? () => handleLineWidthChange(lineWidth - 1) : null,
+        'stroke.thicker': lineWidth < MAX_LINE_WIDTH ? () => handleLineWidthChange(lineWidth + 1) : null,
+        'edit.undo': canUndo(history) ? handleUndo : null,
+        'edit.redo': canRedo(history) ? handleRedo : null,
+        'edit.selectAll': tool === 'select' ? () => setSelectedIds(activeElements.filter(el => el.tool !== 'eraser').map(el => el.id)) : null,
+        'edit.delete': hasSelection ? deleteSelection : null,
+        'edit.duplicate': hasSelection ? duplicateSelection : null,
+        'edit.copy': hasSelection ? () => copySelection() : null,
+        'edit.cut': hasSelection ? () => copySelection(true) : null,
+        'edit.group': canGroup ? groupSelection : null,
+        'edit.ungroup': canUngroup ? ungroupSelection : null,
+        'board.save': canvasSize ? saveDrawing : null,
+        'board.clear': clearableElements.length > 0 ? clearCanvas : null,
+        'board.export': () => setShowExport(true),
+        'board.import': () => importInputRef.current.click(),
+        'board.insertImage': () => imageInputRef.current.click(),
+        'board.gallery': openGallery,
+        'board.replay': isRecording ? null : startReplay,
+        'board.present': slides.length > 0 && canvasSize ? () => startPresentation(0) : null,
+        'view.zoomIn': () => zoomBy(ZOOM_STEP),
+        'view.zoomOut': () => zoomBy(1 / ZOOM_STEP),
+        'view.resetZoom': resetZoom,
+        'view.zoomToFit': zoomToFit,
+        'view.toggleTheme': toggleTheme,
+        'app.commandPalette': () => setShowPalette(true),
+        'app.shortcuts': () => setShowShortcuts(true),
+    };
+
+    const handleBindingsChange = useCallback((next) => {
+        setBindings(next);
+        saveBindings(next);
+    }, []);
+
+    // Adds a command's first key binding to a button tooltip, e.g. 'Undo (Ctrl+Z)'.
+    const withShortcut = (label, id) => (bindings[id].length > 0 ? `${label} (${formatBinding(bindings[id][0])})` : label);
+
     // --- UI Components ---
-    const ToolButton = ({ name, icon, currentTool, setTool }) => {
-        const isActive = currentTool === name;
-        return (
-            <button onClick={() => setTool(name)} className={`p-2 rounded-lg transition-colors duration-200 ${isActive ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'}`} title={name.charAt(0).toUpperCase() + name.slice(1)}>
-                {icon}
-            </button>
-        );
+    const toolButtonProps = (name) => ({
+        label: `${toolLabel(name)} tool`,
+        title: withShortcut(toolLabel(name), `tool.${name}`),
+        isActive: tool === name,
+        onSelect: () => selectTool(name),
+    });
+
+    // Arrow keys, Home and End move the focus along the toolbar.
+    const handleToolbarKeyDown = (event) => {
+        const buttons = [...event.currentTarget.querySelectorAll('button')];
+        const index = buttons.indexOf(document.activeElement);
+        let next = null;
+        if (TOOLBAR_KEYS[event.key]) next = (index + TOOLBAR_KEYS[event.key] + buttons.length) % buttons.length;
+        else if (event.key === 'Home') next = 0;
+        else if (event.key === 'End') next = buttons.length - 1;
+        if (next === null) return;
+        event.preventDefault();
+        buttons[next].focus();
     };
 
     return (
         <div className="min-h-screen bg-gray-100 flex flex-col items-center justify-center font-sans p-4">
-            <ToastContainer />
+            <ToastContainer theme={theme} />
+            {showGallery && (
+                <BoardGallery
+                    currentBoardId={board && board.id}
+                    newBoardBackground={THEME_COLORS[theme].background}
+                    onOpen={handleOpenBoard}
+                    onRename={handleBoardRenamed}
+                    onDelete={handleBoardDeleted}
+                    onClose={() => setShowGallery(false)}
+                />
+            )}
+            {showExport && <ExportDialog onExport={handleExport} onClose={() => setShowExport(false)} />}
+            {showPalette && (
+                <CommandPalette
+                    commands={COMMANDS.map(({ id, label, group }) => ({ id, label, group, keys: bindings[id], enabled: Boolean(commandHandlers[id]) }))}
+                    onRun={(id) => commandHandlers[id]()}
+                    onClose={() => setShowPalette(false)}
+                />
+            )}
+            {showShortcuts && <ShortcutsDialog bindings={bindings} onChange={handleBindingsChange} onClose={() => setShowShortcuts(false)} />}
             <div className="w-full max-w-6xl">
                 <h1 className="flex justify-center items-center gap-2 text-2xl font-semibold text-center text-gray-800 mb-4"><Dock size={32} /> I-Board - <span className='font-normal text-2xl'>A Smart Whiteboard</span>  </h1>
-                <div className="bg-white rounded-lg shadow-lg p-4 mb-4 flex flex-col gap-4">
+                <div className="bg-surface rounded-lg shadow-lg p-4 mb-4 flex flex-col gap-4">
                     <div className="flex flex-wrap items-center justify-center gap-4 md:gap-6">
-                        <div className="flex items-center gap-2 border-r pr-4">
-                            <ToolButton name="pencil" setTool={setTool} currentTool={tool} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/></svg>} />
-                            <ToolButton name="eraser" setTool={setTool} currentTool={tool} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m7 21-4.3-4.3c-1-1-1-2.5 0-3.4l9.6-9.6c1-1 2.5-1 3.4 0l5.6 5.6c1 1 1 2.5 0 3.4L13 21H7Z"/><path d="M22 21H7"/><path d="m5 12 5 5"/></svg>} />
-                            <ToolButton name="line" setTool={setTool} currentTool={tool} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="5" y1="12" x2="19" y2="12"/></svg>} />
-                            <ToolButton name="rectangle" setTool={setTool} currentTool={tool} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect></svg>} />
-                            <ToolButton name="circle" setTool={setTool} currentTool={tool} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"></circle></svg>} />
-                            <ToolButton name="fill" setTool={setTool} currentTool={tool} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 22A10 10 0 0 0 22 12c0-5-4-9-9-9-2.5 0-4.8 1-6.5 2.5L2 10.3c.2.2.3.4.3.7 0 .5-.4.9-.9.9H.2c-.3 0-.5-.2-.5-.5v-1.7c0-.3.2-.5.5-.5 0 0 .1 0 .1 0 .2 0 .4.1.6.3L2 9.5l.7-1.3C4.2 6.6 6.1 5 8.3 4.1c.4-.2.9.1.9.6v1.8c0 .3-.2.5-.5.5h-1.8c-.3 0-.5-.2-.5-.5 0-.3.2-.5.5-.5h.3L6 9l-2.6 1.4c-.3.1-.4.5-.3.8.1.3.5.4.8.3L6 10.8V12c0 3.3 2.7 6 6 6Z"/><path d="m18.5 2.6-2.9 2.9a2 2 0 0 0 0 2.8l2.9 2.9c.8.8 2 .8 2.8 0l2.9-2.9a2 2 0 0 0 0-2.8l-2.9-2.9c-.8-.7-2-.7-2.8 0Z"/></svg>} />
-                            <ToolButton name="move" setTool={setTool} currentTool={tool} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="5 9 2 12 5 15"/><polyline points="9 5 12 2 15 5"/><polyline points="15 19 12 22 9 19"/><polyline points="19 9 22 12 19 15"/><line x1="2" y1="12" x2="22" y2="12"/><line x1="12" y1="2" x2="12" y2="22"/></svg>} />
+                        <div role="toolbar" aria-label="Drawing tools" onKeyDown={handleToolbarKeyDown} className="flex items-center gap-2 border-r pr-4">
+                            <ToolButton {...toolButtonProps('pencil')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/></svg>} />
+                            <ToolButton {...toolButtonProps('eraser')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m7 21-4.3-4.3c-1-1-1-2.5 0-3.4l9.6-9.6c1-1 2.5-1 3.4 0l5.6 5.6c1 1 1 2.5 0 3.4L13 21H7Z"/><path d="M22 21H7"/><path d="m5 12 5 5"/></svg>} />
+                            <ToolButton {...toolButtonProps('line')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="5" y1="12" x2="19" y2="12"/></svg>} />
+                            <ToolButton {...toolButtonProps('arrow')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="5" y1="19" x2="19" y2="5"/><polyline points="10 5 19 5 19 14"/></svg>} />
+                            <ToolButton {...toolButtonProps('rectangle')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect></svg>} />
+                            <ToolButton {...toolButtonProps('circle')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"></circle></svg>} />
+                            <ToolButton {...toolButtonProps('ellipse')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><ellipse cx="12" cy="12" rx="10" ry="6"/></svg>} />
+                            <ToolButton {...toolButtonProps('triangle')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 3 22 20H2Z"/></svg>} />
+                            <ToolButton {...toolButtonProps('polygon')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 2 21.5 9 18 20H6L2.5 9Z"/></svg>} />
+                            <ToolButton {...toolButtonProps('star')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>} />
+                            <ToolButton {...toolButtonProps('fill')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 22A10 10 0 0 0 22 12c0-5-4-9-9-9-2.5 0-4.8 1-6.5 2.5L2 10.3c.2.2.3.4.3.7 0 .5-.4.9-.9.9H.2c-.3 0-.5-.2-.5-.5v-1.7c0-.3.2-.5.5-.5 0 0 .1 0 .1 0 .2 0 .4.1.6.3L2 9.5l.7-1.3C4.2 6.6 6.1 5 8.3 4.1c.4-.2.9.1.9.6v1.8c0 .3-.2.5-.5.5h-1.8c-.3 0-.5-.2-.5-.5 0-.3.2-.5.5-.5h.3L6 9l-2.6 1.4c-.3.1-.4.5-.3.8.1.3.5.4.8.3L6 10.8V12c0 3.3 2.7 6 6 6Z"/><path d="m18.5 2.6-2.9 2.9a2 2 0 0 0 0 2.8l2.9 2.9c.8.8 2 .8 2.8 0l2.9-2.9a2 2 0 0 0 0-2.8l-2.9-2.9c-.8-.7-2-.7-2.8 0Z"/></svg>} />
+                            <ToolButton {...toolButtonProps('text')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="4 7 4 4 20 4 20 7"/><line x1="9" y1="20" x2="15" y2="20"/><line x1="12" y1="4" x2="12" y2="20"/></svg>} />
+                            <ToolButton {...toolButtonProps('sticky')} icon={<StickyNote size={24} />} />
+                            <ToolButton {...toolButtonProps('frame')} icon={<Frame size={24} />} />
+                            <ToolButton {...toolButtonProps('laser')} icon={<Pointer size={24} />} />
+                            <ToolButton {...toolButtonProps('select')} icon={<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m3 3 7.07 16.97 2.51-7.39 7.39-2.51L3 3z"/><path d="m13 13 6 6"/></svg>} />
                         </div>
-                         <div className="flex flex-col items-center">
+                         <div data-keep-text-editing className="flex flex-col items-center">
                             <label htmlFor="colorPicker" className="text-sm font-medium text-gray-700 mb-1">Color</label>
-                            <input id="colorPicker" type="color" value={color} onChange={(e) => setColor(e.target.value)} className="w-10 h-10 p-1 border border-gray-300 rounded-md cursor-pointer"/>
+                            <input id="colorPicker" type="color" value={color} onChange={(e) => handleColorChange(e.target.value)} className="w-10 h-10 p-1 border border-gray-300 rounded-md cursor-pointer"/>
                         </div>
+                        <ColorPalette color={color} palettes={palettes} onSelect={handleColorChange} onChange={handlePalettesChange} />
                         <div className="flex flex-col items-center">
                             <label htmlFor="bgColorPicker" className="text-sm font-medium text-gray-700 mb-1">Background</label>
                             <input id="bgColorPicker" type="color" value={backgroundColor} onChange={(e) => setBackgroundColor(e.target.value)} className="w-10 h-10 p-1 border border-gray-300 rounded-md cursor-pointer"/>
                         </div>
+                        <BackgroundOptions
+                            pattern={backgroundPattern}
+                            snapping={snapping}
+                            onPatternChange={setBackgroundPattern}
+                            onSnappingChange={(changes) => setSnapping(prev => ({ ...prev, ...changes }))}
+                        />
+                        <TemplatePicker onInsert={insertTemplate} disabled={!canvasSize || Boolean(playback)} />
                         <div className="flex flex-col items-center">
                             <label htmlFor="lineWidth" className="text-sm font-medium text-gray-700 mb-1">Size: {lineWidth}</label>
-                            <input type="range" id="lineWidth" min="1" max="50" value={lineWidth} onChange={(e) => setLineWidth(e.target.value)} className="w-36 cursor-pointer"/>
+                            <input type="range" id="lineWidth" min={MIN_LINE_WIDTH} max={MAX_LINE_WIDTH} value={lineWidth} onChange={(e) => handleLineWidthChange(Number(e.target.value))} className="w-36 cursor-pointer"/>
                         </div>
+                        {(tool === 'pencil' || tool === 'eraser') && (
+                            <div className="flex flex-col items-center">
+                                <label htmlFor="stabilizer" className="text-sm font-medium text-gray-700 mb-1">Smoothing: {stabilizer}</label>
+                                <input type="range" id="stabilizer" min="0" max={MAX_STABILIZER} value={stabilizer} onChange={(e) => setStabilizer(Number(e.target.value))} className="w-28 cursor-pointer"/>
+                            </div>
+                        )}
+                        {tool === 'fill' && (
+                            <FillOptions options={fillOptions} onChange={(changes) => setFillOptions(prev => ({ ...prev, ...changes }))} />
+                        )}
+                        {tool === 'pencil' && (
+                            <ShapeRecognitionOptions
+                                enabled={recognizeShapes}
+                                threshold={recognitionThreshold}
+                                onToggle={setRecognizeShapes}
+                                onThresholdChange={setRecognitionThreshold}
+                            />
+                        )}
+                        {tool === 'select' && (
+                            <SelectionOptions
+                                mode={selectionMode}
+                                hasSelection={selectedElements.length > 0}
+                                canGroup={canGroup}
+                                canUngroup={canUngroup}
+                                onModeChange={setSelectionMode}
+                                onFlip={flipSelection}
+                                onDuplicate={duplicateSelection}
+                                onCopy={() => copySelection()}
+                                onGroup={groupSelection}
+                                onUngroup={ungroupSelection}
+                                duplicateTitle={withShortcut('Duplicate', 'edit.duplicate')}
+                                copyTitle={withShortcut('Copy', 'edit.copy')}
+                                groupTitle={withShortcut('Group', 'edit.group')}
+                                ungroupTitle={withShortcut('Ungroup', 'edit.ungroup')}
+                            />
+                        )}
+                        {(tool === 'sticky' || selectedElements.some(el => el.tool === 'sticky')) && (
+                            <StickyOptions color={stickyColor} onChange={handleStickyColorChange} />
+                        )}
+                        {(SHAPE_TOOLS.includes(tool) || selectedShape) && (
+                            <ShapeOptions
+                                tool={selectedShape ? getShapeTool(selectedShape) : tool}
+                                style={selectedShape ? getShapeStyle(selectedShape, shapeStyle) : shapeStyle}
+                                onChange={handleShapeStyleChange}
+                            />
+                        )}
+                        {(tool === 'text' || selectedText) && (
+                            <TextOptions
+                                style={selectedText ? getTextStyle(selectedText) : textStyle}
+                                onChange={handleTextStyleChange}
+                            />
+                        )}
                         <div className="flex items-center gap-2">
-                            <button onClick={handleUndo} disabled={historyStep <= 0} className="px-4 py-2 bg-gray-500 text-white font-semibold rounded-lg shadow-md hover:bg-gray-600 disabled:bg-gray-300 disabled:cursor-not-allowed">Undo</button>
-                            <button onClick={clearCanvas} className="px-4 py-2 bg-red-500 text-white font-semibold rounded-lg shadow-md hover:bg-red-600">Clear</button>
-                            <button onClick={saveDrawing} className="px-4 py-2 bg-blue-500 text-white font-semibold rounded-lg shadow-md hover:bg-blue-600">Save</button>
+                            <button onClick={handleUndo} disabled={!canUndo(history)} title={withShortcut('Undo', 'edit.undo')} className="px-4 py-2 bg-gray-500 text-white font-semibold rounded-lg shadow-md hover:bg-gray-600 disabled:bg-gray-300 disabled:cursor-not-allowed">Undo</button>
+                            <button onClick={handleRedo} disabled={!canRedo(history)} title={withShortcut('Redo', 'edit.redo')} className="px-4 py-2 bg-gray-500 text-white font-semibold rounded-lg shadow-md hover:bg-gray-600 disabled:bg-gray-300 disabled:cursor-not-allowed">Redo</button>
+                            <button onClick={deleteSelection} disabled={selectedElements.length === 0} title={withShortcut('Delete selection', 'edit.delete')} className="px-4 py-2 bg-gray-500 text-white font-semibold rounded-lg shadow-md hover:bg-gray-600 disabled:bg-gray-300 disabled:cursor-not-allowed">Delete</button>
+                            <button onClick={clearCanvas} disabled={clearableElements.length === 0} title={withShortcut('Clear board', 'board.clear')} className="px-4 py-2 bg-red-500 text-white font-semibold rounded-lg shadow-md hover:bg-red-600 disabled:bg-gray-300 disabled:cursor-not-allowed">Clear</button>
+                            <button onClick={openGallery} className="flex items-center gap-2 px-4 py-2 bg-surface text-gray-700 font-semibold rounded-lg shadow-md border hover:bg-gray-50" title="Boards">
+                                <LayoutGrid size={18} />
+                                <span className="max-w-32 truncate">{board ? board.name : 'Boards'}</span>
+                            </button>
+                            <button onClick={saveDrawing} title={withShortcut('Save as image', 'board.save')} className="px-4 py-2 bg-blue-500 text-white font-semibold rounded-lg shadow-md hover:bg-blue-600">Save</button>
+                            <button onClick={() => setShowExport(true)} className="p-2 bg-surface text-gray-700 rounded-lg shadow-md border hover:bg-gray-50" title="Export"><Download size={20} /></button>
+                            <button onClick={() => importInputRef.current.click()} className="p-2 bg-surface text-gray-700 rounded-lg shadow-md border hover:bg-gray-50" title="Import .iboard file"><Upload size={20} /></button>
+                            <button onClick={() => imageInputRef.current.click()} className="p-2 bg-surface text-gray-700 rounded-lg shadow-md border hover:bg-gray-50" title="Insert image"><ImagePlus size={20} /></button>
+                            <button onClick={startReplay} disabled={isRecording} className="p-2 bg-surface text-gray-700 rounded-lg shadow-md border hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed" title="Replay the session"><Clapperboard size={20} /></button>
+                            <button onClick={toggleTheme} className="p-2 bg-surface text-gray-700 rounded-lg shadow-md border hover:bg-gray-50" title={theme === 'dark' ? 'Light theme' : 'Dark theme'} aria-label={theme === 'dark' ? 'Switch to the light theme' : 'Switch to the dark theme'}>
+                                {theme === 'dark' ? <Sun size={20} /> : <Moon size={20} />}
+                            </button>
+                            <button onClick={() => setShowShortcuts(true)} className="p-2 bg-surface text-gray-700 rounded-lg shadow-md border hover:bg-gray-50" title={`Keyboard shortcuts${bindings['app.commandPalette'].length > 0 ? ` (${formatBinding(bindings['app.commandPalette'][0])} for the command palette)` : ''}`}><Keyboard size={20} /></button>
+                            <input ref={imageInputRef} type="file" accept="image/*" multiple onChange={handleImageUpload} className="hidden" />
+                            <input ref={importInputRef} type="file" accept={`${BOARD_FILE_EXTENSION},application/json`} onChange={handleImport} className="hidden" />
                         </div>
                     </div>
+                    <CollabBar status={collabStatus} peers={collab.peers} onJoin={collab.connect} onLeave={collab.disconnect} />
                 </div>
-                <div className="bg-white rounded-lg shadow-xl overflow-hidden">
-                     <canvas
-                        ref={canvasRef}
-                        onMouseDown={handleMouseDown}
-                        onMouseUp={stopDrawing}
-                        onMouseLeave={stopDrawing}
-                        onMouseMove={handleMouseMove}
-                        onTouchStart={handleMouseDown}
-                        onTouchEnd={stopDrawing}
-                        onTouchMove={handleMouseMove}
-                        className="w-full h-[55vh] md:h-[65vh] cursor-crosshair"
-                    />
+                <div className="flex flex-col md:flex-row gap-4">
+                    <div ref={stageRef} onDragOver={handleDragOver} onDrop={handleDrop} className={presenting ? 'fixed inset-0 z-50 overflow-hidden bg-slate-900' : 'relative bg-surface rounded-lg shadow-xl overflow-hidden flex-1'}>
+                         <canvas
+                            ref={canvasRef}
+                            onPointerDown={handlePointerDown}
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={handlePointerUp}
+                            onPointerCancel={handlePointerUp}
+                            onPointerLeave={handlePointerLeave}
+                            onDoubleClick={handleDoubleClick}
+                            onKeyDown={handleCanvasKeyDown}
+                            tabIndex={0}
+                            aria-label={`Whiteboard, ${toolLabel(tool).toLowerCase()} tool`}
+                            aria-describedby="canvas-help"
+                            style={{ backgroundColor }}
+                            className={`w-full ${presenting ? 'h-full' : 'h-[55vh] md:h-[65vh]'} touch-none outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-400 ${isSpaceDown ? 'cursor-grab' : isFilling ? 'cursor-wait' : 'cursor-crosshair'}`}
+                        />
+                        <p id="canvas-help" className="sr-only">
+                            Press Enter to add a shape, note or text of the current tool in the middle of the view, then the arrow keys to move it. The Objects list describes what is on the board.
+                        </p>
+                        <RemoteCursors peers={collab.peers} viewport={viewport} />
+                        {editingText && (
+                            <TextEditor
+                                key={editingText.key}
+                                point={editingText.point}
+                                text={editingText.text}
+                                style={editingText.style || textStyle}
+                                color={editingText.color || color}
+                                box={editingText.box}
+                                viewport={viewport}
+                                onChange={(text) => setEditingText(prev => ({ ...prev, text }))}
+                                onFinish={finishTextEditing}
+                            />
+                        )}
+                        {playback && (
+                            <ReplayBar
+                                playback={playback}
+                                exporting={exportingReplay}
+                                onPlay={playReplay}
+                                onPause={pauseReplay}
+                                onSeek={seekReplay}
+                                onSpeedChange={changeReplaySpeed}
+                                onExport={exportReplay}
+                                onClose={stopPlayback}
+                            />
+                        )}
+                        {presentedFrame && (
+                            <PresentationBar
+                                index={slides.indexOf(presentedFrame)}
+                                count={slides.length}
+                                name={presentedFrame.name}
+                                onPrevious={() => showSlide(presenting.index - 1)}
+                                onNext={() => showSlide(presenting.index + 1)}
+                                onExit={stopPresentation}
+                            />
+                        )}
+                        {canvasSize && !presenting && (
+                            <Minimap elements={elements} layers={layers} viewport={viewport} canvasSize={canvasSize} backgroundColor={backgroundColor} onNavigate={handleMinimapNavigate} />
+                        )}
+                        {!presenting && (
+                            <div className="absolute bottom-3 right-3 flex items-center gap-1 bg-surface rounded-lg shadow-md border border-gray-200 p-1 text-sm text-gray-700">
+                                <button onClick={() => zoomBy(1 / ZOOM_STEP)} className="p-1 rounded hover:bg-gray-100" title="Zoom out"><Minus size={16} /></button>
+                                <button onClick={resetZoom} className="w-12 text-center rounded hover:bg-gray-100" title="Reset zoom">{Math.round(viewport.zoom * 100)}%</button>
+                                <button onClick={() => zoomBy(ZOOM_STEP)} className="p-1 rounded hover:bg-gray-100" title="Zoom in"><Plus size={16} /></button>
+                                <button onClick={zoomToFit} className="p-1 rounded hover:bg-gray-100" title="Zoom to fit"><Maximize size={16} /></button>
+                            </div>
+                        )}
+                    </div>
+                    <div className="flex flex-col gap-4 w-full md:w-56">
+                        <NarrationPanel
+                            narration={narration}
+                            isRecording={isRecording}
+                            playback={playback && playback.narrated ? playback : null}
+                            onRecord={startNarration}
+                            onStopRecording={stopNarration}
+                            onPlay={playNarration}
+                            onPause={pauseNarration}
+                            onStop={stopPlayback}
+                            onExport={exportNarration}
+                            onDelete={deleteNarration}
+                        />
+                        <LayersPanel
+                            layers={layers}
+                            activeLayerId={activeLayer.id}
+                            backgroundColor={backgroundColor}
+                            onSelect={handleLayerSelect}
+                            onChange={handleLayerChange}
+                            onAdd={handleAddLayer}
+                            onDelete={handleDeleteLayer}
+                            onMergeDown={handleMergeDown}
+                            onReorder={handleReorderLayer}
+                        />
+                        <FramesPanel
+                            slides={slides}
+                            disabled={!canvasSize}
+                            onRename={renameFrame}
+                            onMove={moveFrame}
+                            onShow={showFrame}
+                            onPresent={startPresentation}
+                        />
+                        <ObjectList elements={elements} layers={layers} selectedIds={selectedIds} onSelect={selectObject} />
+                        <HistoryPanel history={history} limit={historyLimit} onJump={handleJump} onLimitChange={handleHistoryLimitChange} />
+                    </div>
                 </div>
             </div>
             <h2 className='mt-6 text-gray-800 font-bold text-sm'>Made by PIYUSH SINGH</h2>
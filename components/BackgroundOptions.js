@@ -0,0 +1,27 @@
+"use client";
+import React from 'react';
+import { BACKGROUND_PATTERNS } from '@/lib/grid';
+
+// Background pattern of the board, and what drawn and moved shapes snap to.
+const BackgroundOptions = ({ pattern, snapping, onPatternChange, onSnappingChange }) => (
+    <div className="flex items-center gap-4">
+        <div className="flex flex-col items-center">
+            <label htmlFor="backgroundPattern" className="text-sm font-medium text-gray-700 mb-1">Pattern</label>
+            <select id="backgroundPattern" value={pattern} onChange={(e) => onPatternChange(e.target.value)} className="text-sm border border-gray-300 rounded-md px-2 py-1">
+                {BACKGROUND_PATTERNS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+            </select>
+        </div>
+        <div className="flex flex-col gap-1 text-sm font-medium text-gray-700">
+            <label className="flex items-center gap-2" title="Hold Ctrl while dragging to place freely">
+                <input type="checkbox" checked={snapping.grid} onChange={(e) => onSnappingChange({ grid: e.target.checked })} />
+                Snap to grid
+            </label>
+            <label className="flex items-center gap-2" title="Line up with the edges and centers of other elements; hold Ctrl while dragging to place freely">
+                <input type="checkbox" checked={snapping.objects} onChange={(e) => onSnappingChange({ objects: e.target.checked })} />
+                Snap to shapes
+            </label>
+        </div>
+    </div>
+);
+
+export default BackgroundOptions;
@@ -0,0 +1,106 @@
+"use client";
+import React, { useEffect, useState } from 'react';
+import { Copy, Plus, Trash2, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { createBoard, listBoards, saveBoard, deleteBoard, duplicateBoard, renameBoard } from '@/lib/storage';
+
+const showError = (message) => toast.error(message, { position: 'top-center', autoClose: 2000 });
+
+// Modal listing every saved board with open, rename, duplicate and delete.
+const BoardGallery = ({ currentBoardId, newBoardBackground, onOpen, onRename, onDelete, onClose }) => {
+    const [boards, setBoards] = useState([]);
+
+    const refresh = () => listBoards().then(setBoards).catch(() => showError('Could not load the saved boards'));
+
+    useEffect(() => {
+        listBoards().then(setBoards).catch(() => showError('Could not load the saved boards'));
+    }, []);
+
+    const handleCreate = async () => {
+        const board = createBoard(undefined, newBoardBackground);
+        try {
+            await saveBoard(board);
+        } catch {
+            showError('Could not create the board');
+            return;
+        }
+        onOpen(board);
+    };
+
+    const handleRename = async (board, name) => {
+        const trimmed = name.trim();
+        if (!trimmed || trimmed === board.name) return;
+        try {
+            await renameBoard(board.id, trimmed);
+        } catch {
+            showError('Could not rename the board');
+            return;
+        }
+        onRename(board.id, trimmed);
+        refresh();
+    };
+
+    const handleDuplicate = async (board) => {
+        try {
+            await duplicateBoard(board.id);
+        } catch {
+            showError('Could not duplicate the board');
+            return;
+        }
+        refresh();
+    };
+
+    const handleDelete = async (board) => {
+        if (!window.confirm(`Delete "${board.name}"? This cannot be undone.`)) return;
+        try {
+            await deleteBoard(board.id);
+        } catch {
+            showError('Could not delete the board');
+            return;
+        }
+        await onDelete(board.id);
+        refresh();
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4" onClick={onClose}>
+            <div className="bg-surface rounded-lg shadow-xl w-full max-w-4xl max-h-[85vh] overflow-y-auto p-4" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-lg font-semibold text-gray-800">Boards</h2>
+                    <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" title="Close"><X size={20} /></button>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <button onClick={handleCreate} className="flex flex-col items-center justify-center gap-2 aspect-[4/3] border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50">
+                        <Plus size={28} />
+                        New board
+                    </button>
+                    {boards.map(board => (
+                        <div key={board.id} className={`flex flex-col gap-2 rounded-lg border p-2 ${board.id === currentBoardId ? 'border-blue-500' : 'border-gray-200'}`}>
+                            <button onClick={() => onOpen(board)} className="aspect-[4/3] rounded bg-gray-100 overflow-hidden" title="Open">
+                                {/* Thumbnails are data URLs, which next/image cannot optimize */}
+                                {/* eslint-disable-next-line @next/next/no-img-element */}
+                                {board.thumbnail && <img src={board.thumbnail} alt="" className="w-full h-full object-cover" />}
+                            </button>
+                            <input
+                                defaultValue={board.name}
+                                onBlur={(e) => handleRename(board, e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                                aria-label="Board name"
+                                className="px-1 text-sm font-medium text-gray-800 border border-transparent rounded hover:border-gray-300 focus:border-blue-500 outline-none"
+                            />
+                            <div className="flex items-center justify-between text-xs text-gray-500">
+                                {new Date(board.updatedAt).toLocaleString()}
+                                <span className="flex gap-1">
+                                    <button onClick={() => handleDuplicate(board)} className="p-1 rounded hover:bg-gray-100" title="Duplicate"><Copy size={14} /></button>
+                                    <button onClick={() => handleDelete(board)} className="p-1 rounded hover:bg-gray-100 text-red-600" title="Delete"><Trash2 size={14} /></button>
+                                </span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BoardGallery;
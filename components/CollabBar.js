@@ -0,0 +1,36 @@
+"use client";
+import React, { useState } from 'react';
+import { Users } from 'lucide-react';
+
+// Room controls for real-time collaboration through the local relay.
+const CollabBar = ({ status, peers, onJoin, onLeave }) => {
+    const [room, setRoom] = useState('main');
+    const [name, setName] = useState('');
+    const isOnline = status !== 'disconnected';
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        if (isOnline) {
+            onLeave();
+        } else if (room.trim()) {
+            onJoin(room.trim(), name.trim() || 'Guest');
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center justify-center gap-3 text-sm">
+            <Users size={18} className="text-gray-600" />
+            <input value={room} onChange={(e) => setRoom(e.target.value)} disabled={isOnline} placeholder="Room" aria-label="Room" className="w-28 px-2 py-1 border border-gray-300 rounded-md disabled:bg-gray-100"/>
+            <input value={name} onChange={(e) => setName(e.target.value)} disabled={isOnline} placeholder="Your name" aria-label="Your name" className="w-28 px-2 py-1 border border-gray-300 rounded-md disabled:bg-gray-100"/>
+            <button type="submit" className={`px-3 py-1 font-semibold rounded-lg text-white ${isOnline ? 'bg-gray-500 hover:bg-gray-600' : 'bg-green-600 hover:bg-green-700'}`}>
+                {isOnline ? 'Leave' : 'Join'}
+            </button>
+            <span className="text-gray-600">{status === 'connecting' ? 'Connecting…' : status === 'connected' ? 'Live' : 'Offline'}</span>
+            {Object.values(peers).map(peer => (
+                <span key={peer.id} className="px-2 py-0.5 rounded-full text-white text-xs" style={{ backgroundColor: peer.color }}>{peer.name}</span>
+            ))}
+        </form>
+    );
+};
+
+export default CollabBar;
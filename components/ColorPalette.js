@@ -0,0 +1,81 @@
+"use client";
+import React, { useRef } from 'react';
+import { Plus, Minus, BookmarkPlus, Trash2 } from 'lucide-react';
+import { getAllPalettes, isPresetPalette, createPalette, addPaletteColor, removePaletteColor, deletePalette } from '@/lib/palettes';
+
+const NAVIGATION_KEYS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+// Swatches of the palette in use, for picking the ink color. The swatches
+// are a radio group: one tab stop, with the arrow keys moving the choice.
+// Presets can't be edited; saving one as a new palette makes an editable
+// copy that also holds the current color.
+const ColorPalette = ({ color, palettes, onSelect, onChange }) => {
+    const swatchesRef = useRef(null);
+    const allPalettes = getAllPalettes(palettes);
+    const palette = allPalettes.find(p => p.id === palettes.activeId) || allPalettes[0];
+    const isCustom = !isPresetPalette(palette.id);
+    const selectedIndex = palette.colors.findIndex(c => c.value.toLowerCase() === color.toLowerCase());
+    const iconButton = 'p-1 rounded text-gray-700 hover:bg-black/10 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    const handleKeyDown = (event) => {
+        const offset = NAVIGATION_KEYS[event.key];
+        const count = palette.colors.length;
+        if (!offset || count === 0) return;
+        event.preventDefault();
+        const index = ((selectedIndex === -1 ? (offset > 0 ? -1 : 0) : selectedIndex) + offset + count) % count;
+        onSelect(palette.colors[index].value);
+        swatchesRef.current.children[index].focus();
+    };
+
+    const handleSaveAs = () => {
+        const name = window.prompt('Palette name', `My palette ${palettes.palettes.length + 1}`);
+        if (!name || !name.trim()) return;
+        const values = palette.colors.map(c => c.value);
+        const created = createPalette(name.trim(), selectedIndex === -1 ? [...values, color] : values);
+        onChange({ palettes: [...palettes.palettes, created], activeId: created.id });
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`Delete the palette "${palette.name}"?`)) return;
+        onChange(deletePalette(palettes, palette.id));
+    };
+
+    return (
+        <div data-keep-text-editing className="flex flex-col items-center gap-1">
+            <div className="flex items-center gap-1">
+                <select
+                    value={palette.id}
+                    onChange={(e) => onChange({ ...palettes, activeId: e.target.value })}
+                    className="max-w-36 text-xs border border-gray-300 rounded px-1 py-0.5 bg-surface text-gray-700"
+                    aria-label="Color palette"
+                >
+                    {allPalettes.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <button onClick={() => onChange(addPaletteColor(palettes, palette.id, color))} disabled={!isCustom || selectedIndex !== -1} className={iconButton} title="Add the current color" aria-label="Add the current color to the palette"><Plus size={14} /></button>
+                <button onClick={() => onChange(removePaletteColor(palettes, palette.id, palette.colors[selectedIndex].value))} disabled={!isCustom || selectedIndex === -1} className={iconButton} title="Remove the current color" aria-label="Remove the current color from the palette"><Minus size={14} /></button>
+                <button onClick={handleSaveAs} className={iconButton} title="Save as a new palette" aria-label="Save as a new palette"><BookmarkPlus size={14} /></button>
+                <button onClick={handleDelete} disabled={!isCustom} className={iconButton} title="Delete palette" aria-label="Delete palette"><Trash2 size={14} /></button>
+            </div>
+            <div ref={swatchesRef} role="radiogroup" aria-label={`${palette.name} colors`} onKeyDown={handleKeyDown} className="flex flex-wrap justify-center gap-1 max-w-52">
+                {palette.colors.map((c, index) => {
+                    const checked = index === selectedIndex;
+                    return (
+                        <button
+                            key={c.value}
+                            role="radio"
+                            aria-checked={checked}
+                            aria-label={c.name}
+                            tabIndex={checked || (selectedIndex === -1 && index === 0) ? 0 : -1}
+                            onClick={() => onSelect(c.value)}
+                            className={`w-5 h-5 rounded-full border ${checked ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-300'}`}
+                            style={{ backgroundColor: c.value }}
+                            title={`${c.name} (${c.value})`}
+                        />
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default ColorPalette;
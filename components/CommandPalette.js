@@ -0,0 +1,97 @@
+"use client";
+import React, { useState, useEffect, useRef } from 'react';
+import { Search } from 'lucide-react';
+import { formatBinding } from '@/lib/shortcuts';
+
+// Commands whose group and label contain every word of the query.
+const matchCommands = (commands, query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return commands.filter(({ label, group }) => {
+        const text = `${group} ${label}`.toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+};
+
+// Searches every command by name and runs the chosen one. Arrow keys move
+// through the results, Enter runs and Escape closes.
+const CommandPalette = ({ commands, onRun, onClose }) => {
+    const [query, setQuery] = useState('');
+    const [active, setActive] = useState(0);
+    const listRef = useRef(null);
+    const results = matchCommands(commands, query);
+
+    useEffect(() => {
+        setActive(0);
+    }, [query]);
+
+    // Keep the highlighted command in view
+    useEffect(() => {
+        const item = listRef.current && listRef.current.children[active];
+        if (item) item.scrollIntoView({ block: 'nearest' });
+    }, [active]);
+
+    const run = (command) => {
+        if (!command || !command.enabled) return;
+        onClose();
+        onRun(command.id);
+    };
+
+    const handleKeyDown = (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            setActive(prev => (results.length === 0 ? 0 : (prev + step + results.length) % results.length));
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            run(results[active]);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 bg-black/40 flex items-start justify-center p-4 pt-[15vh]" onClick={onClose}>
+            <div onClick={(e) => e.stopPropagation()} className="bg-surface rounded-lg shadow-xl w-full max-w-md flex flex-col text-sm text-gray-700 overflow-hidden" role="dialog" aria-label="Command palette">
+                <div className="flex items-center gap-2 px-3 border-b">
+                    <Search size={16} className="text-gray-400" />
+                    <input
+                        autoFocus
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        placeholder="Type a command…"
+                        className="flex-1 py-3 outline-none"
+                        role="combobox"
+                        aria-expanded="true"
+                        aria-controls="command-palette-results"
+                        aria-activedescendant={results[active] ? `command-${results[active].id}` : undefined}
+                    />
+                </div>
+                <ul ref={listRef} id="command-palette-results" role="listbox" className="max-h-80 overflow-y-auto py-1">
+                    {results.map((command, index) => (
+                        <li
+                            key={command.id}
+                            id={`command-${command.id}`}
+                            role="option"
+                            aria-selected={index === active}
+                            aria-disabled={!command.enabled}
+                            onMouseEnter={() => setActive(index)}
+                            onClick={() => run(command)}
+                            className={`flex items-center gap-2 px-3 py-2 cursor-pointer ${index === active ? 'bg-blue-50' : ''} ${command.enabled ? '' : 'opacity-40 cursor-not-allowed'}`}
+                        >
+                            <span className="text-xs text-gray-400 w-12">{command.group}</span>
+                            <span className="flex-1">{command.label}</span>
+                            {command.keys.length > 0 && (
+                                <kbd className="text-xs text-gray-500 bg-gray-100 rounded px-1.5 py-0.5">{formatBinding(command.keys[0])}</kbd>
+                            )}
+                        </li>
+                    ))}
+                    {results.length === 0 && <li className="px-3 py-2 text-gray-400">No matching commands</li>}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+export default CommandPalette;
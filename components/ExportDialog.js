@@ -0,0 +1,64 @@
+"use client";
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+
+const FORMATS = [
+    { value: 'png', label: 'PNG image' },
+    { value: 'svg', label: 'SVG vector' },
+    { value: 'pdf', label: 'PDF handout (one page per screen)' },
+    { value: 'iboard', label: 'I-Board file (.iboard)' },
+];
+
+const SCALES = [1, 2, 3, 4];
+
+// Lets the user pick an export format and its options.
+const ExportDialog = ({ onExport, onClose }) => {
+    const [format, setFormat] = useState('png');
+    const [scale, setScale] = useState(2);
+    const [transparent, setTransparent] = useState(false);
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        onExport({ format, scale, transparent });
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4" onClick={onClose}>
+            <form onSubmit={handleSubmit} onClick={(e) => e.stopPropagation()} className="bg-surface rounded-lg shadow-xl w-full max-w-sm p-4 flex flex-col gap-4 text-sm text-gray-700">
+                <div className="flex items-center justify-between">
+                    <h2 className="text-lg font-semibold text-gray-800">Export</h2>
+                    <button type="button" onClick={onClose} className="p-1 rounded hover:bg-gray-100" title="Close"><X size={20} /></button>
+                </div>
+                <fieldset className="flex flex-col gap-2">
+                    <legend className="font-medium mb-1">Format</legend>
+                    {FORMATS.map(option => (
+                        <label key={option.value} className="flex items-center gap-2">
+                            <input type="radio" name="format" value={option.value} checked={format === option.value} onChange={() => setFormat(option.value)} />
+                            {option.label}
+                        </label>
+                    ))}
+                </fieldset>
+                {(format === 'png' || format === 'svg') && (
+                    <fieldset className="flex flex-col gap-2">
+                        <legend className="font-medium mb-1">Options</legend>
+                        {format === 'png' && (
+                            <label className="flex items-center gap-2">
+                                Scale
+                                <select value={scale} onChange={(e) => setScale(Number(e.target.value))} className="border border-gray-300 rounded px-1">
+                                    {SCALES.map(value => <option key={value} value={value}>{value}×</option>)}
+                                </select>
+                            </label>
+                        )}
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={transparent} onChange={(e) => setTransparent(e.target.checked)} />
+                            Transparent background
+                        </label>
+                    </fieldset>
+                )}
+                <button type="submit" className="px-4 py-2 bg-blue-500 text-white font-semibold rounded-lg shadow-md hover:bg-blue-600">Export</button>
+            </form>
+        </div>
+    );
+};
+
+export default ExportDialog;
@@ -0,0 +1,24 @@
+"use client";
+import React from 'react';
+
+// Fill tool options: how different a pixel may be and still get filled,
+// how wide a break in an outline may be before the fill leaks through it,
+// and whether the fill goes behind the existing strokes.
+const FillOptions = ({ options, onChange }) => (
+    <div className="flex items-center gap-4">
+        <div className="flex flex-col items-center">
+            <label htmlFor="fillTolerance" className="text-sm font-medium text-gray-700 mb-1">Tolerance: {Math.round(options.tolerance * 100)}%</label>
+            <input type="range" id="fillTolerance" min="0" max="0.5" step="0.01" value={options.tolerance} onChange={(e) => onChange({ tolerance: Number(e.target.value) })} className="w-28 cursor-pointer"/>
+        </div>
+        <div className="flex flex-col items-center">
+            <label htmlFor="fillGap" className="text-sm font-medium text-gray-700 mb-1">Close gaps: {options.gapSize}px</label>
+            <input type="range" id="fillGap" min="0" max="20" value={options.gapSize} onChange={(e) => onChange({ gapSize: Number(e.target.value) })} className="w-28 cursor-pointer"/>
+        </div>
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input type="checkbox" checked={options.behind} onChange={(e) => onChange({ behind: e.target.checked })} />
+            Behind strokes
+        </label>
+    </div>
+);
+
+export default FillOptions;
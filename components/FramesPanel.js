@@ -0,0 +1,43 @@
+"use client";
+import React from 'react';
+import { ChevronUp, ChevronDown, Locate, Presentation } from 'lucide-react';
+
+// Lists the board's frames in slide order. Frames can be renamed, moved up
+// and down the order and shown on the board, and the presentation can
+// start from any of them.
+const FramesPanel = ({ slides, disabled, onRename, onMove, onShow, onPresent }) => {
+    const iconButton = 'p-1 rounded hover:bg-black/10 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    return (
+        <div className="bg-surface rounded-lg shadow-lg p-4 flex flex-col gap-3 w-full md:w-56">
+            <div className="flex items-center justify-between">
+                <h2 className="text-sm font-semibold text-gray-800">Frames</h2>
+                <button onClick={() => onPresent(0)} disabled={disabled || slides.length === 0} className={iconButton} title="Present"><Presentation size={16} /></button>
+            </div>
+            {slides.length === 0 ? (
+                <p className="text-xs text-gray-500">Draw frames with the frame tool to present them as slides.</p>
+            ) : (
+                <ol className="flex flex-col gap-1 text-sm text-gray-700">
+                    {slides.map((frame, index) => (
+                        <li key={frame.id} className="flex items-center gap-1">
+                            <span className="w-4 text-right text-xs text-gray-400 tabular-nums">{index + 1}</span>
+                            <input
+                                value={frame.name}
+                                onChange={(e) => onRename(frame, e.target.value)}
+                                disabled={disabled}
+                                className="flex-1 min-w-0 px-1 rounded border border-transparent hover:border-gray-300 focus:border-blue-400 outline-none"
+                                aria-label="Frame name"
+                            />
+                            <button onClick={() => onShow(frame)} className={iconButton} title="Show on the board"><Locate size={14} /></button>
+                            <button onClick={() => onMove(index, -1)} disabled={disabled || index === 0} className={iconButton} title="Move up"><ChevronUp size={14} /></button>
+                            <button onClick={() => onMove(index, 1)} disabled={disabled || index === slides.length - 1} className={iconButton} title="Move down"><ChevronDown size={14} /></button>
+                            <button onClick={() => onPresent(index)} disabled={disabled} className={iconButton} title="Present from here"><Presentation size={14} /></button>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+export default FramesPanel;
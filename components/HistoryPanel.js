@@ -0,0 +1,46 @@
+"use client";
+import React from 'react';
+
+// Lists every recorded step so the user can jump straight to any of them.
+// Steps past the current one are dimmed and can be redone by clicking them.
+const HistoryPanel = ({ history, limit, onJump, onLimitChange }) => {
+    const rows = [{ label: 'Start', at: null }, ...history.entries];
+
+    return (
+        <div className="bg-surface rounded-lg shadow-lg p-4 flex flex-col gap-3 w-full md:w-56">
+            <div className="flex items-center justify-between">
+                <h2 className="text-sm font-semibold text-gray-800">History</h2>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                    Max
+                    <input
+                        type="number"
+                        min="1"
+                        max="1000"
+                        value={limit}
+                        onChange={(e) => onLimitChange(Math.max(1, Number(e.target.value) || 1))}
+                        className="w-16 px-1 border border-gray-300 rounded"
+                    />
+                </label>
+            </div>
+            <ol className="flex flex-col gap-1 max-h-[50vh] overflow-y-auto text-sm">
+                {rows.map((entry, index) => {
+                    const isCurrent = index === history.step;
+                    const isRedo = index > history.step;
+                    return (
+                        <li key={index}>
+                            <button
+                                onClick={() => onJump(index)}
+                                className={`w-full text-left px-2 py-1 rounded ${isCurrent ? 'bg-blue-500 text-white' : 'hover:bg-gray-100'} ${isRedo ? 'text-gray-400' : ''}`}
+                            >
+                                {entry.label}
+                                {entry.at && <span className="float-right text-xs opacity-70">{new Date(entry.at).toLocaleTimeString()}</span>}
+                            </button>
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+};
+
+export default HistoryPanel;
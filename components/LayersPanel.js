@@ -0,0 +1,79 @@
+"use client";
+import React, { useState } from 'react';
+import { Eye, EyeOff, Lock, LockOpen, Plus, Trash2, ArrowDownToLine, GripVertical } from 'lucide-react';
+
+// Lists the board's layers top first, with the locked background at the
+// bottom. Rows can be dragged to reorder the layers; clicking one makes it
+// the layer the tools draw on.
+const LayersPanel = ({ layers, activeLayerId, backgroundColor, onSelect, onChange, onAdd, onDelete, onMergeDown, onReorder }) => {
+    const [dragIndex, setDragIndex] = useState(null);
+    const rows = layers.map((layer, index) => ({ layer, index })).reverse();
+    const iconButton = 'p-1 rounded hover:bg-black/10 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    const handleDrop = (event, index) => {
+        event.preventDefault();
+        if (dragIndex !== null && dragIndex !== index) onReorder(dragIndex, index);
+        setDragIndex(null);
+    };
+
+    return (
+        <div className="bg-surface rounded-lg shadow-lg p-4 flex flex-col gap-3 w-full md:w-56">
+            <div className="flex items-center justify-between">
+                <h2 className="text-sm font-semibold text-gray-800">Layers</h2>
+                <button onClick={onAdd} className={iconButton} title="Add layer"><Plus size={16} /></button>
+            </div>
+            <ol className="flex flex-col gap-1 text-sm">
+                {rows.map(({ layer, index }) => {
+                    const isActive = layer.id === activeLayerId;
+                    return (
+                        <li
+                            key={layer.id}
+                            draggable
+                            onDragStart={() => setDragIndex(index)}
+                            onDragOver={(e) => e.preventDefault()}
+                            onDrop={(e) => handleDrop(e, index)}
+                            onDragEnd={() => setDragIndex(null)}
+                            onClick={() => onSelect(layer.id)}
+                            className={`flex flex-col gap-1 px-1 py-1 rounded cursor-pointer ${isActive ? 'bg-blue-500 text-white' : 'hover:bg-gray-100'} ${dragIndex === index ? 'opacity-50' : ''}`}
+                        >
+                            <div className="flex items-center gap-1">
+                                <GripVertical size={14} className="shrink-0 opacity-60 cursor-grab" />
+                                <span className={`flex-1 truncate ${layer.visible ? '' : 'opacity-50'}`}>{layer.name}</span>
+                                <button onClick={(e) => { e.stopPropagation(); onChange(layer.id, { visible: !layer.visible }); }} className={iconButton} title={layer.visible ? 'Hide layer' : 'Show layer'}>
+                                    {layer.visible ? <Eye size={14} /> : <EyeOff size={14} />}
+                                </button>
+                                <button onClick={(e) => { e.stopPropagation(); onChange(layer.id, { locked: !layer.locked }); }} className={iconButton} title={layer.locked ? 'Unlock layer' : 'Lock layer'}>
+                                    {layer.locked ? <Lock size={14} /> : <LockOpen size={14} />}
+                                </button>
+                            </div>
+                            {isActive && (
+                                <div className="flex items-center gap-1 pl-4" onClick={(e) => e.stopPropagation()}>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="1"
+                                        step="0.05"
+                                        value={layer.opacity}
+                                        onChange={(e) => onChange(layer.id, { opacity: Number(e.target.value) })}
+                                        className="flex-1 min-w-0 cursor-pointer"
+                                        aria-label="Layer opacity"
+                                    />
+                                    <span className="w-8 text-right text-xs">{Math.round(layer.opacity * 100)}%</span>
+                                    <button onClick={() => onMergeDown(layer.id)} disabled={index === 0} className={iconButton} title="Merge down"><ArrowDownToLine size={14} /></button>
+                                    <button onClick={() => onDelete(layer.id)} disabled={layers.length === 1} className={iconButton} title="Delete layer"><Trash2 size={14} /></button>
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+                <li className="flex items-center gap-1 px-1 py-1 rounded text-gray-500">
+                    <span className="w-3.5 h-3.5 shrink-0 rounded-sm border border-gray-300" style={{ backgroundColor }} />
+                    <span className="flex-1">Background</span>
+                    <Lock size={14} className="m-1" aria-label="Locked" />
+                </li>
+            </ol>
+        </div>
+    );
+};
+
+export default LayersPanel;
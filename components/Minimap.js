@@ -0,0 +1,75 @@
+"use client";
+import React, { useEffect, useRef } from 'react';
+import { getSceneBounds } from '@/lib/scene';
+import { renderScene } from '@/lib/render';
+import { getVisibleRect } from '@/lib/viewport';
+
+const WIDTH = 160;
+const HEIGHT = 110;
+const PADDING = 40; // world units around the content
+
+// Small overview of the whole board with the visible area outlined.
+// Clicking or dragging on it moves the viewport there.
+const Minimap = ({ elements, layers, viewport, canvasSize, backgroundColor, onNavigate }) => {
+    const canvasRef = useRef(null);
+    const mappingRef = useRef(null);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const context = canvas.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = WIDTH * dpr;
+        canvas.height = HEIGHT * dpr;
+
+        // The minimap covers both the content and the visible area.
+        const visible = getVisibleRect(viewport, canvasSize);
+        const content = getSceneBounds(elements) || visible;
+        const minX = Math.min(content.x, visible.x) - PADDING;
+        const minY = Math.min(content.y, visible.y) - PADDING;
+        const maxX = Math.max(content.x + content.width, visible.x + visible.width) + PADDING;
+        const maxY = Math.max(content.y + content.height, visible.y + visible.height) + PADDING;
+        const scale = Math.min(WIDTH / (maxX - minX), HEIGHT / (maxY - minY));
+        const offsetX = (WIDTH - (maxX - minX) * scale) / 2;
+        const offsetY = (HEIGHT - (maxY - minY) * scale) / 2;
+        mappingRef.current = { minX, minY, scale, offsetX, offsetY };
+
+        context.setTransform(dpr * scale, 0, 0, dpr * scale, dpr * (offsetX - minX * scale), dpr * (offsetY - minY * scale));
+        context.clearRect(minX, minY, maxX - minX, maxY - minY);
+        renderScene(context, elements, layers);
+
+        context.globalCompositeOperation = 'source-over';
+        context.strokeStyle = '#3B82F6';
+        context.lineWidth = 1.5 / scale;
+        context.strokeRect(visible.x, visible.y, visible.width, visible.height);
+    }, [elements, layers, viewport, canvasSize]);
+
+    const navigate = (event) => {
+        const { minX, minY, scale, offsetX, offsetY } = mappingRef.current;
+        const rect = canvasRef.current.getBoundingClientRect();
+        onNavigate({
+            x: (event.clientX - rect.left - offsetX) / scale + minX,
+            y: (event.clientY - rect.top - offsetY) / scale + minY,
+        });
+    };
+
+    // The minimap keeps the pointer while it drags, so a pen or finger can
+    // leave it without ending the drag.
+    const handlePointerDown = (event) => {
+        event.currentTarget.setPointerCapture(event.pointerId);
+        navigate(event);
+    };
+
+    return (
+        <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={(e) => e.currentTarget.hasPointerCapture(e.pointerId) && navigate(e)}
+            style={{ width: WIDTH, height: HEIGHT, backgroundColor }}
+            className="absolute bottom-3 left-3 rounded-md border border-gray-300 shadow-md cursor-pointer touch-none"
+            title="Minimap"
+            aria-hidden="true"
+        />
+    );
+};
+
+export default Minimap;
@@ -0,0 +1,64 @@
+"use client";
+import React, { useState, useEffect } from 'react';
+import { Mic, Square, Play, Pause, Download, Trash2 } from 'lucide-react';
+
+const formatTime = (seconds) => {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Records a voice-over while drawing and plays it back with the drawing
+// replayed in step. While a narration plays, the board shows the replay.
+const NarrationPanel = ({ narration, isRecording, playback, onRecord, onStopRecording, onPlay, onPause, onStop, onExport, onDelete }) => {
+    const [recordingStart, setRecordingStart] = useState(null);
+    const [now, setNow] = useState(0);
+    const iconButton = 'p-1 rounded hover:bg-black/10 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    // Tick the recording clock once a second
+    useEffect(() => {
+        if (!isRecording) {
+            setRecordingStart(null);
+            return;
+        }
+        const start = Date.now();
+        setRecordingStart(start);
+        setNow(start);
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [isRecording]);
+
+    const duration = narration ? narration.timeline.duration : 0;
+    let status = 'No narration yet';
+    if (isRecording && recordingStart) status = `Recording ${formatTime((now - recordingStart) / 1000)}`;
+    else if (playback) status = `${formatTime(playback.time)} / ${formatTime(duration)}`;
+    else if (narration) status = formatTime(duration);
+
+    return (
+        <div className="bg-surface rounded-lg shadow-lg p-4 flex flex-col gap-3 w-full md:w-56">
+            <h2 className="text-sm font-semibold text-gray-800">Narration</h2>
+            <div className="flex items-center gap-1 text-sm text-gray-700">
+                {isRecording ? (
+                    <button onClick={onStopRecording} className={`${iconButton} text-red-600`} title="Stop recording"><Square size={16} /></button>
+                ) : (
+                    <button onClick={onRecord} disabled={Boolean(playback)} className={`${iconButton} text-red-600`} title="Record narration"><Mic size={16} /></button>
+                )}
+                {playback && playback.playing ? (
+                    <button onClick={onPause} className={iconButton} title="Pause"><Pause size={16} /></button>
+                ) : (
+                    <button onClick={onPlay} disabled={!narration || isRecording} className={iconButton} title="Play narration"><Play size={16} /></button>
+                )}
+                <button onClick={onStop} disabled={!playback} className={iconButton} title="Stop playback"><Square size={16} /></button>
+                <span className={`flex-1 text-right text-xs tabular-nums ${isRecording ? 'text-red-600' : ''}`}>{status}</span>
+            </div>
+            {narration && !isRecording && (
+                <div className="flex items-center gap-1 text-sm text-gray-700">
+                    <button onClick={onExport} className={`${iconButton} flex items-center gap-1`} title="Download narration as WAV"><Download size={14} /> WAV</button>
+                    <span className="flex-1" />
+                    <button onClick={onDelete} className={iconButton} title="Delete narration"><Trash2 size={14} /></button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NarrationPanel;
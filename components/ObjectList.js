@@ -0,0 +1,42 @@
+"use client";
+import React from 'react';
+import { describeElement } from '@/lib/describe';
+import { sortByZ } from '@/lib/scene';
+import { getVisibleElements } from '@/lib/layers';
+
+// A text list of what is on the board, bottom to top, so screen readers can
+// read the canvas. Choosing an item selects that object.
+const ObjectList = ({ elements, layers, selectedIds, onSelect }) => {
+    const objects = sortByZ(getVisibleElements(elements, layers)).filter(el => el.tool !== 'eraser');
+
+    return (
+        <section className="bg-surface rounded-lg shadow-lg p-4 flex flex-col gap-3 w-full md:w-56" aria-labelledby="object-list-heading">
+            <div className="flex items-center justify-between">
+                <h2 id="object-list-heading" className="text-sm font-semibold text-gray-800">Objects</h2>
+                <span className="text-xs text-gray-500" aria-live="polite">{objects.length} on the board</span>
+            </div>
+            {objects.length === 0 ? (
+                <p className="text-xs text-gray-500">The board is empty.</p>
+            ) : (
+                <ul className="flex flex-col gap-0.5 max-h-48 overflow-y-auto text-xs text-gray-700">
+                    {objects.map(el => {
+                        const isSelected = selectedIds.includes(el.id);
+                        return (
+                            <li key={el.id}>
+                                <button
+                                    onClick={() => onSelect(el)}
+                                    aria-pressed={isSelected}
+                                    className={`w-full text-left px-1 py-0.5 rounded ${isSelected ? 'bg-blue-500 text-white' : 'hover:bg-gray-100'}`}
+                                >
+                                    {describeElement(el)}
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </section>
+    );
+};
+
+export default ObjectList;
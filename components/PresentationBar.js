@@ -0,0 +1,20 @@
+"use client";
+import React from 'react';
+import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+
+// Slide controls shown at the bottom of the screen while presenting.
+const PresentationBar = ({ index, count, name, onPrevious, onNext, onExit }) => {
+    const iconButton = 'p-1.5 rounded hover:bg-white/20 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    return (
+        <div className="absolute bottom-4 left-1/2 -translate-x-1/2 flex items-center gap-2 bg-black/70 text-white rounded-lg px-2 py-1 text-sm">
+            <button onClick={onPrevious} disabled={index === 0} className={iconButton} title="Previous slide (←)"><ChevronLeft size={18} /></button>
+            <span className="tabular-nums">{index + 1} / {count}</span>
+            <span className="max-w-48 truncate">{name}</span>
+            <button onClick={onNext} disabled={index === count - 1} className={iconButton} title="Next slide (→)"><ChevronRight size={18} /></button>
+            <button onClick={onExit} className={iconButton} title="Stop presenting (Esc)"><X size={18} /></button>
+        </div>
+    );
+};
+
+export default PresentationBar;
@@ -0,0 +1,21 @@
+"use client";
+import React from 'react';
+import { worldToScreen } from '@/lib/viewport';
+
+// Overlays the pointer of every other user in the room, labelled with their name.
+// Positions are shared in world coordinates and mapped through the local viewport.
+const RemoteCursors = ({ peers, viewport }) => (
+    <div className="absolute inset-0 pointer-events-none overflow-hidden">
+        {Object.values(peers).filter(peer => peer.position).map(peer => {
+            const { x, y } = worldToScreen(viewport, peer.position);
+            return (
+                <div key={peer.id} className="absolute" style={{ left: x, top: y }}>
+                    <svg width="16" height="16" viewBox="0 0 16 16" fill={peer.color}><path d="M0 0 L0 13 L4 9 L7 15 L9 14 L6 8 L11 8 Z"/></svg>
+                    <span className="ml-3 px-1.5 py-0.5 rounded text-white text-xs whitespace-nowrap" style={{ backgroundColor: peer.color }}>{peer.name}</span>
+                </div>
+            );
+        })}
+    </div>
+);
+
+export default RemoteCursors;
@@ -0,0 +1,49 @@
+"use client";
+import React from 'react';
+import { Play, Pause, X, Film, Image as ImageIcon } from 'lucide-react';
+import { REPLAY_SPEEDS } from '@/lib/replay';
+
+const formatTime = (seconds) => {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Controls shown over the board while it replays: play and pause, a scrub
+// bar, playback speed and timelapse export.
+const ReplayBar = ({ playback, exporting, onPlay, onPause, onSeek, onSpeedChange, onExport, onClose }) => {
+    const { time, playing, speed, timeline } = playback;
+    const iconButton = 'p-1.5 rounded hover:bg-black/10 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    return (
+        <div className="absolute top-3 left-1/2 -translate-x-1/2 bg-surface/95 rounded-lg shadow-lg px-3 py-2 flex items-center gap-2 text-sm text-gray-700 w-[min(36rem,calc(100%-1.5rem))]">
+            {playing ? (
+                <button onClick={onPause} className={iconButton} title="Pause"><Pause size={16} /></button>
+            ) : (
+                <button onClick={onPlay} className={iconButton} title="Play"><Play size={16} /></button>
+            )}
+            <input
+                type="range"
+                min={0}
+                max={timeline.duration}
+                step={0.01}
+                value={Math.min(time, timeline.duration)}
+                onChange={(event) => onSeek(Number(event.target.value))}
+                className="flex-1 min-w-0"
+                aria-label="Replay position"
+            />
+            <span className="text-xs tabular-nums whitespace-nowrap">{formatTime(time)} / {formatTime(timeline.duration)}</span>
+            <select value={speed} onChange={(event) => onSpeedChange(Number(event.target.value))} className="text-xs border border-gray-300 rounded px-1 py-0.5" title="Playback speed">
+                {REPLAY_SPEEDS.map(value => <option key={value} value={value}>{value}×</option>)}
+            </select>
+            <button onClick={() => onExport('webm')} disabled={Boolean(exporting)} className={`${iconButton} flex items-center gap-1 text-xs`} title="Export as WebM video at this speed">
+                <Film size={14} /> {exporting === 'webm' ? 'Recording…' : 'WebM'}
+            </button>
+            <button onClick={() => onExport('gif')} disabled={Boolean(exporting)} className={`${iconButton} flex items-center gap-1 text-xs`} title="Export as animated GIF at this speed">
+                <ImageIcon size={14} /> {exporting === 'gif' ? 'Encoding…' : 'GIF'}
+            </button>
+            <button onClick={onClose} className={iconButton} title="Close replay"><X size={16} /></button>
+        </div>
+    );
+};
+
+export default ReplayBar;
@@ -0,0 +1,35 @@
+"use client";
+import React from 'react';
+import { BoxSelect, Lasso, FlipHorizontal2, FlipVertical2, CopyPlus, Copy, Group, Ungroup } from 'lucide-react';
+
+const MODES = [
+    { value: 'marquee', label: 'Rectangle select', icon: <BoxSelect size={18} /> },
+    { value: 'lasso', label: 'Lasso select', icon: <Lasso size={18} /> },
+];
+
+// Select tool options: how dragging over empty space selects, and actions
+// on the current selection.
+const SelectionOptions = ({
+    mode, hasSelection, canGroup, canUngroup, onModeChange, onFlip, onDuplicate, onCopy, onGroup, onUngroup,
+    duplicateTitle = 'Duplicate', copyTitle = 'Copy', groupTitle = 'Group', ungroupTitle = 'Ungroup',
+}) => {
+    const toggleClass = (active) => `p-1.5 rounded-md ${active ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'}`;
+    const actionClass = 'p-1.5 rounded-md bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    return (
+        <div className="flex items-center gap-2">
+            {MODES.map(({ value, label, icon }) => (
+                <button key={value} onClick={() => onModeChange(value)} className={toggleClass(mode === value)} title={label} aria-pressed={mode === value}>{icon}</button>
+            ))}
+            <span className="w-px h-6 bg-gray-200" />
+            <button onClick={() => onFlip('x')} disabled={!hasSelection} className={actionClass} title="Flip horizontally"><FlipHorizontal2 size={18} /></button>
+            <button onClick={() => onFlip('y')} disabled={!hasSelection} className={actionClass} title="Flip vertically"><FlipVertical2 size={18} /></button>
+            <button onClick={onDuplicate} disabled={!hasSelection} className={actionClass} title={duplicateTitle}><CopyPlus size={18} /></button>
+            <button onClick={onCopy} disabled={!hasSelection} className={actionClass} title={copyTitle}><Copy size={18} /></button>
+            <button onClick={onGroup} disabled={!canGroup} className={actionClass} title={groupTitle}><Group size={18} /></button>
+            <button onClick={onUngroup} disabled={!canUngroup} className={actionClass} title={ungroupTitle}><Ungroup size={18} /></button>
+        </div>
+    );
+};
+
+export default SelectionOptions;
@@ -0,0 +1,48 @@
+"use client";
+import React from 'react';
+import { ARROW_HEADS } from '@/lib/scene';
+import { STROKE_STYLES, FILLABLE_TOOLS, MIN_SIDES, MAX_SIDES, MAX_CORNER_RADIUS, elementToolFor } from '@/lib/shapes';
+
+const HEAD_LABELS = { none: 'None', open: 'Open', triangle: 'Triangle', dot: 'Dot' };
+
+// Shape tool options, also used to restyle a selected shape: stroke style,
+// fill, rounded corners for rectangles, the number of corners for polygons
+// and stars, and the heads at either end of an arrow.
+const ShapeOptions = ({ tool, style, onChange }) => {
+    const elementTool = elementToolFor(tool);
+    const select = 'border border-gray-300 rounded-md px-1 py-1 text-sm';
+
+    return (
+        <div className="flex items-center gap-3">
+            <select value={style.strokeStyle} onChange={(e) => onChange({ strokeStyle: e.target.value })} aria-label="Stroke style" className={select}>
+                {STROKE_STYLES.map(value => <option key={value} value={value}>{value.charAt(0).toUpperCase() + value.slice(1)}</option>)}
+            </select>
+            {FILLABLE_TOOLS.includes(elementTool) && (
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <input type="checkbox" checked={style.filled} onChange={(e) => onChange({ filled: e.target.checked })} />
+                    Fill
+                    <input type="color" value={style.fillColor} onChange={(e) => onChange({ filled: true, fillColor: e.target.value })} className="w-8 h-8 p-0.5 border border-gray-300 rounded-md cursor-pointer" aria-label="Fill color"/>
+                </label>
+            )}
+            {elementTool === 'rectangle' && (
+                <div className="flex flex-col items-center">
+                    <label htmlFor="cornerRadius" className="text-sm font-medium text-gray-700 mb-1">Corners: {style.cornerRadius}</label>
+                    <input type="range" id="cornerRadius" min="0" max={MAX_CORNER_RADIUS} value={style.cornerRadius} onChange={(e) => onChange({ cornerRadius: Number(e.target.value) })} className="w-24 cursor-pointer"/>
+                </div>
+            )}
+            {(tool === 'polygon' || tool === 'star') && (
+                <div className="flex flex-col items-center">
+                    <label htmlFor="polygonSides" className="text-sm font-medium text-gray-700 mb-1">{tool === 'star' ? 'Points' : 'Sides'}: {style.sides}</label>
+                    <input type="range" id="polygonSides" min={MIN_SIDES} max={MAX_SIDES} value={style.sides} onChange={(e) => onChange({ sides: Number(e.target.value) })} className="w-24 cursor-pointer"/>
+                </div>
+            )}
+            {elementTool === 'arrow' && ['startHead', 'endHead'].map(key => (
+                <select key={key} value={style[key]} onChange={(e) => onChange({ [key]: e.target.value })} aria-label={key === 'startHead' ? 'Start head' : 'End head'} title={key === 'startHead' ? 'Start head' : 'End head'} className={select}>
+                    {ARROW_HEADS.map(value => <option key={value} value={value}>{HEAD_LABELS[value]}</option>)}
+                </select>
+            ))}
+        </div>
+    );
+};
+
+export default ShapeOptions;
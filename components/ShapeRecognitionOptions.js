@@ -0,0 +1,34 @@
+"use client";
+import React from 'react';
+import { Shapes } from 'lucide-react';
+import { MIN_RECOGNITION_THRESHOLD, MAX_RECOGNITION_THRESHOLD } from '@/lib/recognize';
+
+// Pencil options: turn shape recognition on and set how loosely a stroke may
+// match a shape before it is replaced.
+const ShapeRecognitionOptions = ({ enabled, threshold, onToggle, onThresholdChange }) => (
+    <div className="flex items-center gap-2">
+        <button
+            onClick={() => onToggle(!enabled)}
+            className={`p-1.5 rounded-md ${enabled ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'}`}
+            title="Recognize shapes"
+        >
+            <Shapes size={18} />
+        </button>
+        <div className="flex flex-col items-center">
+            <label htmlFor="recognitionThreshold" className="text-sm font-medium text-gray-700 mb-1">Tolerance: {Math.round(threshold * 100)}%</label>
+            <input
+                type="range"
+                id="recognitionThreshold"
+                min={MIN_RECOGNITION_THRESHOLD}
+                max={MAX_RECOGNITION_THRESHOLD}
+                step="0.01"
+                value={threshold}
+                disabled={!enabled}
+                onChange={(e) => onThresholdChange(Number(e.target.value))}
+                className="w-28 cursor-pointer disabled:cursor-not-allowed"
+            />
+        </div>
+    </div>
+);
+
+export default ShapeRecognitionOptions;
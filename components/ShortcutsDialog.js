@@ -0,0 +1,87 @@
+"use client";
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { COMMANDS, DEFAULT_BINDINGS, eventToBinding, formatBinding, findCommand, assignBinding } from '@/lib/shortcuts';
+
+const GROUPS = [...new Set(COMMANDS.map(command => command.group))];
+
+// Lists every command with its key bindings. "Change" waits for the next
+// key press and binds it, taking it from any command that had it.
+const ShortcutsDialog = ({ bindings, onChange, onClose }) => {
+    const [recording, setRecording] = useState(null); // command id waiting for a key
+    const [notice, setNotice] = useState(null);
+
+    useEffect(() => {
+        if (!recording) return;
+        // Capture the key before the board's own shortcuts see it
+        const handleKeyDown = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                setRecording(null);
+                return;
+            }
+            const binding = eventToBinding(event);
+            if (!binding) return;
+            const previous = findCommand(bindings, binding);
+            if (previous && previous !== recording) {
+                const { label } = COMMANDS.find(command => command.id === previous);
+                setNotice(`${formatBinding(binding)} was moved from "${label}"`);
+            } else {
+                setNotice(null);
+            }
+            onChange(assignBinding(bindings, recording, binding));
+            setRecording(null);
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    }, [recording, bindings, onChange]);
+
+    const buttonClass = 'px-2 py-0.5 rounded text-xs bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    return (
+        <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4" onClick={onClose}>
+            <div className="bg-surface rounded-lg shadow-xl w-full max-w-lg max-h-[85vh] flex flex-col p-4 gap-3 text-sm text-gray-700" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between">
+                    <h2 className="text-lg font-semibold text-gray-800">Keyboard shortcuts</h2>
+                    <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" title="Close"><X size={20} /></button>
+                </div>
+                {notice && <p className="text-xs text-amber-700 bg-amber-50 rounded px-2 py-1">{notice}</p>}
+                <div className="overflow-y-auto flex flex-col gap-3">
+                    {GROUPS.map(group => (
+                        <section key={group}>
+                            <h3 className="font-medium text-gray-500 mb-1">{group}</h3>
+                            <ul className="flex flex-col">
+                                {COMMANDS.filter(command => command.group === group).map(({ id, label }) => (
+                                    <li key={id} className="flex items-center gap-2 py-1 border-b border-gray-100 last:border-b-0">
+                                        <span className="flex-1">{label}</span>
+                                        {recording === id ? (
+                                            <span className="text-xs text-blue-600">Press a key… (Esc to cancel)</span>
+                                        ) : (
+                                            bindings[id].map(binding => (
+                                                <kbd key={binding} className="text-xs text-gray-600 bg-gray-100 rounded px-1.5 py-0.5">{formatBinding(binding)}</kbd>
+                                            ))
+                                        )}
+                                        <button onClick={() => setRecording(id)} className={buttonClass}>Change</button>
+                                        <button onClick={() => onChange({ ...bindings, [id]: [] })} disabled={bindings[id].length === 0} className={buttonClass}>Clear</button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </section>
+                    ))}
+                </div>
+                <button
+                    onClick={() => {
+                        onChange(DEFAULT_BINDINGS);
+                        setNotice(null);
+                    }}
+                    className="self-start px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200"
+                >
+                    Reset to defaults
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ShortcutsDialog;
@@ -0,0 +1,22 @@
+"use client";
+import React from 'react';
+import { STICKY_COLORS } from '@/lib/sticky';
+
+// Sticky note tool options: the color of new notes, also used to recolor
+// the selected ones.
+const StickyOptions = ({ color, onChange }) => (
+    <div data-keep-text-editing className="flex items-center gap-1" role="group" aria-label="Note color">
+        {STICKY_COLORS.map(value => (
+            <button
+                key={value}
+                onClick={() => onChange(value)}
+                className={`w-7 h-7 rounded-md border ${color === value ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-300'}`}
+                style={{ backgroundColor: value }}
+                title={`Note color ${value}`}
+                aria-pressed={color === value}
+            />
+        ))}
+    </div>
+);
+
+export default StickyOptions;
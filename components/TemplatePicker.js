@@ -0,0 +1,22 @@
+"use client";
+import React from 'react';
+import { TEMPLATES } from '@/lib/templates';
+
+// Inserts a built-in template in the middle of the view.
+const TemplatePicker = ({ onInsert, disabled = false }) => (
+    <div className="flex flex-col items-center">
+        <label htmlFor="templatePicker" className="text-sm font-medium text-gray-700 mb-1">Template</label>
+        <select
+            id="templatePicker"
+            value=""
+            disabled={disabled}
+            onChange={(e) => onInsert(e.target.value)}
+            className="text-sm border border-gray-300 rounded-md px-2 py-1 disabled:opacity-40"
+        >
+            <option value="" disabled>Insert…</option>
+            {TEMPLATES.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+        </select>
+    </div>
+);
+
+export default TemplatePicker;
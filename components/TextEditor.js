@@ -0,0 +1,58 @@
+"use client";
+import React, { useEffect, useRef } from 'react';
+import { toCssFont, LINE_HEIGHT } from '@/lib/text';
+import { worldToScreen } from '@/lib/viewport';
+
+// Inline textarea placed over the canvas while a text box is being typed.
+// Escape or Ctrl+Enter finishes editing, as does clicking anywhere else
+// except on controls marked with data-keep-text-editing. With a `box`
+// ({ width, height } on the board), the text wraps inside it, as on a
+// sticky note; otherwise the textarea grows with the text.
+const TextEditor = ({ point, text, style, color, viewport, box = null, onChange, onFinish }) => {
+    const textareaRef = useRef(null);
+    const { x, y } = worldToScreen(viewport, point);
+    const lines = text.split('\n');
+
+    useEffect(() => {
+        textareaRef.current.focus();
+    }, []);
+
+    const handleKeyDown = (event) => {
+        if (event.key === 'Escape' || (event.key === 'Enter' && (event.ctrlKey || event.metaKey))) {
+            event.preventDefault();
+            onFinish();
+        }
+    };
+
+    const handleBlur = (event) => {
+        if (event.relatedTarget && event.relatedTarget.closest('[data-keep-text-editing]')) return;
+        onFinish();
+    };
+
+    return (
+        <textarea
+            ref={textareaRef}
+            value={text}
+            onChange={(e) => onChange(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={handleBlur}
+            rows={lines.length}
+            cols={Math.max(4, ...lines.map(line => line.length + 1))}
+            spellCheck={false}
+            aria-label={box ? 'Note text' : 'Text'}
+            className="absolute resize-none overflow-hidden bg-transparent border border-dashed border-blue-400 outline-none p-0 m-0"
+            style={{
+                left: x,
+                top: y,
+                font: toCssFont({ ...style, fontSize: style.fontSize * viewport.zoom }),
+                lineHeight: LINE_HEIGHT,
+                textAlign: style.align,
+                color,
+                whiteSpace: box ? 'pre-wrap' : 'pre',
+                ...(box && { width: box.width * viewport.zoom, height: box.height * viewport.zoom }),
+            }}
+        />
+    );
+};
+
+export default TextEditor;
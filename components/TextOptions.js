@@ -0,0 +1,34 @@
+"use client";
+import React from 'react';
+import { Bold, Italic, AlignLeft, AlignCenter, AlignRight } from 'lucide-react';
+import { FONT_FAMILIES, FONT_SIZES } from '@/lib/text';
+
+const ALIGNMENTS = [
+    { value: 'left', icon: <AlignLeft size={18} /> },
+    { value: 'center', icon: <AlignCenter size={18} /> },
+    { value: 'right', icon: <AlignRight size={18} /> },
+];
+
+// Font controls for the text tool and for selected text elements.
+// Interacting with them keeps an open text box in editing mode.
+const TextOptions = ({ style, onChange }) => {
+    const toggleClass = (active) => `p-1.5 rounded-md ${active ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'}`;
+
+    return (
+        <div data-keep-text-editing className="flex items-center gap-2">
+            <select value={style.fontFamily} onChange={(e) => onChange({ fontFamily: e.target.value })} aria-label="Font family" className="border border-gray-300 rounded-md px-1 py-1 text-sm">
+                {FONT_FAMILIES.map(font => <option key={font.value} value={font.value}>{font.label}</option>)}
+            </select>
+            <select value={style.fontSize} onChange={(e) => onChange({ fontSize: Number(e.target.value) })} aria-label="Font size" className="border border-gray-300 rounded-md px-1 py-1 text-sm">
+                {FONT_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+            </select>
+            <button onClick={() => onChange({ bold: !style.bold })} className={toggleClass(style.bold)} title="Bold"><Bold size={18} /></button>
+            <button onClick={() => onChange({ italic: !style.italic })} className={toggleClass(style.italic)} title="Italic"><Italic size={18} /></button>
+            {ALIGNMENTS.map(({ value, icon }) => (
+                <button key={value} onClick={() => onChange({ align: value })} className={toggleClass(style.align === value)} title={`Align ${value}`}>{icon}</button>
+            ))}
+        </div>
+    );
+};
+
+export default TextOptions;
@@ -0,0 +1,19 @@
+"use client";
+import React from 'react';
+
+// A tool in the drawing toolbar. Only the active tool is in the tab order;
+// the toolbar moves the focus between tools with the arrow keys.
+const ToolButton = ({ label, title, icon, isActive, onSelect }) => (
+    <button
+        onClick={onSelect}
+        tabIndex={isActive ? 0 : -1}
+        aria-label={label}
+        aria-pressed={isActive}
+        className={`p-2 rounded-lg transition-colors duration-200 ${isActive ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'}`}
+        title={title}
+    >
+        {icon}
+    </button>
+);
+
+export default ToolButton;
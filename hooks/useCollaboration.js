@@ -0,0 +1,123 @@
+"use client";
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createId } from '@/lib/scene';
+
+const PEER_COLORS = ['#E11D48', '#2563EB', '#16A34A', '#D97706', '#9333EA', '#0891B2'];
+const CURSOR_INTERVAL = 30; // ms between cursor updates
+
+// The relay runs next to the dev server (see server/relay.mjs) unless
+// NEXT_PUBLIC_RELAY_URL points somewhere else.
+const getRelayUrl = () => process.env.NEXT_PUBLIC_RELAY_URL || `ws://${window.location.hostname}:4001`;
+
+// Connects the board to a room on the local relay. `handlers.onWelcome`
+// receives the room's elements, layers (null until someone shared them),
+// peers and name when joining and
+// `handlers.onRemoteOp` every operation applied by someone else in the room.
+const useCollaboration = (handlers) => {
+    const socketRef = useRef(null);
+    const handlersRef = useRef(handlers);
+    const roomRef = useRef(null);
+    const lastCursorRef = useRef(0);
+    const [status, setStatus] = useState('disconnected'); // 'disconnected', 'connecting', 'connected'
+    const [peers, setPeers] = useState({}); // id -> { id, name, color, position, draft }
+
+    useEffect(() => {
+        handlersRef.current = handlers;
+    });
+
+    const updatePeer = (id, changes) => {
+        setPeers(prev => (prev[id] ? { ...prev, [id]: { ...prev[id], ...changes } } : prev));
+    };
+
+    const handleMessage = (message) => {
+        switch (message.type) {
+            case 'welcome':
+                setPeers(Object.fromEntries(message.peers.map(peer => [peer.id, peer])));
+                handlersRef.current.onWelcome(message.elements, message.layers, message.peers, roomRef.current);
+                setStatus('connected');
+                break;
+            case 'join':
+                setPeers(prev => ({ ...prev, [message.user.id]: message.user }));
+                break;
+            case 'leave':
+                setPeers(prev => {
+                    const next = { ...prev };
+                    delete next[message.userId];
+                    return next;
+                });
+                break;
+            case 'op':
+                updatePeer(message.userId, { draft: null });
+                handlersRef.current.onRemoteOp(message.op);
+                break;
+            case 'draft':
+                updatePeer(message.userId, { draft: message.element });
+                break;
+            case 'cursor':
+                updatePeer(message.userId, { position: message.position });
+                break;
+            default:
+                break;
+        }
+    };
+
+    const connect = (room, name) => {
+        if (socketRef.current) socketRef.current.close();
+        const user = { id: createId(), name, color: PEER_COLORS[Math.floor(Math.random() * PEER_COLORS.length)] };
+        const socket = new WebSocket(getRelayUrl());
+        socketRef.current = socket;
+        roomRef.current = room;
+        setStatus('connecting');
+
+        socket.onopen = () => socket.send(JSON.stringify({ type: 'join', room, user }));
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            if (message && typeof message === 'object') handleMessage(message);
+        };
+        socket.onclose = () => {
+            if (socketRef.current !== socket) return;
+            socketRef.current = null;
+            setStatus('disconnected');
+            setPeers({});
+            if (handlersRef.current.onDisconnect) handlersRef.current.onDisconnect();
+        };
+    };
+
+    const disconnect = () => {
+        const socket = socketRef.current;
+        socketRef.current = null;
+        if (socket) socket.close();
+        setStatus('disconnected');
+        setPeers({});
+    };
+
+    useEffect(() => () => {
+        if (socketRef.current) socketRef.current.close();
+    }, []);
+
+    const send = useCallback((message) => {
+        const socket = socketRef.current;
+        if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    }, []);
+
+    const sendOp = useCallback((op) => send({ type: 'op', op }), [send]);
+
+    const sendDraft = useCallback((element) => send({ type: 'draft', element }), [send]);
+
+    // Cursor updates are throttled; hiding the cursor (null) always goes out.
+    const sendCursor = useCallback((position) => {
+        const now = Date.now();
+        if (position && now - lastCursorRef.current < CURSOR_INTERVAL) return;
+        lastCursorRef.current = now;
+        send({ type: 'cursor', position });
+    }, [send]);
+
+    return { status, peers, connect, disconnect, sendOp, sendDraft, sendCursor };
+};
+
+export default useCollaboration;
@@ -0,0 +1,120 @@
+// Audio for voice narration. Narration is recorded from the microphone and
+// kept as mono 16-bit PCM at NARRATION_SAMPLE_RATE, which is plenty for
+// speech and a third of the size of the usual 48 kHz.
+
+export const NARRATION_SAMPLE_RATE = 16000;
+
+const PROCESSOR_BUFFER_SIZE = 4096;
+
+// Decodes a base64 string into an ArrayBuffer.
+export const base64ToArrayBuffer = (base64) => {
+    const binaryString = atob(base64);
+    const len = binaryString.length;
+    const bytes = new Uint8Array(len);
+    for (let i = 0; i < len; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes.buffer;
+};
+
+// Converts raw PCM audio data into a playable WAV format.
+export const pcmToWav = (pcmData, sampleRate) => {
+    const header = new ArrayBuffer(44);
+    const view = new DataView(header);
+    const pcmLength = pcmData.length * 2; // 16-bit PCM
+
+    const writeString = (view, offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    // RIFF chunk descriptor
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + pcmLength, true);
+    writeString(view, 8, 'WAVE');
+    // "fmt " sub-chunk
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true); // Subchunk1Size
+    view.setUint16(20, 1, true); // AudioFormat (1 for PCM)
+    view.setUint16(22, 1, true); // NumChannels (1 for mono)
+    view.setUint32(24, sampleRate, true); // SampleRate
+    view.setUint32(28, sampleRate * 2, true); // ByteRate
+    view.setUint16(32, 2, true); // BlockAlign
+    view.setUint16(34, 16, true); // BitsPerSample
+    // "data" sub-chunk
+    writeString(view, 36, 'data');
+    view.setUint32(40, pcmLength, true);
+
+    return new Blob([header, pcmData], { type: 'audio/wav' });
+};
+
+// Encodes an ArrayBuffer as base64, the inverse of base64ToArrayBuffer.
+export const arrayBufferToBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+};
+
+// Resamples audio to a lower rate, averaging the input samples that fall
+// into each output sample so high frequencies do not fold back as noise.
+const downsample = (samples, fromRate, toRate) => {
+    if (toRate >= fromRate) return samples;
+    const ratio = fromRate / toRate;
+    const output = new Float32Array(Math.floor(samples.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+        const start = Math.floor(i * ratio);
+        const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+        let sum = 0;
+        for (let j = start; j < end; j++) sum += samples[j];
+        output[i] = sum / Math.max(1, end - start);
+    }
+    return output;
+};
+
+// Converts float samples (-1 to 1) to 16-bit PCM.
+const toPcm16 = (samples) => {
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        pcm[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+    return pcm;
+};
+
+// Starts recording the microphone. Resolves once recording has begun with
+// `stop()`, which ends it and returns the audio as 16-bit PCM at
+// NARRATION_SAMPLE_RATE. Rejects when there is no microphone or access to
+// it is denied.
+export const recordMicrophone = async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true } });
+    const context = new AudioContext();
+    const source = context.createMediaStreamSource(stream);
+    // A ScriptProcessorNode rather than an AudioWorklet, which would need a
+    // module served on its own.
+    const processor = context.createScriptProcessor(PROCESSOR_BUFFER_SIZE, 1, 1);
+    const chunks = [];
+    processor.onaudioprocess = (event) => chunks.push(new Float32Array(event.inputBuffer.getChannelData(0)));
+    source.connect(processor);
+    // The processor only runs while connected to an output; it outputs silence.
+    processor.connect(context.destination);
+
+    return {
+        stop: () => {
+            processor.disconnect();
+            source.disconnect();
+            stream.getTracks().forEach(track => track.stop());
+            context.close();
+            const samples = new Float32Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+            chunks.reduce((offset, chunk) => {
+                samples.set(chunk, offset);
+                return offset + chunk.length;
+            }, 0);
+            return toPcm16(downsample(samples, context.sampleRate, NARRATION_SAMPLE_RATE));
+        },
+    };
+};
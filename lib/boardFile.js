@@ -0,0 +1,134 @@
+import { createDefaultLayers } from './layers';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './audio';
+import { BACKGROUND_PATTERNS } from './grid';
+
+// Native `.iboard` file format: a lossless JSON copy of a board that can be
+// imported again to keep editing.
+//
+//   { format: 'iboard', version: 1, name, backgroundColor, backgroundPattern, layers, elements, viewport, narration, timeline }
+//
+// Elements and layers are stored exactly as they are on the board (tool,
+// points, color, lineWidth, z, layer, ...), so parseBoard(serializeBoard(board))
+// gives the board back. Files without layers put everything on one layer.
+// The viewport ({ x, y, zoom }, or null) is the view the board was saved in.
+// A recorded narration travels with the board, its PCM audio as base64:
+//   { timeline, sampleRate, audio }
+// So does the board's session timeline, for replays (see lib/timeline.js).
+
+export const BOARD_FILE_FORMAT = 'iboard';
+export const BOARD_FILE_VERSION = 1;
+export const BOARD_FILE_EXTENSION = '.iboard';
+
+export const serializeBoard = ({ name, backgroundColor, backgroundPattern = 'none', layers, elements, viewport = null, narration = null, timeline = null }) => JSON.stringify({
+    format: BOARD_FILE_FORMAT,
+    version: BOARD_FILE_VERSION,
+    name,
+    backgroundColor,
+    backgroundPattern,
+    layers,
+    elements,
+    viewport,
+    narration: narration && {
+        timeline: narration.timeline,
+        sampleRate: narration.sampleRate,
+        audio: arrayBufferToBase64(narration.pcm),
+    },
+    timeline,
+});
+
+const isPoint = (p) => p && typeof p.x === 'number' && typeof p.y === 'number';
+
+// Checks the basic shape of a stored element.
+export const isElement = (el) => (
+    el && typeof el.id === 'string' && typeof el.tool === 'string' && typeof el.z === 'number' &&
+    Array.isArray(el.points) && el.points.every(isPoint) &&
+    (el.tool !== 'fill' || (el.region && Array.isArray(el.region.spans)))
+);
+
+const isElementList = (list) => Array.isArray(list) && list.every(isElement);
+
+// Checks a scene operation (see lib/history.js) recorded in a timeline.
+const isOp = (op) => {
+    if (!op) return false;
+    switch (op.type) {
+        case 'add':
+        case 'remove':
+            return isElementList(op.elements);
+        case 'update':
+            return isElementList(op.before) && isElementList(op.after);
+        case 'batch':
+            return Array.isArray(op.ops) && op.ops.every(isOp);
+        default:
+            return false;
+    }
+};
+
+const isStep = (step) => step && typeof step.start === 'number' && typeof step.end === 'number' && isOp(step.op);
+
+const isTimeline = (timeline) => (
+    timeline && isElementList(timeline.elements) &&
+    Array.isArray(timeline.steps) && timeline.steps.every(isStep) && typeof timeline.duration === 'number'
+);
+
+const isNarration = (narration) => (
+    narration && typeof narration.sampleRate === 'number' && typeof narration.audio === 'string' &&
+    isTimeline(narration.timeline)
+);
+
+const isViewport = (viewport) => (
+    viewport && typeof viewport.x === 'number' && typeof viewport.y === 'number' && typeof viewport.zoom === 'number' && viewport.zoom > 0
+);
+
+const isLayer = (layer) => (
+    layer && typeof layer.id === 'string' && typeof layer.name === 'string' &&
+    typeof layer.visible === 'boolean' && typeof layer.locked === 'boolean' && typeof layer.opacity === 'number'
+);
+
+// Parses the contents of an `.iboard` file. Throws an Error with a readable
+// message when the file is not a valid board.
+export const parseBoard = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+    if (!data || data.format !== BOARD_FILE_FORMAT) {
+        throw new Error('The file is not an I-Board board');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('The file has no valid format version');
+    }
+    if (data.version > BOARD_FILE_VERSION) {
+        throw new Error('The board was saved by a newer version of I-Board');
+    }
+    if (!isElementList(data.elements)) {
+        throw new Error('The board contains invalid elements');
+    }
+    if (data.layers !== undefined && (!Array.isArray(data.layers) || data.layers.length === 0 || !data.layers.every(isLayer))) {
+        throw new Error('The board contains invalid layers');
+    }
+    if (data.viewport && !isViewport(data.viewport)) {
+        throw new Error('The board contains an invalid viewport');
+    }
+    if (data.narration && !isNarration(data.narration)) {
+        throw new Error('The board contains an invalid narration');
+    }
+    if (data.timeline && !isTimeline(data.timeline)) {
+        throw new Error('The board contains an invalid timeline');
+    }
+    return {
+        name: typeof data.name === 'string' ? data.name : 'Imported board',
+        backgroundColor: typeof data.backgroundColor === 'string' ? data.backgroundColor : '#FFFFFF',
+        backgroundPattern: BACKGROUND_PATTERNS.some(({ value }) => value === data.backgroundPattern) ? data.backgroundPattern : 'none',
+        layers: data.layers || createDefaultLayers(),
+        elements: data.elements,
+        viewport: data.viewport || null,
+        narration: data.narration ? {
+            timeline: data.narration.timeline,
+            sampleRate: data.narration.sampleRate,
+            pcm: base64ToArrayBuffer(data.narration.audio),
+        } : null,
+        timeline: data.timeline || null,
+    };
+};
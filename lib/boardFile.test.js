@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { serializeBoard, parseBoard, BOARD_FILE_FORMAT, BOARD_FILE_VERSION } from './boardFile';
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const layers = [
+    { id: 'layer-1', name: 'Layer 1', visible: true, locked: false, opacity: 1 },
+    { id: 'layer-2', name: 'Sketch', visible: false, locked: true, opacity: 0.5 },
+];
+
+const stroke = {
+    id: 'stroke', tool: 'pencil', z: 1, layer: 'layer-1', color: '#E69F00', lineWidth: 5,
+    points: [{ x: 0, y: 0, pressure: 0.2 }, { x: 10, y: 4, pressure: 0.8 }],
+};
+
+const board = {
+    name: 'Round trip',
+    backgroundColor: '#FAFAFA',
+    backgroundPattern: 'dots',
+    layers,
+    elements: [
+        stroke,
+        { id: 'rect', tool: 'rectangle', z: 2, layer: 'layer-2', color: '#0072B2', lineWidth: 3, points: [{ x: 5, y: 5 }, { x: 60, y: 40 }], strokeStyle: 'dashed', fillColor: '#F0E442', cornerRadius: 8, rotation: 0.5 },
+        { id: 'image', tool: 'image', z: 3, layer: 'layer-1', color: '#000000', lineWidth: 0, points: [{ x: -20, y: -20 }, { x: 80, y: 30 }], src: PIXEL, flipX: true },
+        { id: 'text', tool: 'text', z: 4, layer: 'layer-1', color: '#D55E00', lineWidth: 0, points: [{ x: 100, y: 100 }], text: 'Hello\nboard', fontFamily: 'Georgia, serif', fontSize: 32, bold: true, italic: false, align: 'center', width: 90, height: 76 },
+    ],
+    viewport: { x: -120.5, y: 48, zoom: 1.75 },
+    narration: null,
+    timeline: {
+        elements: [],
+        steps: [{ start: 0, end: 1.5, op: { type: 'add', elements: [stroke] } }],
+        duration: 2,
+    },
+};
+
+// The test board's file contents with some fields replaced.
+const fileWith = (changes) => JSON.stringify({ ...JSON.parse(serializeBoard(board)), ...changes });
+
+describe('board files', () => {
+    it('round-trips a board with its layers, images and viewport', () => {
+        expect(parseBoard(serializeBoard(board))).toEqual(board);
+    });
+
+    it('round-trips a narration with its audio', () => {
+        const pcm = new Int16Array([0, 1200, -1200, 32767, -32768]).buffer;
+        const narration = { timeline: board.timeline, sampleRate: 16000, pcm };
+        const parsed = parseBoard(serializeBoard({ ...board, narration }));
+        expect(parsed.narration.sampleRate).toBe(16000);
+        expect(parsed.narration.timeline).toEqual(board.timeline);
+        expect(new Int16Array(parsed.narration.pcm)).toEqual(new Int16Array(pcm));
+    });
+
+    it('puts the elements of files without layers on one default layer', () => {
+        const parsed = parseBoard(fileWith({ layers: undefined }));
+        expect(parsed.layers).toHaveLength(1);
+        expect(parsed.elements).toEqual(board.elements);
+    });
+
+    it.each([
+        ['text that is not JSON', '{ "format": ', /not valid JSON/],
+        ['JSON that is not an object', '42', /not an I-Board board/],
+        ['another format', fileWith({ format: 'excalidraw' }), /not an I-Board board/],
+        ['a file without a version', fileWith({ version: undefined }), /no valid format version/],
+        ['a version that is not a number', fileWith({ version: '1' }), /no valid format version/],
+        ['a newer version', fileWith({ version: BOARD_FILE_VERSION + 1 }), /newer version/],
+        ['elements that are not a list', fileWith({ elements: {} }), /invalid elements/],
+        ['an element without points', fileWith({ elements: [{ id: 'a', tool: 'pencil', z: 1 }] }), /invalid elements/],
+        ['an empty layer list', fileWith({ layers: [] }), /invalid layers/],
+        ['a broken viewport', fileWith({ viewport: { x: 0, y: 0, zoom: 0 } }), /invalid viewport/],
+        ['a timeline step with a broken operation', fileWith({ timeline: { ...board.timeline, steps: [{ start: 0, end: 1, op: { type: 'add' } }] } }), /invalid timeline/],
+    ])('rejects %s with a readable error', (_, text, message) => {
+        expect(() => parseBoard(text)).toThrow(message);
+    });
+
+    it('writes the format and version it reads', () => {
+        const data = JSON.parse(serializeBoard(board));
+        expect(data.format).toBe(BOARD_FILE_FORMAT);
+        expect(data.version).toBe(BOARD_FILE_VERSION);
+    });
+});
@@ -0,0 +1,70 @@
+import { createId, nextZ, sortByZ, translateElement, getSceneBounds } from './scene';
+import { isConnector } from './connectors';
+import { isElement } from './boardFile';
+import { exportPng } from './export';
+
+// Copied elements go to the system clipboard as JSON text, so they can be
+// pasted into another board or browser tab:
+//   { format: 'iboard-elements', version: 1, elements }
+// Where the browser allows it, a PNG of the selection is added next to the
+// text for pasting into other apps.
+
+const CLIPBOARD_FORMAT = 'iboard-elements';
+const CLIPBOARD_VERSION = 1;
+const CLIPBOARD_IMAGE_SCALE = 2;
+
+export const serializeElements = (elements) => JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    elements: sortByZ(elements),
+});
+
+// The elements in copied clipboard text, or null when the text is anything
+// else.
+export const parseElements = (text) => {
+    if (!text || !text.startsWith('{')) return null;
+    try {
+        const data = JSON.parse(text);
+        if (!data || data.format !== CLIPBOARD_FORMAT || data.version > CLIPBOARD_VERSION) return null;
+        if (!Array.isArray(data.elements) || data.elements.length === 0 || !data.elements.every(isElement)) return null;
+        return data.elements;
+    } catch {
+        return null;
+    }
+};
+
+// Writes elements to the system clipboard.
+export const copyElements = async (elements, layers = null) => {
+    const text = serializeElements(elements);
+    if (typeof ClipboardItem === 'undefined' || !navigator.clipboard.write) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    const image = exportPng(elements, getSceneBounds(elements), { scale: CLIPBOARD_IMAGE_SCALE, layers });
+    try {
+        await navigator.clipboard.write([new ClipboardItem({
+            'text/plain': new Blob([text], { type: 'text/plain' }),
+            'image/png': image,
+        })]);
+    } catch {
+        // Some browsers only take one type at a time.
+        await navigator.clipboard.writeText(text);
+    }
+};
+
+// Fresh copies of elements for pasting or duplicating: new ids, stacked
+// above everything in `scene`, shifted by `dx`/`dy` and placed on `layer`.
+// Lines keep their attachments to shapes copied along with them, and copied
+// groups become new groups of their own.
+export const cloneElements = (elements, scene, { dx = 0, dy = 0, layer }) => {
+    const ids = new Map(elements.map(el => [el.id, createId()]));
+    const groups = new Map([...new Set(elements.map(el => el.groupId).filter(Boolean))].map(groupId => [groupId, createId()]));
+    const rebind = (binding) => (binding && ids.has(binding.id) ? { ...binding, id: ids.get(binding.id) } : null);
+    const base = nextZ(scene);
+    return sortByZ(elements).map((el, index) => {
+        const copy = { ...translateElement(el, dx, dy), id: ids.get(el.id), z: base + index, layer };
+        if (el.groupId) copy.groupId = groups.get(el.groupId);
+        if (!isConnector(el)) return copy;
+        return { ...copy, startBinding: rebind(el.startBinding), endBinding: rebind(el.endBinding) };
+    });
+};
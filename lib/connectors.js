@@ -0,0 +1,84 @@
+import { sortByZ, getBaseBounds, getRotationCenter, rotatePoint } from './scene';
+
+// Lines and arrows drawn from or to a shape stay attached to it. Either end
+// can be bound to a shape with `startBinding` / `endBinding`:
+//   { id, anchor: { x, y } }
+// The anchor is the attached point relative to the shape's unrotated bounds
+// (0–1 on each axis), so it keeps its place on the shape when the shape is
+// moved, resized or rotated.
+
+const BINDABLE_TOOLS = ['rectangle', 'circle', 'ellipse', 'polygon', 'text', 'image', 'sticky'];
+
+export const isConnector = (el) => el.tool === 'line' || el.tool === 'arrow';
+
+// Converts a point into a shape's own, unrotated frame.
+const toShapeFrame = (shape, point) =>
+    (shape.rotation ? rotatePoint(point, -shape.rotation, getRotationCenter(shape)) : point);
+
+// The board position of an anchor on a shape.
+export const anchorPoint = (shape, anchor) => {
+    const bounds = getBaseBounds(shape);
+    const point = { x: bounds.x + anchor.x * bounds.width, y: bounds.y + anchor.y * bounds.height };
+    return shape.rotation ? rotatePoint(point, shape.rotation, getRotationCenter(shape)) : point;
+};
+
+// Binds a point to the topmost shape it lies on, if any. `tolerance` lets a
+// line end just outside a shape's outline still attach to it.
+export const findBinding = (elements, point, excludeId = null, tolerance = 4) => {
+    const shape = sortByZ(elements).reverse().find(el => {
+        if (el.id === excludeId || !BINDABLE_TOOLS.includes(el.tool)) return false;
+        const bounds = getBaseBounds(el);
+        const local = toShapeFrame(el, point);
+        return local.x >= bounds.x - tolerance && local.x <= bounds.x + bounds.width + tolerance &&
+            local.y >= bounds.y - tolerance && local.y <= bounds.y + bounds.height + tolerance;
+    });
+    if (!shape) return null;
+    const bounds = getBaseBounds(shape);
+    const local = toShapeFrame(shape, point);
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    return {
+        id: shape.id,
+        anchor: {
+            x: bounds.width ? clamp((local.x - bounds.x) / bounds.width) : 0.5,
+            y: bounds.height ? clamp((local.y - bounds.y) / bounds.height) : 0.5,
+        },
+    };
+};
+
+// Binds both ends of a freshly drawn or moved line to the shapes under them.
+export const bindConnector = (elements, connector) => {
+    const [start, end] = connector.points;
+    return {
+        ...connector,
+        startBinding: findBinding(elements, start, connector.id),
+        endBinding: findBinding(elements, end, connector.id),
+    };
+};
+
+// Moves the ends of every line attached to one of the `changed` shapes along
+// with them. `elements` is the scene before the change. Returns the lines
+// as they were and as they are now.
+export const followShapes = (elements, changed) => {
+    const shapes = new Map(elements.map(el => [el.id, el]));
+    changed.forEach(el => shapes.set(el.id, el));
+    const changedIds = new Set(changed.map(el => el.id));
+    const before = [];
+    const after = [];
+    elements.forEach(el => {
+        if (!isConnector(el) || changedIds.has(el.id)) return;
+        const { startBinding, endBinding } = el;
+        const moveStart = startBinding && changedIds.has(startBinding.id);
+        const moveEnd = endBinding && changedIds.has(endBinding.id);
+        if (!moveStart && !moveEnd) return;
+        const [start, end] = el.points;
+        before.push(el);
+        after.push({
+            ...el,
+            points: [
+                moveStart ? anchorPoint(shapes.get(startBinding.id), startBinding.anchor) : start,
+                moveEnd ? anchorPoint(shapes.get(endBinding.id), endBinding.anchor) : end,
+            ],
+        });
+    });
+    return { before, after };
+};
@@ -0,0 +1,43 @@
+import { getBounds } from './scene';
+import { getColorName } from './palettes';
+
+// Plain-text descriptions of board elements, for the object list that
+// screen readers read in place of the canvas. For example:
+//   'Rectangle, red, filled blue, 120 by 80 at 40, 60'
+//   'Text "Hello", black, at 10, 20'
+
+const SHAPE_NAMES = { line: 'Line', arrow: 'Arrow', rectangle: 'Rectangle', circle: 'Circle', ellipse: 'Ellipse', pencil: 'Drawing' };
+
+const MAX_QUOTE_LENGTH = 60;
+
+const quote = (text) => {
+    const line = text.replace(/\s+/g, ' ').trim();
+    if (!line) return 'with no text';
+    return `"${line.length > MAX_QUOTE_LENGTH ? `${line.slice(0, MAX_QUOTE_LENGTH - 1)}…` : line}"`;
+};
+
+const describeName = (el) => {
+    switch (el.tool) {
+        case 'text':
+            return `Text ${quote(el.text)}, ${getColorName(el.color).toLowerCase()}`;
+        case 'sticky':
+            return `${getColorName(el.fillColor)} sticky note ${quote(el.text)}`;
+        case 'frame':
+            return `Frame "${el.name}"`;
+        case 'image':
+            return 'Image';
+        case 'fill':
+            return `${getColorName(el.color)} fill`;
+        case 'polygon':
+            return `Polygon with ${el.points.length} corners, ${getColorName(el.color).toLowerCase()}${el.fillColor ? `, filled ${getColorName(el.fillColor).toLowerCase()}` : ''}`;
+        default:
+            return `${SHAPE_NAMES[el.tool] || el.tool}, ${getColorName(el.color).toLowerCase()}${el.fillColor ? `, filled ${getColorName(el.fillColor).toLowerCase()}` : ''}`;
+    }
+};
+
+// Describes an element by kind, color and where it is on the board.
+export const describeElement = (el) => {
+    const { x, y, width, height } = getBounds(el);
+    const size = el.tool === 'text' ? '' : `${Math.round(width)} by ${Math.round(height)} `;
+    return `${describeName(el)}, ${size}at ${Math.round(x)}, ${Math.round(y)}`;
+};
@@ -0,0 +1,76 @@
+import { getBounds } from './scene';
+import { renderToCanvas } from './render';
+import { preloadImages } from './images';
+import { sceneToSvg } from './svg';
+import { createPdf } from './pdf';
+import { serializeBoard } from './boardFile';
+import { getVisibleElements } from './layers';
+
+const PDF_PAGE_SIZE = 842; // points along the longer page side (A4)
+const PDF_MAX_PIXELS = 2400; // pixels along the longer side of a page image
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type, quality);
+});
+
+const intersects = (a, b) => (
+    a.x < b.x + b.width && a.x + a.width > b.x &&
+    a.y < b.y + b.height && a.y + a.height > b.y
+);
+
+// Turns a board name into a safe file name.
+export const toFileName = (name, extension) => `${(name || 'board').replace(/[^\w\- ]+/g, '').trim() || 'board'}${extension}`;
+
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// PNG of a world rectangle at `scale` device pixels per board unit.
+export const exportPng = async (elements, rect, { scale = 1, background = null, layers = null, pattern = null }) => {
+    await preloadImages(elements);
+    return canvasToBlob(renderToCanvas(elements, { ...rect, scale, background, layers, pattern }), 'image/png');
+};
+
+export const exportSvg = (elements, rect, { background = null, layers = null, pattern = null }) =>
+    new Blob([sceneToSvg(elements, rect, background, layers, pattern)], { type: 'image/svg+xml' });
+
+// Splits `rect` into tiles of `pageSize` world units and renders every tile
+// that has something on it as one PDF page. Hidden layers make no pages.
+export const exportPdf = async (allElements, rect, { pageSize, background = '#FFFFFF', layers = null, pattern = null }) => {
+    const elements = layers ? getVisibleElements(allElements, layers) : allElements;
+    await preloadImages(elements);
+    const boxes = elements.filter(el => el.tool !== 'eraser').map(getBounds);
+    const columns = Math.max(1, Math.ceil(rect.width / pageSize.width));
+    const rows = Math.max(1, Math.ceil(rect.height / pageSize.height));
+    const longest = Math.max(pageSize.width, pageSize.height);
+    const scale = Math.min(2, PDF_MAX_PIXELS / longest);
+
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            tiles.push({ x: rect.x + column * pageSize.width, y: rect.y + row * pageSize.height, ...pageSize });
+        }
+    }
+    const used = tiles.filter(tile => boxes.some(box => intersects(box, tile)));
+
+    const pages = [];
+    for (const tile of used.length > 0 ? used : tiles.slice(0, 1)) {
+        const canvas = renderToCanvas(elements, { ...tile, scale, background, layers, pattern });
+        const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+        pages.push({
+            width: PDF_PAGE_SIZE * tile.width / longest,
+            height: PDF_PAGE_SIZE * tile.height / longest,
+            image: { data: new Uint8Array(await jpeg.arrayBuffer()), width: canvas.width, height: canvas.height },
+        });
+    }
+    return createPdf(pages);
+};
+
+export const exportBoardFile = (board) => new Blob([serializeBoard(board)], { type: 'application/json' });
@@ -0,0 +1,150 @@
+// Flood fill over the pixels of the rendered board. Runs in a Web Worker
+// (see lib/fill.worker.js), so nothing here may touch the DOM.
+
+export const DEFAULT_FILL_OPTIONS = {
+    tolerance: 0.15, // share of the full color range a pixel may differ by
+    gapSize: 0, // outline breaks up to this many pixels wide are closed
+    expand: 0, // grow the result by this many pixels into the boundary
+};
+
+// Parses a #rrggbb color into an [r, g, b] array.
+export const hexToRgb = (hex) => {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)] : null;
+};
+
+// Marks every pixel that differs from the start pixel by more than
+// `tolerance`. Colors are compared premultiplied by alpha, so the
+// half-transparent edges of a stroke count as partly that stroke.
+const findBarriers = ({ data, width, height }, start, tolerance) => {
+    const limit = tolerance * 255;
+    const barriers = new Uint8Array(width * height);
+    for (let i = 0, offset = 0; i < barriers.length; i++, offset += 4) {
+        const alpha = data[offset + 3];
+        const scale = alpha / 255;
+        barriers[i] = Math.abs(alpha - start[3]) > limit ||
+            Math.abs(data[offset] * scale - start[0]) > limit ||
+            Math.abs(data[offset + 1] * scale - start[1]) > limit ||
+            Math.abs(data[offset + 2] * scale - start[2]) > limit ? 1 : 0;
+    }
+    return barriers;
+};
+
+// Premultiplied [r, g, b, a] of the pixel at `offset`.
+const pixelAt = (data, offset) => {
+    const scale = data[offset + 3] / 255;
+    return [data[offset] * scale, data[offset + 1] * scale, data[offset + 2] * scale, data[offset + 3]];
+};
+
+// Grows a mask by `radius` pixels in every direction (a square brush), one
+// axis at a time using running counts.
+export const dilate = (mask, width, height, radius) => {
+    if (radius <= 0) return mask;
+    const pass = (source, length, count, stride, step) => {
+        const result = new Uint8Array(source.length);
+        for (let line = 0; line < count; line++) {
+            const base = line * stride;
+            let inWindow = 0;
+            for (let i = 0; i < Math.min(radius, length); i++) inWindow += source[base + i * step];
+            for (let i = 0; i < length; i++) {
+                if (i + radius < length) inWindow += source[base + (i + radius) * step];
+                if (i - radius - 1 >= 0) inWindow -= source[base + (i - radius - 1) * step];
+                result[base + i * step] = inWindow > 0 ? 1 : 0;
+            }
+        }
+        return result;
+    };
+    const rows = pass(mask, width, height, width, 1);
+    return pass(rows, height, width, 1, width);
+};
+
+// Scanline fill: marks every open pixel connected to (startX, startY).
+// Each stack entry seeds a whole horizontal run instead of a single pixel.
+const scanlineFill = (open, width, height, startX, startY) => {
+    const filled = new Uint8Array(width * height);
+    const stack = [startX, startY];
+    while (stack.length > 0) {
+        const y = stack.pop();
+        let x = stack.pop();
+        const row = y * width;
+        if (filled[row + x] || !open[row + x]) continue;
+
+        while (x > 0 && open[row + x - 1] && !filled[row + x - 1]) x--;
+        let spanAbove = false;
+        let spanBelow = false;
+        for (; x < width && open[row + x] && !filled[row + x]; x++) {
+            filled[row + x] = 1;
+            if (y > 0) {
+                const above = open[row - width + x] && !filled[row - width + x];
+                if (above && !spanAbove) stack.push(x, y - 1);
+                spanAbove = above;
+            }
+            if (y + 1 < height) {
+                const below = open[row + width + x] && !filled[row + width + x];
+                if (below && !spanBelow) stack.push(x, y + 1);
+                spanBelow = below;
+            }
+        }
+    }
+    return filled;
+};
+
+// Flood fills the area of similar pixels around (startX, startY) and returns
+// it as row spans relative to the filled area's top-left pixel, or null when
+// there is nothing to fill (e.g. the area already has `fillColor`).
+//
+// With a `gapSize`, the boundary is first thickened so breaks narrower than
+// the gap stay closed, then the fill is grown back over the thickening.
+export const floodFillRegion = (imageData, startX, startY, fillColor, options = {}) => {
+    const { tolerance, gapSize, expand } = { ...DEFAULT_FILL_OPTIONS, ...options };
+    const { width, height, data } = imageData;
+    if (startX < 0 || startY < 0 || startX >= width || startY >= height) return null;
+
+    const start = pixelAt(data, (startY * width + startX) * 4);
+    if (start.every((c, i) => Math.abs(c - fillColor[i]) < 1)) return null;
+
+    const barriers = findBarriers(imageData, start, tolerance);
+    const radius = Math.ceil(gapSize / 2);
+    const open = dilate(barriers, width, height, radius).map(blocked => 1 - blocked);
+    if (!open[startY * width + startX]) return null;
+
+    let filled = scanlineFill(open, width, height, startX, startY);
+    if (radius > 0) {
+        // Reclaim what the thickened boundary covered, but not the boundary.
+        filled = dilate(filled, width, height, radius);
+        for (let i = 0; i < filled.length; i++) filled[i] &= 1 - barriers[i];
+    }
+    if (expand > 0) filled = dilate(filled, width, height, expand);
+    return encodeSpans(filled, width, height);
+};
+
+// Run-length encodes a pixel mask into row spans cropped to its bounds.
+export const encodeSpans = (mask, width, height) => {
+    const rows = [];
+    let left = width, right = -1, top = height, bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        let x = 0;
+        while (x < width) {
+            if (!mask[y * width + x]) {
+                x++;
+                continue;
+            }
+            const start = x;
+            while (x < width && mask[y * width + x]) x++;
+            rows.push(y, start, x - 1);
+            left = Math.min(left, start);
+            right = Math.max(right, x - 1);
+            top = Math.min(top, y);
+            bottom = Math.max(bottom, y);
+        }
+    }
+    if (right < 0) return null;
+
+    for (let i = 0; i < rows.length; i += 3) {
+        rows[i] -= top;
+        rows[i + 1] -= left;
+        rows[i + 2] -= left;
+    }
+    return { left, top, pixelWidth: right - left + 1, pixelHeight: bottom - top + 1, spans: rows };
+};
@@ -0,0 +1,7 @@
+import { floodFillRegion } from './fill';
+
+// Runs one flood fill per message: { id, imageData, x, y, fillColor, options }.
+self.onmessage = ({ data }) => {
+    const { id, imageData, x, y, fillColor, options } = data;
+    self.postMessage({ id, area: floodFillRegion(imageData, x, y, fillColor, options) });
+};
@@ -0,0 +1,36 @@
+import { floodFillRegion } from './fill';
+
+// Runs flood fills on a background thread so large canvases do not freeze
+// the UI. Falls back to the main thread where workers are unavailable.
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map(); // request id -> { resolve, reject }
+
+const getWorker = () => {
+    if (worker) return worker;
+    worker = new Worker(new URL('./fill.worker.js', import.meta.url));
+    worker.onmessage = ({ data }) => {
+        const request = pending.get(data.id);
+        pending.delete(data.id);
+        if (request) request.resolve(data.area);
+    };
+    worker.onerror = (event) => {
+        pending.forEach(request => request.reject(new Error(event.message || 'Fill failed')));
+        pending.clear();
+        worker.terminate();
+        worker = null;
+    };
+    return worker;
+};
+
+// Resolves with the same result as floodFillRegion. The pixel buffer is
+// handed over to the worker, so `imageData` cannot be used afterwards.
+export const fillInBackground = (imageData, x, y, fillColor, options) => {
+    if (typeof Worker === 'undefined') return Promise.resolve(floodFillRegion(imageData, x, y, fillColor, options));
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pending.set(id, { resolve, reject });
+        getWorker().postMessage({ id, imageData, x, y, fillColor, options }, [imageData.data.buffer]);
+    });
+};
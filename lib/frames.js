@@ -0,0 +1,41 @@
+// Frames: named rectangular regions of the board. When presenting, the
+// frames are shown full-screen one after another as slides, in the order of
+// their `slide` number.
+//   { tool: 'frame', points: [corner, corner], name, slide }
+// Frames are drawn under everything else on their layer, with their name
+// above the top-left corner.
+
+export const FRAME_COLOR = '#64748B';
+export const FRAME_LINE_WIDTH = 1.5;
+export const FRAME_LABEL_SIZE = 14;
+export const FRAME_LABEL_HEIGHT = 20; // room the name takes up above the frame
+export const FRAME_LABEL_FONT = 'Arial, Helvetica, sans-serif';
+
+export const isFrame = (el) => el.tool === 'frame';
+
+// The frames of a scene in slide order.
+export const getSlides = (elements) => elements.filter(isFrame).sort((a, b) => a.slide - b.slide || a.z - b.z);
+
+// Name and slide number for a new frame: 'Frame 1', 'Frame 2'... shown
+// after every existing frame.
+export const getNewFrameProps = (elements) => {
+    const frames = elements.filter(isFrame);
+    const numbers = frames.map(frame => Number((/^Frame (\d+)$/.exec(frame.name) || [])[1]) || 0);
+    return {
+        name: `Frame ${Math.max(0, ...numbers) + 1}`,
+        slide: Math.max(0, ...frames.map(frame => frame.slide)) + 1,
+    };
+};
+
+// Moves the slide at `index` by `offset` places and numbers the slides
+// from 1 again: { before, after }, the frames that changed, or null when
+// the slide cannot move that far.
+export const moveSlide = (slides, index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= slides.length) return null;
+    const order = [...slides];
+    const [frame] = order.splice(index, 1);
+    order.splice(target, 0, frame);
+    const changed = order.filter((el, i) => el.slide !== i + 1);
+    return { before: changed, after: changed.map(el => ({ ...el, slide: order.indexOf(el) + 1 })) };
+};
@@ -0,0 +1,256 @@
+// Animated GIF encoder (GIF89a) for exporting replays, with no dependencies.
+//
+// All frames share one global palette of up to 256 colors, built from
+// sample frames by popularity. Frames that repeat the previous one only
+// lengthen its delay, and every other frame only stores the rectangle that
+// changed since the last one.
+
+const MAX_COLORS = 256;
+const MAX_CODE = 4096; // LZW codes are at most 12 bits wide
+const MIN_CODE_SIZE = 8;
+
+// Colors are grouped by their top 5 bits per channel.
+const colorKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+// Picks the most common colors in RGBA sample frames, each the average of
+// the pixels in its group: [[r, g, b], ...].
+export const buildPalette = (samples) => {
+    const groups = new Map();
+    samples.forEach(data => {
+        for (let i = 0; i < data.length; i += 4) {
+            const key = colorKey(data[i], data[i + 1], data[i + 2]);
+            const group = groups.get(key);
+            if (group) {
+                group.count++;
+                group.r += data[i];
+                group.g += data[i + 1];
+                group.b += data[i + 2];
+            } else {
+                groups.set(key, { count: 1, r: data[i], g: data[i + 1], b: data[i + 2] });
+            }
+        }
+    });
+    return [...groups.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_COLORS)
+        .map(({ count, r, g, b }) => [Math.round(r / count), Math.round(g / count), Math.round(b / count)]);
+};
+
+// Maps RGBA pixels to palette indices, caching the nearest palette color of
+// every color group.
+const createIndexer = (palette) => {
+    const cache = new Int16Array(1 << 15).fill(-1);
+    const nearest = (r, g, b) => {
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach(([pr, pg, pb], index) => {
+            const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    };
+    return (data) => {
+        const indices = new Uint8Array(data.length / 4);
+        for (let i = 0; i < indices.length; i++) {
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const key = colorKey(r, g, b);
+            if (cache[key] === -1) cache[key] = nearest(r, g, b);
+            indices[i] = cache[key];
+        }
+        return indices;
+    };
+};
+
+// Growable byte buffer.
+const createByteWriter = () => {
+    let bytes = new Uint8Array(1 << 16);
+    let length = 0;
+    const ensure = (extra) => {
+        if (length + extra <= bytes.length) return;
+        const grown = new Uint8Array(Math.max(bytes.length * 2, length + extra));
+        grown.set(bytes.subarray(0, length));
+        bytes = grown;
+    };
+    return {
+        byte: (value) => {
+            ensure(1);
+            bytes[length++] = value;
+        },
+        word: (value) => {
+            ensure(2);
+            bytes[length++] = value & 0xFF;
+            bytes[length++] = (value >> 8) & 0xFF;
+        },
+        bytes: (values) => {
+            ensure(values.length);
+            bytes.set(values, length);
+            length += values.length;
+        },
+        string: (text) => {
+            ensure(text.length);
+            for (let i = 0; i < text.length; i++) bytes[length++] = text.charCodeAt(i);
+        },
+        result: () => bytes.slice(0, length),
+    };
+};
+
+// Compresses palette indices with GIF's variable-width LZW and writes them
+// as data sub-blocks.
+const writeLzw = (writer, indices) => {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    let nextCode = endCode + 1;
+    let codeSize = MIN_CODE_SIZE + 1;
+    let table = new Map();
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0;
+    let bitCount = 0;
+    const flushBlock = () => {
+        writer.byte(blockLength);
+        writer.bytes(block.subarray(0, blockLength));
+        blockLength = 0;
+    };
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bits & 0xFF;
+            if (blockLength === 255) flushBlock();
+            bits >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    writer.byte(MIN_CODE_SIZE);
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === MAX_CODE) {
+            emit(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = MIN_CODE_SIZE + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        block[blockLength++] = bits & 0xFF;
+        if (blockLength === 255) flushBlock();
+    }
+    if (blockLength > 0) flushBlock();
+    writer.byte(0);
+};
+
+// The smallest rectangle holding every pixel that differs between two
+// frames, or null when they are the same.
+const changedRect = (previous, indices, width, height) => {
+    let top = -1;
+    let bottom = -1;
+    let left = width;
+    let right = -1;
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        let first = -1;
+        let last = -1;
+        for (let x = 0; x < width; x++) {
+            if (previous[row + x] !== indices[row + x]) {
+                if (first === -1) first = x;
+                last = x;
+            }
+        }
+        if (first === -1) continue;
+        if (top === -1) top = y;
+        bottom = y;
+        left = Math.min(left, first);
+        right = Math.max(right, last);
+    }
+    if (top === -1) return null;
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+};
+
+const cropIndices = (indices, width, rect) => {
+    const cropped = new Uint8Array(rect.width * rect.height);
+    for (let y = 0; y < rect.height; y++) {
+        const start = (rect.y + y) * width + rect.x;
+        cropped.set(indices.subarray(start, start + rect.width), y * rect.width);
+    }
+    return cropped;
+};
+
+// Starts a looping GIF of `width` x `height` pixels. Add RGBA frames with
+// `addFrame(data, delay)` (delay in ms) and get the file from `finish()`.
+export const createGifEncoder = (width, height, palette) => {
+    const writer = createByteWriter();
+    const toIndices = createIndexer(palette);
+    let previous = null; // last frame written
+    let pending = null; // frame waiting to see whether the next one repeats it
+
+    writer.string('GIF89a');
+    writer.word(width);
+    writer.word(height);
+    writer.byte(0xF7); // global color table of 256 entries, 8 bits per channel
+    writer.byte(0); // background color index
+    writer.byte(0); // pixel aspect ratio
+    for (let i = 0; i < MAX_COLORS; i++) writer.bytes(palette[i] || [0, 0, 0]);
+    // Loop forever (NETSCAPE2.0 application extension)
+    writer.bytes([0x21, 0xFF, 0x0B]);
+    writer.string('NETSCAPE2.0');
+    writer.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    const writeFrame = ({ indices, delay }) => {
+        const rect = previous ? changedRect(previous, indices, width, height) : { x: 0, y: 0, width, height };
+        // Graphic control extension: keep the previous frame under this one
+        writer.bytes([0x21, 0xF9, 0x04, 0x04]);
+        writer.word(Math.max(2, Math.round(delay / 10)));
+        writer.bytes([0x00, 0x00]);
+        // Image descriptor
+        writer.byte(0x2C);
+        writer.word(rect.x);
+        writer.word(rect.y);
+        writer.word(rect.width);
+        writer.word(rect.height);
+        writer.byte(0);
+        writeLzw(writer, rect.width === width && rect.height === height ? indices : cropIndices(indices, width, rect));
+        previous = indices;
+    };
+
+    const isRepeat = (indices) => pending && pending.indices.every((value, i) => value === indices[i]);
+
+    return {
+        addFrame: (data, delay) => {
+            const indices = toIndices(data);
+            if (isRepeat(indices)) {
+                pending.delay += delay;
+                return;
+            }
+            if (pending) writeFrame(pending);
+            pending = { indices, delay };
+        },
+        finish: () => {
+            if (pending) writeFrame(pending);
+            pending = null;
+            writer.byte(0x3B);
+            return new Blob([writer.result()], { type: 'image/gif' });
+        },
+    };
+};
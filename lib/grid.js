@@ -0,0 +1,186 @@
+import { hexToRgb } from './fill';
+
+// Background patterns, drawn in board units so they pan and zoom with the
+// board. Each board keeps its pattern as `backgroundPattern`; the grid that
+// shapes snap to follows it.
+
+export const BACKGROUND_PATTERNS = [
+    { value: 'none', label: 'Plain' },
+    { value: 'dots', label: 'Dot grid' },
+    { value: 'squares', label: 'Square grid' },
+    { value: 'ruled', label: 'Ruled lines' },
+    { value: 'isometric', label: 'Isometric' },
+    { value: 'staff', label: 'Music staff' },
+];
+
+export const GRID_SIZE = 20; // board units between grid lines
+const MAJOR_EVERY = 5; // every fifth square grid line is stronger
+const RULED_SPACING = 30;
+const STAFF_LINE_SPACING = 10;
+const STAFF_LINES = 5;
+const STAFF_GAP = 80; // between the bottom line of a staff and the top of the next
+const STAFF_PERIOD = (STAFF_LINES - 1) * STAFF_LINE_SPACING + STAFF_GAP;
+const ISO_COLUMN = GRID_SIZE * Math.sqrt(3) / 2; // between vertical isometric lines
+const MIN_SCREEN_SPACING = 8; // px; patterns this dense are thinned out when zoomed out
+
+const round = (value, step) => Math.round(value / step) * step;
+
+// Grey that shows on light and dark backgrounds alike.
+const patternRgb = (background) => {
+    const rgb = hexToRgb(background || '#FFFFFF');
+    const isDark = rgb && (rgb[0] * 0.299 + rgb[1] * 0.587 + rgb[2] * 0.114) < 128;
+    return isDark ? '255, 255, 255' : '71, 85, 105';
+};
+
+const patternColor = (background, alpha) => `rgba(${patternRgb(background)}, ${alpha})`;
+
+// Multiplies a spacing by MAJOR_EVERY until it is wide enough on screen.
+const visibleSpacing = (spacing, zoom) => {
+    let step = spacing;
+    while (step * zoom < MIN_SCREEN_SPACING) step *= MAJOR_EVERY;
+    return step;
+};
+
+// Values from `start` to `end` that are multiples of `step`.
+const multiples = (start, end, step) => {
+    const values = [];
+    for (let value = Math.floor(start / step) * step; value <= end; value += step) values.push(value);
+    return values;
+};
+
+const strokeLines = (context, lines, color, width) => {
+    context.beginPath();
+    lines.forEach(([x1, y1, x2, y2]) => {
+        context.moveTo(x1, y1);
+        context.lineTo(x2, y2);
+    });
+    context.strokeStyle = color;
+    context.lineWidth = width;
+    context.stroke();
+};
+
+// Draws `pattern` over the world rectangle `rect` on a context already
+// transformed to board units, `zoom` screen pixels per unit.
+export const drawPattern = (context, pattern, rect, { zoom = 1, background = '#FFFFFF' } = {}) => {
+    if (!pattern || pattern === 'none') return;
+    const { x, y, width, height } = rect;
+    const right = x + width;
+    const bottom = y + height;
+    const hairline = 1 / zoom;
+    const color = patternColor(background, 0.35);
+    const strong = patternColor(background, 0.6);
+    context.save();
+
+    if (pattern === 'dots') {
+        const step = visibleSpacing(GRID_SIZE, zoom);
+        const size = 1.5 / zoom;
+        context.beginPath();
+        multiples(x, right, step).forEach(dotX => multiples(y, bottom, step).forEach(dotY => {
+            context.rect(dotX - size / 2, dotY - size / 2, size, size);
+        }));
+        context.fillStyle = strong;
+        context.fill();
+    } else if (pattern === 'squares') {
+        const step = visibleSpacing(GRID_SIZE, zoom);
+        const major = step * MAJOR_EVERY;
+        const lines = [
+            ...multiples(x, right, step).map(lineX => [lineX, y, lineX, bottom, lineX % major === 0]),
+            ...multiples(y, bottom, step).map(lineY => [x, lineY, right, lineY, lineY % major === 0]),
+        ];
+        strokeLines(context, lines.filter(line => !line[4]), color, hairline);
+        strokeLines(context, lines.filter(line => line[4]), strong, hairline);
+    } else if (pattern === 'ruled') {
+        const step = visibleSpacing(RULED_SPACING, zoom);
+        strokeLines(context, multiples(y, bottom, step).map(lineY => [x, lineY, right, lineY]), strong, hairline);
+    } else if (pattern === 'isometric') {
+        // Vertical lines and lines at 30° either side of horizontal, all
+        // meeting on a triangular lattice with sides of the grid size
+        const factor = visibleSpacing(GRID_SIZE, zoom) / GRID_SIZE;
+        const column = ISO_COLUMN * factor;
+        const rise = GRID_SIZE * factor;
+        const slope = 1 / Math.sqrt(3);
+        const lines = multiples(x, right, column).map(lineX => [lineX, y, lineX, bottom]);
+        multiples(y - right * slope, bottom - x * slope, rise).forEach(c => lines.push([x, x * slope + c, right, right * slope + c]));
+        multiples(y + x * slope, bottom + right * slope, rise).forEach(c => lines.push([x, c - x * slope, right, c - right * slope]));
+        strokeLines(context, lines, color, hairline);
+    } else if (pattern === 'staff' && STAFF_LINE_SPACING * zoom >= 2) {
+        const lines = [];
+        multiples(y - STAFF_PERIOD, bottom, STAFF_PERIOD).forEach(top => {
+            for (let i = 0; i < STAFF_LINES; i++) lines.push([x, top + i * STAFF_LINE_SPACING, right, top + i * STAFF_LINE_SPACING]);
+        });
+        strokeLines(context, lines, strong, hairline);
+    }
+    context.restore();
+};
+
+const svgNumber = (n) => Math.round(n * 100) / 100;
+
+const svgLines = (lines, color, opacity) => {
+    const data = lines.map(([x1, y1, x2, y2]) => `M${svgNumber(x1)} ${svgNumber(y1)}L${svgNumber(x2)} ${svgNumber(y2)}`).join('');
+    return `<path d="${data}" fill="none" stroke="rgb(${color})" stroke-opacity="${opacity}" stroke-width="1"/>`;
+};
+
+// `pattern` as an SVG <pattern> with the id `id`, for filling the
+// background of an SVG export the way drawPattern draws it at 100% zoom,
+// or '' for no pattern. Tiles start at the board origin; lines on a tile's
+// edge are drawn on both edges so the halves of neighbouring tiles meet.
+export const patternToSvg = (pattern, id, background = '#FFFFFF') => {
+    const color = patternRgb(background);
+    let width;
+    let height;
+    let content;
+    if (pattern === 'dots') {
+        width = GRID_SIZE;
+        height = GRID_SIZE;
+        const size = 1.5;
+        content = [[0, 0], [width, 0], [0, height], [width, height]]
+            .map(([x, y]) => `<rect x="${x - size / 2}" y="${y - size / 2}" width="${size}" height="${size}"/>`).join('');
+        content = `<g fill="rgb(${color})" fill-opacity="0.6">${content}</g>`;
+    } else if (pattern === 'squares') {
+        width = GRID_SIZE * MAJOR_EVERY;
+        height = width;
+        const minor = multiples(GRID_SIZE, width - GRID_SIZE, GRID_SIZE);
+        content = svgLines([...minor.map(v => [v, 0, v, height]), ...minor.map(v => [0, v, width, v])], color, 0.35) +
+            svgLines([[0, 0, 0, height], [width, 0, width, height], [0, 0, width, 0], [0, height, width, height]], color, 0.6);
+    } else if (pattern === 'ruled') {
+        width = RULED_SPACING;
+        height = RULED_SPACING;
+        content = svgLines([[0, 0, width, 0], [0, height, width, height]], color, 0.6);
+    } else if (pattern === 'isometric') {
+        width = ISO_COLUMN * 2;
+        height = GRID_SIZE;
+        const slope = 1 / Math.sqrt(3);
+        const lines = [[0, 0, 0, height], [ISO_COLUMN, 0, ISO_COLUMN, height], [width, 0, width, height]];
+        [-1, 0, 1].forEach(k => lines.push([0, k * GRID_SIZE, width, k * GRID_SIZE + width * slope]));
+        [0, 1, 2].forEach(k => lines.push([0, k * GRID_SIZE, width, k * GRID_SIZE - width * slope]));
+        content = svgLines(lines, color, 0.35);
+    } else if (pattern === 'staff') {
+        width = GRID_SIZE;
+        height = STAFF_PERIOD;
+        const lines = Array.from({ length: STAFF_LINES }, (_, i) => [0, i * STAFF_LINE_SPACING, width, i * STAFF_LINE_SPACING]);
+        content = svgLines([...lines, [0, height, width, height]], color, 0.6);
+    } else {
+        return '';
+    }
+    return `<pattern id="${id}" patternUnits="userSpaceOnUse" x="0" y="0" width="${svgNumber(width)}" height="${svgNumber(height)}">${content}</pattern>`;
+};
+
+// The nearest point of the grid that goes with `pattern`: the lattice of
+// an isometric grid, ruled lines, the lines and spaces of a staff, or
+// squares of the grid size otherwise.
+export const snapToGrid = (point, pattern) => {
+    if (pattern === 'isometric') {
+        const nearest = Math.round(point.x / ISO_COLUMN);
+        let best = null;
+        for (let column = nearest - 1; column <= nearest + 1; column++) {
+            const offset = Math.abs(column % 2) === 1 ? GRID_SIZE / 2 : 0;
+            const candidate = { x: column * ISO_COLUMN, y: round(point.y - offset, GRID_SIZE) + offset };
+            const distance = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+            if (!best || distance < best.distance) best = { ...candidate, distance };
+        }
+        return { x: best.x, y: best.y };
+    }
+    if (pattern === 'ruled') return { x: round(point.x, GRID_SIZE), y: round(point.y, RULED_SPACING) };
+    if (pattern === 'staff') return { x: round(point.x, GRID_SIZE), y: round(point.y, STAFF_LINE_SPACING / 2) };
+    return { x: round(point.x, GRID_SIZE), y: round(point.y, GRID_SIZE) };
+};
@@ -0,0 +1,21 @@
+import { createId } from './scene';
+
+// Groups: elements that share a `groupId` are selected, moved and
+// transformed together, as if they were one.
+
+// The ids `ids` together with every element grouped with one of them.
+export const expandToGroups = (elements, ids) => {
+    const groups = new Set(elements.filter(el => ids.includes(el.id) && el.groupId).map(el => el.groupId));
+    if (groups.size === 0) return ids;
+    return [...new Set([...ids, ...elements.filter(el => groups.has(el.groupId)).map(el => el.id)])];
+};
+
+// Copies of elements joined into one new group. Groups they were in before
+// are merged into it.
+export const groupElements = (elements) => {
+    const groupId = createId();
+    return elements.map(el => ({ ...el, groupId }));
+};
+
+// Copies of the grouped ones among `elements`, taken out of their groups.
+export const ungroupElements = (elements) => elements.filter(el => el.groupId).map(el => ({ ...el, groupId: null }));
@@ -0,0 +1,167 @@
+// Operation-based undo/redo history.
+//
+// Instead of snapshotting the whole board after every action, each history
+// entry stores the operation that was applied to the scene:
+//   { type: 'add', elements }           - elements were added
+//   { type: 'remove', elements }        - elements were removed
+//   { type: 'update', before, after }   - elements were replaced (matched by id)
+//   { type: 'batch', ops }              - several operations applied in order
+//   { type: 'layers', before, after }   - the layer list was replaced
+// Undo applies the inverse operation, redo re-applies the original one.
+// The history holds the board's layers next to its elements, so layer
+// changes undo together with the element changes made with them.
+
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+// Applies an operation to a scene and returns the new scene.
+export const applyOp = (elements, op) => {
+    switch (op.type) {
+        case 'add':
+            return [...elements, ...op.elements];
+        case 'remove': {
+            const ids = new Set(op.elements.map(el => el.id));
+            return elements.filter(el => !ids.has(el.id));
+        }
+        case 'update': {
+            const replacements = new Map(op.after.map(el => [el.id, el]));
+            return elements.map(el => replacements.get(el.id) || el);
+        }
+        case 'batch':
+            return op.ops.reduce(applyOp, elements);
+        default:
+            return elements;
+    }
+};
+
+// Applies an operation to a layer list; only layer operations change it.
+export const applyLayersOp = (layers, op) => {
+    switch (op.type) {
+        case 'layers':
+            return op.after;
+        case 'batch':
+            return op.ops.reduce(applyLayersOp, layers);
+        default:
+            return layers;
+    }
+};
+
+// Returns the operation that undoes the given one.
+export const invertOp = (op) => {
+    switch (op.type) {
+        case 'add':
+            return { type: 'remove', elements: op.elements };
+        case 'remove':
+            return { type: 'add', elements: op.elements };
+        case 'update':
+        case 'layers':
+            return { type: op.type, before: op.after, after: op.before };
+        case 'batch':
+            return { type: 'batch', ops: [...op.ops].reverse().map(invertOp) };
+        default:
+            return op;
+    }
+};
+
+// Describes the changes between two scenes as a single operation, or returns
+// null when they hold the same elements. Elements are immutable, so a changed
+// element is one whose object identity differs.
+export const diffScenes = (before, after) => {
+    if (before === after) return null;
+    const beforeById = new Map(before.map(el => [el.id, el]));
+    const afterIds = new Set(after.map(el => el.id));
+
+    const added = [];
+    const updatedBefore = [];
+    const updatedAfter = [];
+    after.forEach(el => {
+        const previous = beforeById.get(el.id);
+        if (!previous) {
+            added.push(el);
+        } else if (previous !== el) {
+            updatedBefore.push(previous);
+            updatedAfter.push(el);
+        }
+    });
+    const removed = before.filter(el => !afterIds.has(el.id));
+
+    const ops = [];
+    if (removed.length > 0) ops.push({ type: 'remove', elements: removed });
+    if (added.length > 0) ops.push({ type: 'add', elements: added });
+    if (updatedAfter.length > 0) ops.push({ type: 'update', before: updatedBefore, after: updatedAfter });
+    if (ops.length === 0) return null;
+    return ops.length === 1 ? ops[0] : { type: 'batch', ops };
+};
+
+// Creates an empty history around an initial scene and its layers. `step`
+// is the number of entries currently applied; entries past it can be redone.
+export const createHistory = (elements = [], layers = []) => ({ elements, layers, entries: [], step: 0 });
+
+const applyToHistory = (history, op) => ({
+    ...history,
+    elements: applyOp(history.elements, op),
+    layers: applyLayersOp(history.layers, op),
+});
+
+const MERGEABLE_TYPES = ['update', 'layers'];
+
+// Elements of `earlier` and `later` by id, keeping the first copy of each.
+const unionById = (earlier, later) => {
+    const ids = new Set(earlier.map(el => el.id));
+    return [...earlier, ...later.filter(el => !ids.has(el.id))];
+};
+
+// One update for `first` followed by `second`: every element touched by
+// either, as it was before `first` and as `second` left it.
+const mergeOps = (first, second) => {
+    if (second.type === 'layers') return { ...second, before: first.before };
+    return { ...second, before: unionById(first.before, second.before), after: unionById(second.after, first.after) };
+};
+
+// Applies an operation and records it, dropping any redoable entries and
+// the oldest entries beyond `limit`. Consecutive updates sharing a `key`
+// (e.g. dragging the color picker) are merged into a single entry.
+export const record = (history, op, { label, key = null, limit = DEFAULT_HISTORY_LIMIT }) => {
+    const entries = history.entries.slice(0, history.step);
+    const last = entries[entries.length - 1];
+
+    if (key !== null && last && last.key === key && last.op.type === op.type && MERGEABLE_TYPES.includes(op.type) && history.step === history.entries.length) {
+        entries[entries.length - 1] = { ...last, op: mergeOps(last.op, op), at: Date.now() };
+    } else {
+        entries.push({ label, key, op, at: Date.now() });
+    }
+
+    const trimmed = entries.slice(Math.max(0, entries.length - limit));
+    return { ...applyToHistory(history, op), entries: trimmed, step: trimmed.length };
+};
+
+export const canUndo = (history) => history.step > 0;
+
+export const canRedo = (history) => history.step < history.entries.length;
+
+export const undo = (history) => {
+    if (!canUndo(history)) return history;
+    const entry = history.entries[history.step - 1];
+    return { ...applyToHistory(history, invertOp(entry.op)), step: history.step - 1 };
+};
+
+export const redo = (history) => {
+    if (!canRedo(history)) return history;
+    const entry = history.entries[history.step];
+    return { ...applyToHistory(history, entry.op), step: history.step + 1 };
+};
+
+// Undoes or redoes entries until `step` entries are applied.
+export const jumpTo = (history, step) => {
+    let current = history;
+    while (current.step > step && canUndo(current)) current = undo(current);
+    while (current.step < step && canRedo(current)) current = redo(current);
+    return current;
+};
+
+// Drops the oldest entries so no more than `limit` remain.
+export const trimHistory = (history, limit) => {
+    const excess = history.entries.length - limit;
+    if (excess <= 0) return history;
+    const dropped = Math.min(excess, history.step);
+    return { ...history, entries: history.entries.slice(dropped, dropped + limit), step: history.step - dropped };
+};
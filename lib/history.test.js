@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { createHistory, record, undo, redo } from './history';
+
+const a = { id: 'a', tool: 'rectangle', color: '#000000' };
+const b = { id: 'b', tool: 'line', color: '#000000' };
+
+const recolor = (el, color) => ({ type: 'update', before: [el], after: [{ ...el, color }] });
+
+describe('history', () => {
+    it('merges updates sharing a key into one entry', () => {
+        let history = createHistory([a, b]);
+        history = record(history, recolor(a, '#111111'), { label: 'Recolor', key: 'color' });
+        history = record(history, recolor({ ...a, color: '#111111' }, '#222222'), { label: 'Recolor', key: 'color' });
+        expect(history.entries).toHaveLength(1);
+        expect(undo(history).elements).toEqual([a, b]);
+    });
+
+    it('keeps the earliest snapshot of every element a merged entry touched', () => {
+        const moved = { ...b, color: '#333333' };
+        let history = createHistory([a, b]);
+        history = record(history, { type: 'update', before: [a], after: [{ ...a, color: '#111111' }] }, { label: 'Restyle', key: 'style' });
+        history = record(history, { type: 'update', before: [{ ...a, color: '#111111' }, b], after: [{ ...a, color: '#222222' }, moved] }, { label: 'Restyle', key: 'style' });
+        history = record(history, { type: 'update', before: [{ ...a, color: '#222222' }], after: [{ ...a, color: '#444444' }] }, { label: 'Restyle', key: 'style' });
+        expect(history.entries).toHaveLength(1);
+        expect(history.elements).toEqual([{ ...a, color: '#444444' }, moved]);
+        const undone = undo(history);
+        expect(undone.elements).toEqual([a, b]);
+        expect(redo(undone).elements).toEqual(history.elements);
+    });
+
+    it('keeps the first layer list of merged layer changes', () => {
+        const layers = [{ id: 'layer-1', opacity: 1 }];
+        let history = createHistory([], layers);
+        history = record(history, { type: 'layers', before: layers, after: [{ id: 'layer-1', opacity: 0.8 }] }, { label: 'Opacity', key: 'opacity' });
+        history = record(history, { type: 'layers', before: history.layers, after: [{ id: 'layer-1', opacity: 0.5 }] }, { label: 'Opacity', key: 'opacity' });
+        expect(history.entries).toHaveLength(1);
+        expect(undo(history).layers).toEqual(layers);
+    });
+
+    it('does not merge updates with different keys', () => {
+        let history = createHistory([a]);
+        history = record(history, recolor(a, '#111111'), { label: 'Recolor', key: 'color:a' });
+        history = record(history, recolor({ ...a, color: '#111111' }, '#222222'), { label: 'Recolor', key: 'color:b' });
+        expect(history.entries).toHaveLength(2);
+    });
+});
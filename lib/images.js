@@ -0,0 +1,65 @@
+// Image elements keep their picture as a data URL in `src`:
+//   { tool: 'image', points: [corner, oppositeCorner], src, rotation }
+// Decoded images are cached here, keyed by that data URL, so redraws do not
+// decode them again.
+
+const MAX_IMAGE_SIZE = 2048; // px along the longer side of an imported image
+
+const cache = new Map();
+const listeners = new Set();
+
+const loadImage = (src) => {
+    let image = cache.get(src);
+    if (!image) {
+        image = new Image();
+        image.onload = () => listeners.forEach(listener => listener());
+        image.src = src;
+        cache.set(src, image);
+    }
+    return image;
+};
+
+// Returns the decoded image for a data URL, or null while it is still loading.
+export const getImage = (src) => {
+    const image = loadImage(src);
+    return image.complete && image.naturalWidth > 0 ? image : null;
+};
+
+// Calls `listener` whenever a cached image finishes loading.
+export const onImageLoad = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// Waits until every image element of a scene is decoded, e.g. before export.
+export const preloadImages = (elements) => Promise.all(
+    elements.filter(el => el.tool === 'image').map(el => loadImage(el.src).decode().catch(() => {})),
+);
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+// Reads an image file into a data URL, scaling very large pictures down.
+// Resolves with { src, width, height } in image pixels.
+export const readImageFile = async (file) => {
+    const original = await readAsDataUrl(file);
+    const image = loadImage(original);
+    await image.decode();
+
+    const { naturalWidth: width, naturalHeight: height } = image;
+    const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(width, height));
+    if (scale === 1) return { src: original, width, height };
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    const type = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+    return { src: canvas.toDataURL(type, 0.9), width: canvas.width, height: canvas.height };
+};
+
+export const isImageFile = (file) => file && file.type.startsWith('image/');
@@ -0,0 +1,37 @@
+// Laser pointer: strokes drawn over the board that are not part of it and
+// fade out shortly after they were drawn. A trail is the list of points the
+// pointer passed, each with the time it was there:
+//   [{ x, y, time }]   (time in ms, as from performance.now())
+
+export const LASER_FADE = 1000; // ms a point stays visible
+export const LASER_COLOR = '#EF4444';
+export const LASER_WIDTH = 4; // screen px
+
+// Checks whether any part of a trail is still visible at `now`.
+export const isTrailVisible = (trail, now) => trail.length > 0 && now - trail[trail.length - 1].time < LASER_FADE;
+
+// Draws laser trails, each segment fading with the age of its newer end.
+// The width stays LASER_WIDTH screen pixels at any zoom.
+export const drawLaserTrails = (context, trails, now, zoom = 1) => {
+    context.save();
+    context.globalCompositeOperation = 'source-over';
+    context.strokeStyle = LASER_COLOR;
+    context.lineWidth = LASER_WIDTH / zoom;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.shadowColor = LASER_COLOR;
+    context.shadowBlur = 8;
+    trails.forEach(trail => {
+        trail.forEach((point, i) => {
+            const age = now - point.time;
+            if (age >= LASER_FADE) return;
+            context.globalAlpha = 1 - age / LASER_FADE;
+            context.beginPath();
+            const from = i > 0 ? trail[i - 1] : point;
+            context.moveTo(from.x, from.y);
+            context.lineTo(point.x, point.y);
+            context.stroke();
+        });
+    });
+    context.restore();
+};
@@ -0,0 +1,72 @@
+import { createId } from './scene';
+
+// Layers group the elements of a board. Every element names its layer in
+// `layer`, and a board lists its drawing layers bottom first:
+//   { id, name, visible, locked, opacity }
+// The board background lies below all of them as a fixed, locked layer of
+// its own, so nothing drawn or erased can touch it.
+
+export const createLayer = (name) => ({ id: createId(), name, visible: true, locked: false, opacity: 1 });
+
+export const createDefaultLayers = () => [createLayer('Layer 1')];
+
+// A name for a new layer that is not taken yet: 'Layer 2', 'Layer 3'...
+export const nextLayerName = (layers) => {
+    const numbers = layers.map(layer => Number((/^Layer (\d+)$/.exec(layer.name) || [])[1]) || 0);
+    return `Layer ${Math.max(0, ...numbers) + 1}`;
+};
+
+// The layer an element is drawn on. Elements naming a layer the board does
+// not have, e.g. from before layers existed, go on the bottom layer.
+export const getLayerId = (el, layers) => (layers.some(layer => layer.id === el.layer) ? el.layer : layers[0].id);
+
+export const getLayerElements = (elements, layers, layerId) => elements.filter(el => getLayerId(el, layers) === layerId);
+
+// Splits a scene into its layers: layer id -> elements.
+export const groupByLayer = (elements, layers) => {
+    const groups = new Map(layers.map(layer => [layer.id, []]));
+    elements.forEach(el => groups.get(getLayerId(el, layers)).push(el));
+    return groups;
+};
+
+// Elements of the visible layers only.
+export const getVisibleElements = (elements, layers) => {
+    const hidden = new Set(layers.filter(layer => !layer.visible).map(layer => layer.id));
+    return hidden.size === 0 ? elements : elements.filter(el => !hidden.has(getLayerId(el, layers)));
+};
+
+// Elements of the layers that can be changed: visible and unlocked.
+export const getEditableElements = (elements, layers) => {
+    const editable = new Set(layers.filter(layer => layer.visible && !layer.locked).map(layer => layer.id));
+    return elements.filter(el => editable.has(getLayerId(el, layers)));
+};
+
+export const updateLayer = (layers, id, changes) => layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer));
+
+export const moveLayer = (layers, fromIndex, toIndex) => {
+    const result = [...layers];
+    const [layer] = result.splice(fromIndex, 1);
+    result.splice(toIndex, 0, layer);
+    return result;
+};
+
+// Moves the elements of a layer onto the layer below it, stacked above that
+// layer's own elements. Returns the element updates to record and the
+// remaining layers. The merged elements take on the lower layer's opacity,
+// and its eraser strokes now also cut into the lower layer's content.
+export const mergeDown = (elements, layers, layerId) => {
+    const index = layers.findIndex(layer => layer.id === layerId);
+    if (index <= 0) return null;
+    const below = layers[index - 1];
+    const upper = getLayerElements(elements, layers, layerId);
+    const lower = getLayerElements(elements, layers, below.id);
+    const base = lower.reduce((max, el) => Math.max(max, el.z), -Infinity);
+    const lowest = upper.reduce((min, el) => Math.min(min, el.z), Infinity);
+    const offset = upper.length > 0 && lower.length > 0 && lowest <= base ? base - lowest + 1 : 0;
+    return {
+        before: upper,
+        after: upper.map(el => ({ ...el, layer: below.id, z: el.z + offset })),
+        layers: layers.filter(layer => layer.id !== layerId),
+        activeLayerId: below.id,
+    };
+};
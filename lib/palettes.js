@@ -0,0 +1,137 @@
+import { createId } from './scene';
+import { hexToRgb } from './fill';
+
+// Color palettes for the ink color: built-in presets, three of them safe
+// for colorblind viewers, and palettes users make themselves. Colors have
+// names so screen readers can announce them:
+//   { id, name, colors: [{ value, name }] }
+// The user's palettes and the one in use are kept in localStorage:
+//   { palettes, activeId }
+
+const PALETTES_KEY = 'iboard:palettes';
+
+export const PRESET_PALETTES = [
+    {
+        id: 'basic',
+        name: 'Basic',
+        colors: [
+            { value: '#000000', name: 'Black' },
+            { value: '#FFFFFF', name: 'White' },
+            { value: '#EF4444', name: 'Red' },
+            { value: '#F97316', name: 'Orange' },
+            { value: '#EAB308', name: 'Yellow' },
+            { value: '#22C55E', name: 'Green' },
+            { value: '#3B82F6', name: 'Blue' },
+            { value: '#A855F7', name: 'Purple' },
+        ],
+    },
+    {
+        // Okabe & Ito, "Color Universal Design" (2008)
+        id: 'okabe-ito',
+        name: 'Okabe–Ito (colorblind-safe)',
+        colors: [
+            { value: '#000000', name: 'Black' },
+            { value: '#E69F00', name: 'Orange' },
+            { value: '#56B4E9', name: 'Sky blue' },
+            { value: '#009E73', name: 'Bluish green' },
+            { value: '#F0E442', name: 'Yellow' },
+            { value: '#0072B2', name: 'Blue' },
+            { value: '#D55E00', name: 'Vermilion' },
+            { value: '#CC79A7', name: 'Reddish purple' },
+        ],
+    },
+    {
+        // Paul Tol's bright qualitative scheme
+        id: 'tol-bright',
+        name: 'Tol bright (colorblind-safe)',
+        colors: [
+            { value: '#4477AA', name: 'Blue' },
+            { value: '#66CCEE', name: 'Cyan' },
+            { value: '#228833', name: 'Green' },
+            { value: '#CCBB44', name: 'Yellow' },
+            { value: '#EE6677', name: 'Red' },
+            { value: '#AA3377', name: 'Purple' },
+            { value: '#BBBBBB', name: 'Grey' },
+        ],
+    },
+    {
+        // IBM Design Library's colorblind-safe palette
+        id: 'ibm',
+        name: 'IBM (colorblind-safe)',
+        colors: [
+            { value: '#648FFF', name: 'Ultramarine' },
+            { value: '#785EF0', name: 'Indigo' },
+            { value: '#DC267F', name: 'Magenta' },
+            { value: '#FE6100', name: 'Orange' },
+            { value: '#FFB000', name: 'Gold' },
+        ],
+    },
+];
+
+export const DEFAULT_PALETTES = { palettes: [], activeId: PRESET_PALETTES[0].id };
+
+// Names for colors that are in no palette, matched by closeness.
+const BASIC_COLORS = [
+    ['Black', '#000000'], ['Dark gray', '#404040'], ['Gray', '#808080'], ['Light gray', '#D3D3D3'], ['White', '#FFFFFF'],
+    ['Dark red', '#8B0000'], ['Red', '#E53935'], ['Pink', '#EC407A'], ['Orange', '#FB8C00'], ['Brown', '#795548'],
+    ['Beige', '#F5F5DC'], ['Yellow', '#FDD835'], ['Green', '#43A047'], ['Dark green', '#1B5E20'], ['Teal', '#00897B'],
+    ['Light blue', '#81D4FA'], ['Blue', '#1E88E5'], ['Navy', '#1A237E'], ['Purple', '#8E24AA'],
+].map(([name, value]) => ({ name, rgb: hexToRgb(value) }));
+
+// A readable name for a hex color: its name in a preset palette, or the
+// closest basic color.
+export const getColorName = (value) => {
+    const preset = PRESET_PALETTES.flatMap(palette => palette.colors).find(color => color.value.toLowerCase() === value.toLowerCase());
+    if (preset) return preset.name;
+    const rgb = hexToRgb(value);
+    if (!rgb) return value;
+    const distance = (other) => other.reduce((sum, channel, i) => sum + (channel - rgb[i]) ** 2, 0);
+    return BASIC_COLORS.reduce((best, color) => (distance(color.rgb) < distance(best.rgb) ? color : best)).name;
+};
+
+export const getAllPalettes = ({ palettes }) => [...PRESET_PALETTES, ...palettes];
+
+export const isPresetPalette = (id) => PRESET_PALETTES.some(palette => palette.id === id);
+
+export const createPalette = (name, values) => ({
+    id: createId(),
+    name,
+    colors: values.map(value => ({ value, name: getColorName(value) })),
+});
+
+// Adds a color to one of the user's palettes, unless it is already there.
+export const addPaletteColor = (state, id, value) => ({
+    ...state,
+    palettes: state.palettes.map(palette => (palette.id !== id || palette.colors.some(color => color.value.toLowerCase() === value.toLowerCase())
+        ? palette
+        : { ...palette, colors: [...palette.colors, { value, name: getColorName(value) }] })),
+});
+
+export const removePaletteColor = (state, id, value) => ({
+    ...state,
+    palettes: state.palettes.map(palette => (palette.id === id ? { ...palette, colors: palette.colors.filter(color => color.value !== value) } : palette)),
+});
+
+// Deleting the palette in use switches back to the first preset.
+export const deletePalette = (state, id) => ({
+    palettes: state.palettes.filter(palette => palette.id !== id),
+    activeId: state.activeId === id ? DEFAULT_PALETTES.activeId : state.activeId,
+});
+
+const isPalette = (palette) => (
+    palette && typeof palette.id === 'string' && typeof palette.name === 'string' && Array.isArray(palette.colors) &&
+    palette.colors.every(color => color && typeof color.value === 'string' && typeof color.name === 'string')
+);
+
+export const loadPalettes = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PALETTES_KEY));
+        if (!saved || !Array.isArray(saved.palettes) || !saved.palettes.every(isPalette)) return DEFAULT_PALETTES;
+        const ids = getAllPalettes(saved).map(palette => palette.id);
+        return { palettes: saved.palettes, activeId: ids.includes(saved.activeId) ? saved.activeId : DEFAULT_PALETTES.activeId };
+    } catch {
+        return DEFAULT_PALETTES;
+    }
+};
+
+export const savePalettes = (state) => localStorage.setItem(PALETTES_KEY, JSON.stringify(state));
@@ -0,0 +1,64 @@
+// Minimal PDF writer: every page shows one full-bleed JPEG image.
+//
+// pages: [{ width, height, image: { data: Uint8Array, width, height } }]
+// where the page size is in PDF points and the image size in pixels.
+
+const encoder = new TextEncoder();
+
+export const createPdf = (pages) => {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const startObject = (number) => {
+        offsets[number] = length;
+        write(`${number} 0 obj\n`);
+    };
+
+    // Objects 1 and 2 are the catalog and page tree; every page then uses
+    // three objects: the page, its content stream and its image.
+    const pageNumbers = pages.map((_, i) => 3 + i * 3);
+
+    write('%PDF-1.4\n%âãÏÓ\n');
+    startObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+    startObject(2);
+    write(`<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+    pages.forEach((page, i) => {
+        const pageNumber = pageNumbers[i];
+        const contentNumber = pageNumber + 1;
+        const imageNumber = pageNumber + 2;
+        const width = page.width.toFixed(2);
+        const height = page.height.toFixed(2);
+
+        startObject(pageNumber);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /XObject << /Im0 ${imageNumber} 0 R >> >> /Contents ${contentNumber} 0 R >>\nendobj\n`);
+
+        const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+        startObject(contentNumber);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+        startObject(imageNumber);
+        write(`<< /Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.image.data.length} >>\nstream\n`);
+        write(page.image.data);
+        write('\nendstream\nendobj\n');
+    });
+
+    const objectCount = 3 + pages.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let n = 1; n < objectCount; n++) {
+        write(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+};
@@ -0,0 +1,248 @@
+// Shape recognition for freehand strokes.
+//
+// `recognizeShape` looks at the points of a finished pencil stroke and, when
+// they are close enough to a line, arrow, rectangle, circle, ellipse or
+// triangle, returns the clean shape as element properties:
+//   { name, tool, points, rotation }
+// Everything here works on plain { x, y } arrays, so it runs without a
+// browser.
+
+// How far a stroke may stray from the shape, as a share of the stroke size.
+export const DEFAULT_RECOGNITION_THRESHOLD = 0.06;
+export const MIN_RECOGNITION_THRESHOLD = 0.02;
+export const MAX_RECOGNITION_THRESHOLD = 0.15;
+
+const MIN_STROKE_SIZE = 12; // board units; smaller strokes are left alone
+const CLOSED_GAP = 0.2; // ends this close (share of stroke size) close the shape
+const CORNER_EPSILON = 0.08; // corner detection tolerance, share of stroke size
+const ARROW_EPSILON = 0.04;
+const STRAIGHT_ANGLE = Math.PI * 8 / 9; // corners flatter than 160° are dropped
+const RIGHT_ANGLE_SLACK = Math.PI / 9; // rectangle corners may be 70°–110°
+const ROUNDNESS = 0.12; // ellipses whose radii differ less than this are circles
+const AXIS_SNAP = Math.PI / 18; // lines and rectangles within 10° are levelled
+const ELLIPSE_SAMPLES = 64;
+
+// --- Geometry ---
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const distanceToSegment = (p, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return distance(p, a);
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return distance(p, { x: a.x + t * dx, y: a.y + t * dy });
+};
+
+const rotatePoint = (p, angle, center) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+};
+
+const boundsOf = (points) => {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+};
+
+// Angle at `b` between the segments to `a` and `c`, from 0 to π.
+const angleAt = (a, b, c) => {
+    const v1 = { x: a.x - b.x, y: a.y - b.y };
+    const v2 = { x: c.x - b.x, y: c.y - b.y };
+    const lengths = Math.hypot(v1.x, v1.y) * Math.hypot(v2.x, v2.y);
+    if (lengths === 0) return Math.PI;
+    return Math.acos(Math.max(-1, Math.min(1, (v1.x * v2.x + v1.y * v2.y) / lengths)));
+};
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+// Ramer–Douglas–Peucker simplification. Returns the indices of the points
+// that are kept.
+const simplify = (points, epsilon) => {
+    const keep = new Set([0, points.length - 1]);
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let farthest = -1;
+        let farthestDistance = epsilon;
+        for (let i = first + 1; i < last; i++) {
+            const d = distanceToSegment(points[i], points[first], points[last]);
+            if (d > farthestDistance) {
+                farthest = i;
+                farthestDistance = d;
+            }
+        }
+        if (farthest !== -1) {
+            keep.add(farthest);
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    return [...keep].sort((a, b) => a - b);
+};
+
+// Drops corners that are nearly straight, which simplification leaves behind
+// on wobbly edges and where a closed stroke starts mid-edge.
+const dropStraightCorners = (vertices, closed) => {
+    const result = [...vertices];
+    let changed = true;
+    while (changed && result.length > (closed ? 3 : 2)) {
+        changed = false;
+        const start = closed ? 0 : 1;
+        const end = closed ? result.length : result.length - 1;
+        for (let i = start; i < end; i++) {
+            const previous = result[(i - 1 + result.length) % result.length];
+            const next = result[(i + 1) % result.length];
+            if (angleAt(previous, result[i], next) > STRAIGHT_ANGLE) {
+                result.splice(i, 1);
+                changed = true;
+                break;
+            }
+        }
+    }
+    return result;
+};
+
+// Mean distance from the stroke to an outline polyline.
+const meanDeviation = (points, outline, closed) => {
+    const segments = closed ? outline.length : outline.length - 1;
+    let total = 0;
+    points.forEach(p => {
+        let best = Infinity;
+        for (let i = 0; i < segments; i++) {
+            best = Math.min(best, distanceToSegment(p, outline[i], outline[(i + 1) % outline.length]));
+        }
+        total += best;
+    });
+    return total / points.length;
+};
+
+// Snaps an angle to the nearest multiple of 90° when it is within AXIS_SNAP.
+const snapToAxis = (angle) => {
+    const snapped = Math.round(angle / (Math.PI / 2)) * (Math.PI / 2);
+    return Math.abs(angle - snapped) < AXIS_SNAP ? snapped : angle;
+};
+
+// --- Candidates ---
+const fitLine = (points, size) => {
+    const start = points[0];
+    const end = points[points.length - 1];
+    const length = distance(start, end);
+    if (length < size * 0.8) return null; // the stroke doubles back on itself
+    const angle = snapToAxis(Math.atan2(end.y - start.y, end.x - start.x));
+    const tip = { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+    return { name: 'line', tool: 'line', points: [start, tip], error: meanDeviation(points, [start, end], false) };
+};
+
+// An arrow drawn in one go: the shaft, then the head as either
+// tip → barb → tip → barb or tip → barb → barb.
+const fitArrow = (points, size) => {
+    const indices = simplify(points, size * ARROW_EPSILON);
+    const vertices = dropStraightCorners(indices.map(i => points[i]), false);
+    if (vertices.length !== 4 && vertices.length !== 5) return null;
+
+    const [start, tip, firstBarb] = vertices;
+    const secondBarb = vertices[vertices.length - 1];
+    if (vertices.length === 5 && distance(vertices[3], tip) > distance(firstBarb, tip) / 2) return null;
+
+    const shaft = distance(start, tip);
+    const barbsValid = [firstBarb, secondBarb].every(barb => {
+        const length = distance(barb, tip);
+        const angle = angleAt(start, tip, barb);
+        return length > shaft * 0.08 && length < shaft * 0.6 && angle > Math.PI / 18 && angle < Math.PI * 5 / 12;
+    });
+    // The barbs must sit on opposite sides of the shaft.
+    if (!barbsValid || Math.sign(cross(start, tip, firstBarb)) === Math.sign(cross(start, tip, secondBarb))) return null;
+
+    const tipIndex = points.indexOf(tip);
+    const error = meanDeviation(points.slice(0, tipIndex + 1), [start, tip], false);
+    return { name: 'arrow', tool: 'arrow', points: [start, tip], error };
+};
+
+const fitEllipse = (points) => {
+    const { x, y, width, height } = boundsOf(points);
+    const center = { x: x + width / 2, y: y + height / 2 };
+    const outline = Array.from({ length: ELLIPSE_SAMPLES }, (_, i) => {
+        const t = i / ELLIPSE_SAMPLES * Math.PI * 2;
+        return { x: center.x + Math.cos(t) * width / 2, y: center.y + Math.sin(t) * height / 2 };
+    });
+    const error = meanDeviation(points, outline, true);
+    if (Math.abs(width - height) / Math.max(width, height) < ROUNDNESS) {
+        const radius = (width + height) / 4;
+        return { name: 'circle', tool: 'circle', points: [center, { x: center.x + radius, y: center.y }], error };
+    }
+    return { name: 'ellipse', tool: 'ellipse', points: [{ x, y }, { x: x + width, y: y + height }], error };
+};
+
+const fitTriangle = (points, corners) => ({
+    name: 'triangle',
+    tool: 'polygon',
+    points: corners,
+    error: meanDeviation(points, corners, true),
+});
+
+// Fits a possibly rotated rectangle through four corners.
+const fitRectangle = (points, corners) => {
+    const square = corners.every((corner, i) =>
+        Math.abs(angleAt(corners[(i + 3) % 4], corner, corners[(i + 1) % 4]) - Math.PI / 2) < RIGHT_ANGLE_SLACK);
+    if (!square) return null;
+
+    // Average the edge directions modulo 90° to get the rectangle's tilt.
+    let sumX = 0;
+    let sumY = 0;
+    corners.forEach((corner, i) => {
+        const next = corners[(i + 1) % 4];
+        const angle = Math.atan2(next.y - corner.y, next.x - corner.x) * 4;
+        const length = distance(corner, next);
+        sumX += Math.cos(angle) * length;
+        sumY += Math.sin(angle) * length;
+    });
+    const rotation = snapToAxis(Math.atan2(sumY, sumX) / 4);
+
+    const pivot = corners[0];
+    const box = boundsOf(corners.map(p => rotatePoint(p, -rotation, pivot)));
+    const center = rotatePoint({ x: box.x + box.width / 2, y: box.y + box.height / 2 }, rotation, pivot);
+    const half = { x: box.width / 2, y: box.height / 2 };
+    const outline = [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+        .map(([sx, sy]) => rotatePoint({ x: center.x + sx * half.x, y: center.y + sy * half.y }, rotation, center));
+    return {
+        name: 'rectangle',
+        tool: 'rectangle',
+        points: [{ x: center.x - half.x, y: center.y - half.y }, { x: center.x + half.x, y: center.y + half.y }],
+        rotation,
+        error: meanDeviation(points, outline, true),
+    };
+};
+
+// Returns the clean shape a freehand stroke most likely meant, or null when
+// nothing fits within `threshold` (mean deviation as a share of the stroke
+// size).
+export const recognizeShape = (points, { threshold = DEFAULT_RECOGNITION_THRESHOLD } = {}) => {
+    if (points.length < 3) return null;
+    const bounds = boundsOf(points);
+    const size = Math.hypot(bounds.width, bounds.height);
+    if (size < MIN_STROKE_SIZE) return null;
+
+    const candidates = [];
+    const closed = distance(points[0], points[points.length - 1]) < size * CLOSED_GAP;
+    if (closed) {
+        candidates.push(fitEllipse(points));
+        const indices = simplify(points, size * CORNER_EPSILON);
+        const corners = dropStraightCorners(indices.slice(0, -1).map(i => points[i]), true);
+        if (corners.length === 3) candidates.push(fitTriangle(points, corners));
+        if (corners.length === 4) candidates.push(fitRectangle(points, corners));
+    } else {
+        candidates.push(fitLine(points, size), fitArrow(points, size));
+    }
+
+    const best = candidates
+        .filter(candidate => candidate && candidate.error / size <= threshold)
+        .sort((a, b) => a.error - b.error)[0];
+    if (!best) return null;
+    const { name, tool, points: shapePoints, rotation = 0 } = best;
+    return { name, tool, points: shapePoints, rotation };
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { recognizeShape } from './recognize';
+
+// Deterministic hand wobble, so the strokes are not perfectly clean.
+const wobble = (i) => ({ x: Math.sin(i * 12.9898) * 1.5, y: Math.cos(i * 78.233) * 1.5 });
+
+// A freehand stroke along a polyline, `step` board units between points.
+const strokeAlong = (corners, step = 4) => {
+    const points = [];
+    for (let c = 0; c < corners.length - 1; c++) {
+        const a = corners[c];
+        const b = corners[c + 1];
+        const count = Math.max(1, Math.round(Math.hypot(b.x - a.x, b.y - a.y) / step));
+        for (let i = 0; i < count; i++) {
+            points.push({ x: a.x + (b.x - a.x) * i / count, y: a.y + (b.y - a.y) * i / count });
+        }
+    }
+    points.push(corners[corners.length - 1]);
+    return points.map((p, i) => ({ x: p.x + wobble(i).x, y: p.y + wobble(i).y }));
+};
+
+const rotate = (p, angle, center) => ({
+    x: center.x + (p.x - center.x) * Math.cos(angle) - (p.y - center.y) * Math.sin(angle),
+    y: center.y + (p.x - center.x) * Math.sin(angle) + (p.y - center.y) * Math.cos(angle),
+});
+
+const rectangleCorners = [{ x: 100, y: 100 }, { x: 300, y: 100 }, { x: 300, y: 220 }, { x: 100, y: 220 }, { x: 100, y: 100 }];
+
+describe('recognizeShape', () => {
+    it('recognizes a line', () => {
+        const shape = recognizeShape(strokeAlong([{ x: 0, y: 0 }, { x: 200, y: 90 }]));
+        expect(shape.name).toBe('line');
+        expect(shape.tool).toBe('line');
+        expect(shape.points).toHaveLength(2);
+    });
+
+    it('recognizes a circle', () => {
+        const points = Array.from({ length: 73 }, (_, i) => {
+            const t = i / 72 * Math.PI * 2;
+            return { x: 150 + Math.cos(t) * 80 + wobble(i).x, y: 150 + Math.sin(t) * 80 + wobble(i).y };
+        });
+        const shape = recognizeShape(points);
+        expect(shape.name).toBe('circle');
+        const [center, edge] = shape.points;
+        expect(center.x).toBeCloseTo(150, -1);
+        expect(center.y).toBeCloseTo(150, -1);
+        expect(Math.hypot(edge.x - center.x, edge.y - center.y)).toBeCloseTo(80, -1);
+    });
+
+    it('recognizes a rectangle', () => {
+        const shape = recognizeShape(strokeAlong(rectangleCorners));
+        expect(shape.name).toBe('rectangle');
+        expect(shape.rotation).toBe(0);
+        const [a, b] = shape.points;
+        expect(b.x - a.x).toBeCloseTo(200, -1);
+        expect(b.y - a.y).toBeCloseTo(120, -1);
+    });
+
+    it('recognizes a rotated rectangle and keeps its tilt', () => {
+        const angle = Math.PI / 6;
+        const shape = recognizeShape(strokeAlong(rectangleCorners.map(p => rotate(p, angle, { x: 200, y: 160 }))));
+        expect(shape.name).toBe('rectangle');
+        // The tilt is only defined up to quarter turns.
+        const quarter = Math.PI / 2;
+        const tilt = ((shape.rotation % quarter) + quarter) % quarter;
+        expect(tilt).toBeCloseTo(angle, 1);
+    });
+
+    it('recognizes a triangle', () => {
+        const shape = recognizeShape(strokeAlong([{ x: 150, y: 20 }, { x: 260, y: 200 }, { x: 40, y: 200 }, { x: 150, y: 20 }]));
+        expect(shape.name).toBe('triangle');
+        expect(shape.tool).toBe('polygon');
+        expect(shape.points).toHaveLength(3);
+    });
+
+    it('recognizes an arrow drawn in one go', () => {
+        const tip = { x: 250, y: 100 };
+        const shape = recognizeShape(strokeAlong([{ x: 50, y: 100 }, tip, { x: 215, y: 75 }, tip, { x: 215, y: 125 }]));
+        expect(shape.name).toBe('arrow');
+        expect(shape.points[1].x).toBeCloseTo(tip.x, -1);
+        expect(shape.points[1].y).toBeCloseTo(tip.y, -1);
+    });
+
+    it('leaves a scribble alone', () => {
+        const scribble = strokeAlong([
+            { x: 0, y: 0 }, { x: 80, y: 60 }, { x: 20, y: 90 }, { x: 140, y: 10 }, { x: 60, y: 150 }, { x: 170, y: 120 }, { x: 10, y: 40 },
+        ]);
+        expect(recognizeShape(scribble)).toBeNull();
+    });
+
+    it.each([
+        ['no points', []],
+        ['one point', [{ x: 10, y: 10 }]],
+        ['two points', [{ x: 0, y: 0 }, { x: 100, y: 100 }]],
+        ['points that are all the same', Array.from({ length: 20 }, () => ({ x: 42, y: 42 }))],
+        ['a dot too small to be a shape', strokeAlong([{ x: 0, y: 0 }, { x: 4, y: 3 }], 1)],
+    ])('returns null for %s', (_, points) => {
+        expect(recognizeShape(points)).toBeNull();
+    });
+});
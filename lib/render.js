@@ -0,0 +1,380 @@
+import {
+    sortByZ, getBounds, getBaseBounds, getRotationCenter, getSceneBounds, getResizeHandles,
+    getRotationHandle, getArrowHeads, arrowBarbs, arrowHeadSize,
+} from './scene';
+import { toCssFont, alignedX, LINE_HEIGHT } from './text';
+import { getImage } from './images';
+import { splineSegments, segmentPressure, widthAtPressure, hasPressure } from './stroke';
+import { groupByLayer } from './layers';
+import { getLineDash } from './shapes';
+import { getMarqueeRect } from './selection';
+import { drawPattern } from './grid';
+import { layoutStickyText } from './sticky';
+import { FRAME_COLOR, FRAME_LINE_WIDTH, FRAME_LABEL_SIZE, FRAME_LABEL_FONT } from './frames';
+
+const regionPaths = new WeakMap();
+
+// Builds (and caches) a Path2D covering the filled pixels of a fill region.
+const regionPath = (region) => {
+    const { spans } = region;
+    if (regionPaths.has(spans)) return regionPaths.get(spans);
+    const path = new Path2D();
+    for (let i = 0; i < spans.length; i += 3) {
+        path.rect(spans[i + 1], spans[i], spans[i + 2] - spans[i + 1] + 1, 1);
+    }
+    regionPaths.set(spans, path);
+    return path;
+};
+
+// Draws a freehand stroke as a smooth curve. Pressure-sensitive strokes are
+// drawn one segment at a time so each can have its own width.
+const drawStroke = (context, el) => {
+    const { points } = el;
+    context.lineJoin = 'round';
+    if (points.length === 1) {
+        context.lineWidth = widthAtPressure(el.lineWidth, points[0].pressure);
+        context.moveTo(points[0].x, points[0].y);
+        context.lineTo(points[0].x, points[0].y);
+        context.stroke();
+        return;
+    }
+    const segments = splineSegments(points);
+    if (!hasPressure(el)) {
+        context.moveTo(points[0].x, points[0].y);
+        segments.forEach(({ control1, control2, to }) => context.bezierCurveTo(control1.x, control1.y, control2.x, control2.y, to.x, to.y));
+        context.stroke();
+        return;
+    }
+    segments.forEach(segment => {
+        const { from, control1, control2, to } = segment;
+        context.beginPath();
+        context.lineWidth = widthAtPressure(el.lineWidth, segmentPressure(segment));
+        context.moveTo(from.x, from.y);
+        context.bezierCurveTo(control1.x, control1.y, control2.x, control2.y, to.x, to.y);
+        context.stroke();
+    });
+};
+
+// Fills the current path of a closed shape with its fill color, if it has
+// one, and strokes its outline over it.
+const fillAndStroke = (context, el) => {
+    if (el.fillColor) {
+        context.fillStyle = el.fillColor;
+        context.fill();
+    }
+    context.setLineDash(getLineDash(el));
+    context.stroke();
+};
+
+// Draws the heads at either end of a line or arrow. Heads are always drawn
+// solid, even on dashed lines.
+const drawArrowHeads = (context, el) => {
+    const [start, end] = el.points;
+    const heads = getArrowHeads(el);
+    context.setLineDash([]);
+    context.lineJoin = 'round';
+    [[heads.start, end, start], [heads.end, start, end]].forEach(([head, from, tip]) => {
+        if (head === 'none') return;
+        context.beginPath();
+        if (head === 'dot') {
+            context.arc(tip.x, tip.y, arrowHeadSize(el) / 3, 0, 2 * Math.PI);
+            context.fill();
+            return;
+        }
+        const [barbA, barbB] = arrowBarbs(el, from, tip);
+        context.moveTo(barbA.x, barbA.y);
+        context.lineTo(tip.x, tip.y);
+        context.lineTo(barbB.x, barbB.y);
+        if (head === 'triangle') {
+            context.closePath();
+            context.fill();
+        }
+        context.stroke();
+    });
+};
+
+// Draws a single scene element onto a 2D context.
+export const drawElement = (context, el) => {
+    context.save();
+    context.globalCompositeOperation = el.tool === 'eraser' ? 'destination-out' : 'source-over';
+    context.strokeStyle = el.color;
+    context.fillStyle = el.color;
+    context.lineWidth = el.lineWidth;
+    context.lineCap = 'round';
+    if (el.rotation || el.flipX || el.flipY) {
+        const center = getRotationCenter(el);
+        context.translate(center.x, center.y);
+        context.rotate(el.rotation || 0);
+        context.scale(el.flipX ? -1 : 1, el.flipY ? -1 : 1);
+        context.translate(-center.x, -center.y);
+    }
+    context.beginPath();
+
+    const { points } = el;
+    switch (el.tool) {
+        case 'pencil':
+        case 'eraser':
+            drawStroke(context, el);
+            break;
+        case 'line':
+        case 'arrow':
+            context.setLineDash(getLineDash(el));
+            context.moveTo(points[0].x, points[0].y);
+            context.lineTo(points[1].x, points[1].y);
+            context.stroke();
+            drawArrowHeads(context, el);
+            break;
+        case 'polygon':
+            context.lineJoin = 'round';
+            points.forEach(p => context.lineTo(p.x, p.y));
+            context.closePath();
+            fillAndStroke(context, el);
+            break;
+        case 'rectangle': {
+            const [a, b] = points;
+            const x = Math.min(a.x, b.x);
+            const y = Math.min(a.y, b.y);
+            const width = Math.abs(b.x - a.x);
+            const height = Math.abs(b.y - a.y);
+            const radius = Math.min(el.cornerRadius || 0, width / 2, height / 2);
+            if (radius > 0) context.roundRect(x, y, width, height, radius);
+            else context.rect(x, y, width, height);
+            fillAndStroke(context, el);
+            break;
+        }
+        case 'circle': {
+            const [center, edge] = points;
+            const radius = Math.hypot(edge.x - center.x, edge.y - center.y);
+            context.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+            fillAndStroke(context, el);
+            break;
+        }
+        case 'ellipse': {
+            const [a, b] = points;
+            context.ellipse((a.x + b.x) / 2, (a.y + b.y) / 2, Math.abs(b.x - a.x) / 2, Math.abs(b.y - a.y) / 2, 0, 0, 2 * Math.PI);
+            fillAndStroke(context, el);
+            break;
+        }
+        case 'fill': {
+            const { region } = el;
+            context.translate(region.x, region.y);
+            context.scale(region.width / region.pixelWidth, region.height / region.pixelHeight);
+            context.fill(regionPath(region));
+            break;
+        }
+        case 'image': {
+            // Images that are still decoding show up on the next redraw.
+            const image = getImage(el.src);
+            const { x, y, width, height } = getBaseBounds(el);
+            if (image) context.drawImage(image, x, y, width, height);
+            break;
+        }
+        case 'sticky': {
+            const { x, y, width, height } = getBaseBounds(el);
+            context.save();
+            context.shadowColor = 'rgba(0, 0, 0, 0.2)';
+            context.shadowBlur = 8;
+            context.shadowOffsetY = 3;
+            context.fillStyle = el.fillColor;
+            context.fillRect(x, y, width, height);
+            context.restore();
+            context.rect(x, y, width, height);
+            context.clip();
+            context.font = toCssFont(el);
+            context.textAlign = el.align;
+            context.textBaseline = 'top';
+            layoutStickyText(el).forEach(line => context.fillText(line.text, line.x, line.y));
+            break;
+        }
+        case 'frame': {
+            const { x, y, width, height } = getBaseBounds(el);
+            context.strokeStyle = FRAME_COLOR;
+            context.fillStyle = FRAME_COLOR;
+            context.lineWidth = FRAME_LINE_WIDTH;
+            context.strokeRect(x, y, width, height);
+            context.font = `${FRAME_LABEL_SIZE}px ${FRAME_LABEL_FONT}`;
+            context.textBaseline = 'bottom';
+            context.fillText(el.name, x, y - FRAME_LABEL_SIZE / 3, Math.max(width, 1));
+            break;
+        }
+        case 'text': {
+            const x = alignedX(el);
+            context.font = toCssFont(el);
+            context.textAlign = el.align;
+            context.textBaseline = 'top';
+            el.text.split('\n').forEach((line, i) => {
+                context.fillText(line, x, points[0].y + i * el.fontSize * LINE_HEIGHT);
+            });
+            break;
+        }
+        default:
+            break;
+    }
+    context.restore();
+};
+
+let layerCanvas = null;
+
+// Draws every element of the scene in z-order. With `layers`, each visible
+// layer is drawn on a canvas of its own first, so eraser strokes only cut
+// their own layer, and then composited with the layer's opacity.
+export const renderScene = (context, elements, layers = null) => {
+    if (!layers) {
+        sortByZ(elements).forEach(el => drawElement(context, el));
+        return;
+    }
+
+    const { width, height } = context.canvas;
+    const transform = context.getTransform();
+    const groups = groupByLayer(elements, layers);
+    layers.forEach(layer => {
+        const layerElements = groups.get(layer.id);
+        if (!layer.visible || layerElements.length === 0) return;
+        if (layer.opacity === 1 && !layerElements.some(el => el.tool === 'eraser')) {
+            renderScene(context, layerElements);
+            return;
+        }
+
+        if (!layerCanvas) layerCanvas = document.createElement('canvas');
+        if (layerCanvas.width !== width || layerCanvas.height !== height) {
+            layerCanvas.width = width;
+            layerCanvas.height = height;
+        }
+        const layerContext = layerCanvas.getContext('2d');
+        layerContext.setTransform(1, 0, 0, 1, 0, 0);
+        layerContext.clearRect(0, 0, width, height);
+        layerContext.setTransform(transform);
+        renderScene(layerContext, layerElements);
+
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.globalCompositeOperation = 'source-over';
+        context.globalAlpha = layer.opacity;
+        context.drawImage(layerCanvas, 0, 0);
+        context.restore();
+    });
+};
+
+// Outlines the selected elements and draws the resize handles on the
+// corners of the selection and the rotation handle above it. With several
+// elements selected, each gets a light outline of its own. Outlines and
+// handles keep the same on-screen size at any zoom.
+export const drawSelection = (context, elements, zoom = 1) => {
+    const bounds = getSceneBounds(elements);
+    if (!bounds) return;
+    context.save();
+    context.globalCompositeOperation = 'source-over';
+    context.strokeStyle = '#3B82F6';
+    context.lineWidth = 1 / zoom;
+    if (elements.length > 1) {
+        context.globalAlpha = 0.5;
+        elements.forEach(el => {
+            const box = getBounds(el);
+            context.strokeRect(box.x, box.y, box.width, box.height);
+        });
+        context.globalAlpha = 1;
+    }
+    context.setLineDash([5 / zoom, 5 / zoom]);
+    context.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    context.setLineDash([]);
+    context.fillStyle = '#FFFFFF';
+    getResizeHandles(bounds, zoom).forEach(handle => {
+        context.fillRect(handle.x, handle.y, handle.width, handle.height);
+        context.strokeRect(handle.x, handle.y, handle.width, handle.height);
+    });
+    const rotation = getRotationHandle(bounds, zoom);
+    context.beginPath();
+    context.moveTo(rotation.x, bounds.y);
+    context.lineTo(rotation.x, rotation.y + rotation.radius);
+    context.stroke();
+    context.beginPath();
+    context.arc(rotation.x, rotation.y, rotation.radius, 0, 2 * Math.PI);
+    context.fill();
+    context.stroke();
+    context.restore();
+};
+
+// Draws the marquee or lasso being dragged out (see lib/selection.js).
+export const drawSelectionArea = (context, area, zoom = 1) => {
+    context.save();
+    context.globalCompositeOperation = 'source-over';
+    context.strokeStyle = '#3B82F6';
+    context.fillStyle = 'rgba(59, 130, 246, 0.08)';
+    context.lineWidth = 1 / zoom;
+    context.setLineDash([4 / zoom, 4 / zoom]);
+    context.beginPath();
+    if (area.mode === 'marquee') {
+        const { x, y, width, height } = getMarqueeRect(area);
+        context.rect(x, y, width, height);
+    } else {
+        area.points.forEach(p => context.lineTo(p.x, p.y));
+        context.closePath();
+    }
+    context.fill();
+    context.stroke();
+    context.restore();
+};
+
+// Alignment guides of a snap in progress (see lib/snapping.js).
+export const drawGuides = (context, guides, zoom = 1) => {
+    context.save();
+    context.globalCompositeOperation = 'source-over';
+    context.strokeStyle = '#EC4899';
+    context.lineWidth = 1 / zoom;
+    context.setLineDash([4 / zoom, 4 / zoom]);
+    context.beginPath();
+    guides.forEach(({ x1, y1, x2, y2 }) => {
+        context.moveTo(x1, y1);
+        context.lineTo(x2, y2);
+    });
+    context.stroke();
+    context.restore();
+};
+
+// Darkens everything in the world rectangle `visible` outside `rect`, the
+// frame being presented.
+export const drawPresentationMask = (context, rect, visible) => {
+    context.save();
+    context.globalCompositeOperation = 'source-over';
+    context.fillStyle = '#0F172A';
+    context.beginPath();
+    context.rect(visible.x, visible.y, visible.width, visible.height);
+    context.rect(rect.x, rect.y, rect.width, rect.height);
+    context.fill('evenodd');
+    context.restore();
+};
+
+// Renders the world rectangle { x, y, width, height } of the scene onto a
+// fresh offscreen canvas, optionally over a solid background and its
+// pattern (see lib/grid.js). Ink is drawn on its own canvas first so eraser
+// strokes never cut through the background.
+export const renderToCanvas = (elements, { x = 0, y = 0, width, height, scale = 1, background = null, layers = null, pattern = null }) => {
+    const ink = document.createElement('canvas');
+    ink.width = width * scale;
+    ink.height = height * scale;
+    const inkContext = ink.getContext('2d');
+    inkContext.scale(scale, scale);
+    inkContext.translate(-x, -y);
+    renderScene(inkContext, elements, layers);
+    if (!background) return ink;
+
+    const output = document.createElement('canvas');
+    output.width = ink.width;
+    output.height = ink.height;
+    const context = output.getContext('2d');
+    context.fillStyle = background;
+    context.fillRect(0, 0, output.width, output.height);
+    if (pattern) {
+        context.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+        drawPattern(context, pattern, { x, y, width, height }, { zoom: scale, background });
+        context.setTransform(1, 0, 0, 1, 0, 0);
+    }
+    context.drawImage(ink, 0, 0);
+    return output;
+};
+
+// Renders a small preview image of a world rectangle for the board gallery.
+export const renderThumbnail = (elements, rect, background, layers = null, pattern = null, maxWidth = 240) => {
+    const scale = Math.min(1, maxWidth / rect.width);
+    return renderToCanvas(elements, { ...rect, scale, background, layers, pattern }).toDataURL('image/jpeg', 0.8);
+};
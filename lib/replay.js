@@ -0,0 +1,152 @@
+import { getSceneBounds } from './scene';
+import { renderScene } from './render';
+import { preloadImages } from './images';
+import { getSceneAt } from './timeline';
+import { pcmToWav } from './audio';
+import { buildPalette, createGifEncoder } from './gif';
+
+// Timelapse exports of a board's timeline (see lib/timeline.js). Both
+// formats frame everything that was ever on the board and end by holding
+// the finished board for a moment.
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+const REPLAY_PADDING = 20; // board units around the content
+const MAX_UPSCALE = 2;
+const END_HOLD = 1.5; // seconds the finished board stays on screen
+const VIDEO_MAX_SIZE = 1280; // px along the longer side
+const VIDEO_FPS = 30;
+const VIDEO_BITRATE = 4000000;
+const VIDEO_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+const GIF_MAX_SIZE = 480;
+const GIF_FPS = 10;
+const GIF_MAX_FRAMES = 600;
+const GIF_PALETTE_SAMPLES = 4;
+
+const opElements = (op) => {
+    if (op.type === 'batch') return op.ops.flatMap(opElements);
+    if (op.type === 'update') return op.after;
+    return op.type === 'add' ? op.elements : [];
+};
+
+// Every element that is on the board at some point of a timeline.
+const timelineElements = ({ elements, steps }) => [...elements, ...steps.flatMap(step => opElements(step.op))];
+
+// A canvas showing the timeline's content at most `maxSize` px wide or
+// high, with `draw(time)` to paint the board as it was at `time`.
+const createFrameRenderer = (timeline, { maxSize, background, layers, readBack = false }) => {
+    const bounds = getSceneBounds(timelineElements(timeline).filter(el => el.tool !== 'eraser'));
+    if (!bounds) throw new Error('There is nothing to replay');
+    const rect = { x: bounds.x - REPLAY_PADDING, y: bounds.y - REPLAY_PADDING, width: bounds.width + REPLAY_PADDING * 2, height: bounds.height + REPLAY_PADDING * 2 };
+    const scale = Math.min(MAX_UPSCALE, maxSize / Math.max(rect.width, rect.height));
+    // Video encoders want even dimensions
+    const width = Math.max(2, Math.round(rect.width * scale / 2) * 2);
+    const height = Math.max(2, Math.round(rect.height * scale / 2) * 2);
+
+    // Strokes go on their own canvas first so erasers do not cut the background
+    const ink = document.createElement('canvas');
+    const canvas = document.createElement('canvas');
+    ink.width = canvas.width = width;
+    ink.height = canvas.height = height;
+    const inkContext = ink.getContext('2d');
+    const context = canvas.getContext('2d', { willReadFrequently: readBack });
+
+    return {
+        canvas,
+        context,
+        draw: (time) => {
+            inkContext.setTransform(1, 0, 0, 1, 0, 0);
+            inkContext.clearRect(0, 0, width, height);
+            inkContext.setTransform(scale, 0, 0, scale, -rect.x * scale, -rect.y * scale);
+            renderScene(inkContext, getSceneAt(timeline, time), layers);
+            context.fillStyle = background;
+            context.fillRect(0, 0, width, height);
+            context.drawImage(ink, 0, 0);
+        },
+    };
+};
+
+// Records the replay, sped up `speed` times, as a WebM video with the
+// narration's audio when one is given. Recording happens in real time, so
+// it takes as long as the replay and the page should stay visible.
+export const exportReplayVideo = async (timeline, { background, layers = null, speed = 1, narration = null }) => {
+    if (typeof MediaRecorder === 'undefined') throw new Error('This browser cannot record video');
+    const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM video');
+    await preloadImages(timelineElements(timeline));
+    const frames = createFrameRenderer(timeline, { maxSize: VIDEO_MAX_SIZE, background, layers });
+    frames.draw(0);
+
+    const stream = frames.canvas.captureStream(VIDEO_FPS);
+    let audio = null;
+    let audioContext = null;
+    if (narration) {
+        audio = new Audio(URL.createObjectURL(pcmToWav(new Int16Array(narration.pcm), narration.sampleRate)));
+        audio.playbackRate = speed;
+        audioContext = new AudioContext();
+        const destination = audioContext.createMediaStreamDestination();
+        audioContext.createMediaElementSource(audio).connect(destination);
+        destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+    }
+
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITRATE });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = (event) => reject(event.error);
+    });
+
+    try {
+        recorder.start();
+        if (audio) await audio.play();
+        await new Promise(resolve => {
+            const start = performance.now();
+            const tick = (now) => {
+                const time = Math.max(0, now - start) / 1000 * speed;
+                frames.draw(Math.min(time, timeline.duration));
+                if (time < timeline.duration + END_HOLD * speed) requestAnimationFrame(tick);
+                else resolve();
+            };
+            requestAnimationFrame(tick);
+        });
+        recorder.stop();
+        await stopped;
+    } finally {
+        if (recorder.state !== 'inactive') recorder.stop();
+        stream.getTracks().forEach(track => track.stop());
+        if (audio) {
+            audio.pause();
+            URL.revokeObjectURL(audio.src);
+            audioContext.close();
+        }
+    }
+    return new Blob(chunks, { type: 'video/webm' });
+};
+
+// Encodes the replay, sped up `speed` times, as a looping animated GIF.
+export const exportReplayGif = async (timeline, { background, layers = null, speed = 1 }) => {
+    await preloadImages(timelineElements(timeline));
+    const frames = createFrameRenderer(timeline, { maxSize: GIF_MAX_SIZE, background, layers, readBack: true });
+    const { width, height } = frames.canvas;
+    const readFrame = (time) => {
+        frames.draw(time);
+        return frames.context.getImageData(0, 0, width, height).data;
+    };
+
+    // One palette for the whole animation, from a few moments along it
+    const samples = Array.from({ length: GIF_PALETTE_SAMPLES }, (_, i) => readFrame(timeline.duration * (i + 1) / GIF_PALETTE_SAMPLES));
+    const encoder = createGifEncoder(width, height, buildPalette(samples));
+
+    // Timeline seconds between frames; long replays drop frames to stay under the cap
+    const step = Math.max(speed / GIF_FPS, timeline.duration / GIF_MAX_FRAMES);
+    for (let time = 0; time < timeline.duration; time += step) {
+        encoder.addFrame(readFrame(time), step / speed * 1000);
+        // Keep the page responsive while encoding
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    encoder.addFrame(readFrame(timeline.duration), END_HOLD * 1000);
+    return encoder.finish();
+};
@@ -0,0 +1,382 @@
+// Scene model: every stroke, shape and fill on the board is kept as a plain
+// object so it can be redrawn, hit-tested and edited after it was drawn.
+//
+// Element shape:
+//   { id, tool, points: [{ x, y }], color, lineWidth, z }
+// Rectangles and ellipses span two corner points, circles a center and an
+// edge point, lines and arrows a start and an end, and polygons (triangles
+// and stars too) list their corners. Shapes may also carry a `strokeStyle`
+// ('solid', 'dashed', 'dotted'), a `fillColor`, a rectangle `cornerRadius`
+// and `startHead`/`endHead` styles for lines and arrows; lib/connectors.js
+// describes how lines attach to shapes.
+// Fill elements also carry a `region` describing the filled pixels:
+//   { x, y, width, height, pixelWidth, pixelHeight, spans: [row, x0, x1, ...] }
+// Text elements are described in lib/text.js, image elements in
+// lib/images.js, sticky notes in lib/sticky.js, frames in lib/frames.js and
+// pressure-sensitive strokes in lib/stroke.js. Any element may carry a `rotation` (radians) around the
+// center of its unrotated bounds; images and fills may also be mirrored with
+// `flipX` / `flipY`. Elements sharing a `groupId` form a group (see
+// lib/groups.js).
+
+import { hasPressure, MAX_PRESSURE_SCALE } from './stroke';
+import { FRAME_LABEL_HEIGHT } from './frames';
+
+export const HANDLE_SIZE = 10;
+export const ROTATION_HANDLE_OFFSET = 24; // screen px above the selection
+
+// Generates a unique id for a scene element.
+export const createId = () => {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Returns the z-index for an element placed on top of everything else.
+export const nextZ = (elements) => elements.reduce((max, el) => Math.max(max, el.z), 0) + 1;
+
+// Creates a new element on top of the given scene.
+export const createElement = (elements, tool, props) => ({
+    id: createId(),
+    tool,
+    points: [],
+    color: '#000000',
+    lineWidth: 5,
+    z: nextZ(elements),
+    ...props,
+});
+
+// Returns a copy of the scene sorted by z-order, bottom first.
+export const sortByZ = (elements) => [...elements].sort((a, b) => a.z - b.z);
+
+// Replaces an element (matched by id) with an updated copy.
+export const updateElement = (elements, id, changes) => elements.map(el => (el.id === id ? { ...el, ...changes } : el));
+
+export const removeElement = (elements, id) => elements.filter(el => el.id !== id);
+
+// --- Geometry ---
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const distanceToSegment = (p, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return distance(p, a);
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return distance(p, { x: a.x + t * dx, y: a.y + t * dy });
+};
+
+export const rotatePoint = (p, angle, center) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+};
+
+// Mirrors a point across the vertical (`flipX`) and/or horizontal (`flipY`)
+// axis through `center`.
+const mirrorPoint = (p, { flipX, flipY }, center) => ({
+    ...p,
+    x: flipX ? 2 * center.x - p.x : p.x,
+    y: flipY ? 2 * center.y - p.y : p.y,
+});
+
+const rectCenter = (rect) => ({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+
+// Head styles for either end of a line or arrow.
+export const ARROW_HEADS = ['none', 'open', 'triangle', 'dot'];
+
+// The heads of a line or arrow. Arrows point at their end unless told
+// otherwise.
+export const getArrowHeads = (el) => ({
+    start: el.startHead || 'none',
+    end: el.endHead || (el.tool === 'arrow' ? 'open' : 'none'),
+});
+
+const hasArrowHead = (el) => {
+    const heads = getArrowHeads(el);
+    return heads.start !== 'none' || heads.end !== 'none';
+};
+
+// Length of an arrow's head strokes, growing with the line width.
+export const arrowHeadSize = (el) => Math.max(12, el.lineWidth * 3);
+
+// The two barb ends of a head at `tip`, for a shaft coming from `from`,
+// 30° either side of the shaft.
+export const arrowBarbs = (el, from, tip) => {
+    const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+    const size = arrowHeadSize(el);
+    return [angle - Math.PI / 6, angle + Math.PI / 6].map(a => ({
+        x: tip.x - Math.cos(a) * size,
+        y: tip.y - Math.sin(a) * size,
+    }));
+};
+
+// Checks whether a point lies inside a polygon (even-odd rule).
+export const pointInPolygon = (point, corners) => {
+    let inside = false;
+    for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+        const a = corners[i];
+        const b = corners[j];
+        if ((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// Elements that span the box between two corner points, with no outline
+// reaching past it.
+const BOX_TOOLS = ['image', 'sticky', 'frame'];
+
+// Returns the bounds of an element as if it were not rotated.
+export const getBaseBounds = (el) => {
+    if (el.tool === 'fill') {
+        const { x, y, width, height } = el.region;
+        return { x, y, width, height };
+    }
+    if (el.tool === 'text') {
+        const [origin] = el.points;
+        return { x: origin.x, y: origin.y, width: el.width, height: el.height };
+    }
+    if (BOX_TOOLS.includes(el.tool)) {
+        const [a, b] = el.points;
+        return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y) };
+    }
+
+    let minX, minY, maxX, maxY;
+    if (el.tool === 'circle') {
+        const [center, edge] = el.points;
+        const radius = distance(center, edge);
+        minX = center.x - radius;
+        minY = center.y - radius;
+        maxX = center.x + radius;
+        maxY = center.y + radius;
+    } else {
+        const xs = el.points.map(p => p.x);
+        const ys = el.points.map(p => p.y);
+        minX = Math.min(...xs);
+        minY = Math.min(...ys);
+        maxX = Math.max(...xs);
+        maxY = Math.max(...ys);
+    }
+
+    // Arrow barbs reach sideways past the shaft, and pressed-hard strokes
+    // grow wider than their line width.
+    let pad = el.lineWidth / 2;
+    if ((el.tool === 'line' || el.tool === 'arrow') && hasArrowHead(el)) pad = (arrowHeadSize(el) + el.lineWidth) / 2;
+    else if (hasPressure(el)) pad *= MAX_PRESSURE_SCALE;
+    return { x: minX - pad, y: minY - pad, width: maxX - minX + pad * 2, height: maxY - minY + pad * 2 };
+};
+
+// The point an element rotates around: the center of its unrotated bounds.
+export const getRotationCenter = (el) => rectCenter(getBaseBounds(el));
+
+// Returns the axis-aligned bounds of an element in board coordinates.
+export const getBounds = (el) => {
+    const base = getBaseBounds(el);
+    if (!el.rotation) return base;
+
+    const center = rectCenter(base);
+    const corners = [
+        { x: base.x, y: base.y },
+        { x: base.x + base.width, y: base.y },
+        { x: base.x + base.width, y: base.y + base.height },
+        { x: base.x, y: base.y + base.height },
+    ].map(p => rotatePoint(p, el.rotation, center));
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+};
+
+// Returns the bounds enclosing every element, or null for an empty scene.
+export const getSceneBounds = (elements) => {
+    const visible = elements.filter(el => el.tool !== 'eraser');
+    if (visible.length === 0) return null;
+    const boxes = visible.map(getBounds);
+    const minX = Math.min(...boxes.map(b => b.x));
+    const minY = Math.min(...boxes.map(b => b.y));
+    const maxX = Math.max(...boxes.map(b => b.x + b.width));
+    const maxY = Math.max(...boxes.map(b => b.y + b.height));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+// Checks whether a point lies on the filled pixels of a fill region.
+const regionContains = (region, point) => {
+    const px = Math.floor((point.x - region.x) * region.pixelWidth / region.width);
+    const py = Math.floor((point.y - region.y) * region.pixelHeight / region.height);
+    const { spans } = region;
+    for (let i = 0; i < spans.length; i += 3) {
+        if (spans[i] === py && px >= spans[i + 1] && px <= spans[i + 2]) return true;
+    }
+    return false;
+};
+
+// Checks whether a point touches the visible ink of an element. Filled
+// shapes are hit anywhere inside.
+export const hitTest = (el, point, tolerance = 4) => {
+    if (el.rotation) {
+        // Test in the element's own, unrotated frame.
+        point = rotatePoint(point, -el.rotation, getRotationCenter(el));
+    }
+    if (el.flipX || el.flipY) point = mirrorPoint(point, el, getRotationCenter(el));
+    const reach = el.lineWidth / 2 + tolerance;
+    const { points } = el;
+
+    switch (el.tool) {
+        case 'pencil':
+            if (points.length === 1) return distance(point, points[0]) <= reach;
+            for (let i = 1; i < points.length; i++) {
+                if (distanceToSegment(point, points[i - 1], points[i]) <= reach) return true;
+            }
+            return false;
+        case 'line':
+        case 'arrow': {
+            const [start, end] = points;
+            const heads = getArrowHeads(el);
+            const segments = [[start, end]];
+            if (heads.start !== 'none') arrowBarbs(el, end, start).forEach(barb => segments.push([barb, start]));
+            if (heads.end !== 'none') arrowBarbs(el, start, end).forEach(barb => segments.push([barb, end]));
+            return segments.some(([a, b]) => distanceToSegment(point, a, b) <= reach);
+        }
+        case 'rectangle':
+        case 'polygon': {
+            const [a, b] = points;
+            const corners = el.tool === 'polygon' ? points : [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }];
+            if (el.fillColor && pointInPolygon(point, corners)) return true;
+            return corners.some((corner, i) => distanceToSegment(point, corner, corners[(i + 1) % corners.length]) <= reach);
+        }
+        case 'circle': {
+            const [center, edge] = points;
+            const offset = distance(point, center) - distance(center, edge);
+            return Math.abs(offset) <= reach || (Boolean(el.fillColor) && offset < 0);
+        }
+        case 'ellipse': {
+            // Distance to the outline measured along the ray from the center.
+            const [a, b] = points;
+            const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            const rx = Math.abs(b.x - a.x) / 2 || 1;
+            const ry = Math.abs(b.y - a.y) / 2 || 1;
+            const dx = point.x - center.x;
+            const dy = point.y - center.y;
+            const scaled = Math.hypot(dx / rx, dy / ry);
+            if (el.fillColor && scaled <= 1) return true;
+            if (scaled === 0) return Math.min(rx, ry) <= reach;
+            return Math.abs(1 - 1 / scaled) * Math.hypot(dx, dy) <= reach;
+        }
+        case 'fill':
+            return regionContains(el.region, point);
+        case 'text':
+        case 'image':
+        case 'sticky':
+            return pointInRect(point, getBaseBounds(el));
+        case 'frame': {
+            // Frames are picked by their outline or the name above them, so
+            // clicks inside one reach the board underneath.
+            const box = getBaseBounds(el);
+            const label = { x: box.x, y: box.y - FRAME_LABEL_HEIGHT, width: box.width, height: FRAME_LABEL_HEIGHT };
+            const inner = { x: box.x + tolerance, y: box.y + tolerance, width: box.width - tolerance * 2, height: box.height - tolerance * 2 };
+            const outer = { x: box.x - tolerance, y: box.y - tolerance, width: box.width + tolerance * 2, height: box.height + tolerance * 2 };
+            return pointInRect(point, label) || (pointInRect(point, outer) && !pointInRect(point, inner));
+        }
+        default:
+            return false;
+    }
+};
+
+// Returns the topmost selectable element under a point. Eraser strokes are
+// not selectable on their own; they only cut into what lies beneath them.
+// `zoom` keeps the pick tolerance constant in screen pixels.
+export const findElementAt = (elements, point, zoom = 1) => {
+    const candidates = sortByZ(elements).reverse();
+    return candidates.find(el => el.tool !== 'eraser' && hitTest(el, point, 4 / zoom)) || null;
+};
+
+// Returns the four corner resize handles of a selection bounds, sized to
+// stay HANDLE_SIZE screen pixels wide at any zoom. Each handle scales the
+// selection towards its `anchor`, the opposite corner.
+export const getResizeHandles = (bounds, zoom = 1) => {
+    const size = HANDLE_SIZE / zoom;
+    const left = bounds.x;
+    const top = bounds.y;
+    const right = bounds.x + bounds.width;
+    const bottom = bounds.y + bounds.height;
+    return [
+        { corner: 'nw', x: left, y: top, anchor: { x: right, y: bottom } },
+        { corner: 'ne', x: right, y: top, anchor: { x: left, y: bottom } },
+        { corner: 'se', x: right, y: bottom, anchor: { x: left, y: top } },
+        { corner: 'sw', x: left, y: bottom, anchor: { x: right, y: top } },
+    ].map(handle => ({ ...handle, x: handle.x - size / 2, y: handle.y - size / 2, width: size, height: size }));
+};
+
+// Returns the rotation handle, drawn as a circle above the selection bounds.
+export const getRotationHandle = (bounds, zoom = 1) => ({
+    x: bounds.x + bounds.width / 2,
+    y: bounds.y - ROTATION_HANDLE_OFFSET / zoom,
+    radius: HANDLE_SIZE / 2 / zoom,
+});
+
+export const pointInRect = (point, rect) => (
+    point.x >= rect.x && point.x <= rect.x + rect.width &&
+    point.y >= rect.y && point.y <= rect.y + rect.height
+);
+
+// --- Transforms ---
+export const translateElement = (el, dx, dy) => {
+    if (el.tool === 'fill') {
+        return { ...el, region: { ...el.region, x: el.region.x + dx, y: el.region.y + dy } };
+    }
+    return { ...el, points: el.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy })) };
+};
+
+// Tools whose shape is fully described by their points; they are rotated and
+// mirrored point by point.
+const POINT_TOOLS = ['pencil', 'eraser', 'line', 'arrow', 'polygon', 'circle'];
+
+// Rotates an element by `angle` around `center`. Boxes (rectangles,
+// ellipses, text, images and fills) move their center and turn with
+// `rotation` instead.
+export const rotateElement = (el, angle, center) => {
+    if (POINT_TOOLS.includes(el.tool)) {
+        return { ...el, points: el.points.map(p => ({ ...p, ...rotatePoint(p, angle, center) })) };
+    }
+    const from = getRotationCenter(el);
+    const to = rotatePoint(from, angle, center);
+    return { ...translateElement(el, to.x - from.x, to.y - from.y), rotation: (el.rotation || 0) + angle };
+};
+
+// Mirrors an element across the vertical (`axis` 'x') or horizontal ('y')
+// axis through `center`. Text only moves, so it stays readable; images and
+// fills are mirrored with `flipX` / `flipY`.
+export const flipElement = (el, axis, center) => {
+    const flip = axis === 'x' ? { flipX: true } : { flipY: true };
+    const rotation = el.rotation ? { rotation: -el.rotation } : {};
+    if (el.tool !== 'text' && el.tool !== 'image' && el.tool !== 'fill') {
+        return { ...el, ...rotation, points: el.points.map(p => mirrorPoint(p, flip, center)) };
+    }
+    const from = getRotationCenter(el);
+    const to = mirrorPoint(from, flip, center);
+    const moved = { ...translateElement(el, to.x - from.x, to.y - from.y), ...rotation };
+    if (el.tool === 'text') return moved;
+    const key = axis === 'x' ? 'flipX' : 'flipY';
+    return { ...moved, [key]: !el[key] };
+};
+
+// Maps an element from one bounding box onto another.
+export const scaleElement = (el, from, to) => {
+    const sx = from.width ? to.width / from.width : 1;
+    const sy = from.height ? to.height / from.height : 1;
+    const map = (p) => ({ ...p, x: to.x + (p.x - from.x) * sx, y: to.y + (p.y - from.y) * sy });
+
+    if (el.tool === 'fill') {
+        const { x, y } = map(el.region);
+        return { ...el, region: { ...el.region, x, y, width: el.region.width * sx, height: el.region.height * sy } };
+    }
+    if (el.tool === 'text') {
+        // Text keeps its proportions: the font follows the vertical scale.
+        return { ...el, points: el.points.map(map), fontSize: el.fontSize * sy, width: el.width * sy, height: el.height * sy };
+    }
+    return { ...el, points: el.points.map(map) };
+};
+
@@ -0,0 +1,32 @@
+import { getBounds, pointInPolygon, pointInRect } from './scene';
+
+// Area selection for the select tool. Dragging over empty board space draws
+// either a rectangle (marquee) or a freeform loop (lasso):
+//   { mode: 'marquee' | 'lasso', points: [{ x, y }] }
+// A marquee spans its first and last point; a lasso runs through all of
+// them. Elements are picked when they lie completely inside the area.
+
+export const SELECTION_MODES = ['marquee', 'lasso'];
+
+export const getMarqueeRect = ({ points }) => {
+    const [a, b] = [points[0], points[points.length - 1]];
+    return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y) };
+};
+
+// Points that have to be inside an area for the element to count as inside.
+// Strokes and lines use their own points, so a lasso can pick a diagonal
+// line without taking in its whole bounding box.
+const outlinePoints = (el) => {
+    if (['pencil', 'line', 'arrow', 'polygon'].includes(el.tool) && !el.rotation) return el.points;
+    const { x, y, width, height } = getBounds(el);
+    return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+};
+
+// The elements that lie completely inside a selection area. Eraser strokes
+// are never selected.
+export const getElementsInArea = (elements, area) => {
+    if (area.mode === 'lasso' && area.points.length < 3) return [];
+    const rect = area.mode === 'marquee' ? getMarqueeRect(area) : null;
+    const contains = rect ? (p) => pointInRect(p, rect) : (p) => pointInPolygon(p, area.points);
+    return elements.filter(el => el.tool !== 'eraser' && outlinePoints(el).every(contains));
+};
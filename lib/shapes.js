@@ -0,0 +1,171 @@
+import { getArrowHeads } from './scene';
+
+// Geometry for the shape tools: the points a shape gets while it is dragged
+// out, including the Shift (constrain) and Alt (from the center) modifiers,
+// and the stroke styles shapes can be drawn with.
+
+export const STROKE_STYLES = ['solid', 'dashed', 'dotted'];
+
+// Tools that draw a polygon element inside the dragged box.
+export const POLYGON_TOOLS = ['triangle', 'polygon', 'star'];
+
+export const SHAPE_TOOLS = ['line', 'arrow', 'rectangle', 'circle', 'ellipse', ...POLYGON_TOOLS];
+
+// Shapes that enclose an area and can therefore be filled.
+export const FILLABLE_TOOLS = ['rectangle', 'circle', 'ellipse', 'polygon'];
+
+export const DEFAULT_SHAPE_STYLE = {
+    strokeStyle: 'solid',
+    filled: false,
+    fillColor: '#BFDBFE',
+    cornerRadius: 0,
+    sides: 5,
+    startHead: 'none',
+    endHead: 'open',
+};
+
+const STAR_INNER_RADIUS = 0.45; // share of the outer radius
+const ANGLE_STEP = Math.PI / 12; // Shift snaps lines to 15° steps
+
+// The element tool a shape tool draws: triangles and stars are polygons.
+export const elementToolFor = (tool) => (POLYGON_TOOLS.includes(tool) ? 'polygon' : tool);
+
+// Canvas line dash for a stroke style, scaled with the line width. Dots are
+// zero-length dashes drawn with round caps.
+export const getLineDash = ({ strokeStyle, lineWidth }) => {
+    if (strokeStyle === 'dashed') return [lineWidth * 3, lineWidth * 2];
+    if (strokeStyle === 'dotted') return [0, lineWidth * 2];
+    return [];
+};
+
+// End point of a line from `start` towards `pos`; Shift snaps its angle.
+const constrainLine = (start, pos, shift) => {
+    if (!shift) return pos;
+    const length = Math.hypot(pos.x - start.x, pos.y - start.y);
+    const angle = Math.round(Math.atan2(pos.y - start.y, pos.x - start.x) / ANGLE_STEP) * ANGLE_STEP;
+    return { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+};
+
+// The box dragged from `start` to `pos` as two corners. Shift makes it
+// square; Alt grows it from `start` as its center.
+const constrainBox = (start, pos, { shift, alt }) => {
+    let dx = pos.x - start.x;
+    let dy = pos.y - start.y;
+    if (shift) {
+        const size = Math.max(Math.abs(dx), Math.abs(dy));
+        dx = Math.sign(dx || 1) * size;
+        dy = Math.sign(dy || 1) * size;
+    }
+    const corner = { x: start.x + dx, y: start.y + dy };
+    return alt ? [{ x: start.x - dx, y: start.y - dy }, corner] : [start, corner];
+};
+
+// Corners of a regular polygon or star on the unit circle, pointing up.
+const unitPolygon = (corners, innerRatio = 1) => {
+    const count = innerRatio < 1 ? corners * 2 : corners;
+    return Array.from({ length: count }, (_, i) => {
+        const angle = -Math.PI / 2 + i * 2 * Math.PI / count;
+        const radius = innerRatio < 1 && i % 2 === 1 ? innerRatio : 1;
+        return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+    });
+};
+
+// Corners of a regular polygon or star filling the box between two points,
+// pointing up.
+const polygonInBox = ([a, b], corners, innerRatio = 1) => {
+    const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const rx = Math.abs(b.x - a.x) / 2;
+    const ry = Math.abs(b.y - a.y) / 2;
+    return unitPolygon(corners, innerRatio).map(p => ({ x: center.x + p.x * rx, y: center.y + p.y * ry }));
+};
+
+// The shape tool that draws `el`, e.g. 'star' for a polygon drawn as a star.
+// Polygons drawn some other way, like triangles, count as triangles.
+export const getShapeTool = (el) => {
+    if (el.tool !== 'polygon') return el.tool;
+    if (!el.sides) return 'triangle';
+    return el.star ? 'star' : 'polygon';
+};
+
+// Points of a polygon or star element redrawn with `sides` corners. Moving,
+// resizing, rotating and flipping it since it was drawn kept it a regular
+// shape under one linear map, which the new corners go through as well.
+export const getPolygonPoints = (el, sides) => {
+    const innerRatio = el.star ? STAR_INNER_RADIUS : 1;
+    const [u, v] = unitPolygon(el.sides, innerRatio);
+    const center = {
+        x: el.points.reduce((sum, p) => sum + p.x, 0) / el.points.length,
+        y: el.points.reduce((sum, p) => sum + p.y, 0) / el.points.length,
+    };
+    const p = { x: el.points[0].x - center.x, y: el.points[0].y - center.y };
+    const q = { x: el.points[1].x - center.x, y: el.points[1].y - center.y };
+    // The map takes the first two unit corners onto the element's first two.
+    const det = u.x * v.y - u.y * v.x;
+    const a = (p.x * v.y - q.x * u.y) / det;
+    const b = (q.x * u.x - p.x * v.x) / det;
+    const c = (p.y * v.y - q.y * u.y) / det;
+    const d = (q.y * u.x - p.y * v.x) / det;
+    return unitPolygon(sides, innerRatio).map(w => ({ x: center.x + a * w.x + b * w.y, y: center.y + c * w.x + d * w.y }));
+};
+
+// Points of the shape `tool` dragged from `start` to `pos`.
+export const getShapePoints = (tool, start, pos, modifiers, style = DEFAULT_SHAPE_STYLE) => {
+    switch (tool) {
+        case 'line':
+        case 'arrow': {
+            const end = constrainLine(start, pos, modifiers.shift);
+            return modifiers.alt ? [{ x: 2 * start.x - end.x, y: 2 * start.y - end.y }, end] : [start, end];
+        }
+        case 'circle':
+            return [start, pos];
+        case 'triangle': {
+            const [a, b] = constrainBox(start, pos, modifiers);
+            const top = Math.min(a.y, b.y);
+            const bottom = Math.max(a.y, b.y);
+            return [{ x: (a.x + b.x) / 2, y: top }, { x: Math.max(a.x, b.x), y: bottom }, { x: Math.min(a.x, b.x), y: bottom }];
+        }
+        case 'polygon':
+            return polygonInBox(constrainBox(start, pos, modifiers), style.sides);
+        case 'star':
+            return polygonInBox(constrainBox(start, pos, modifiers), style.sides, STAR_INNER_RADIUS);
+        default:
+            return constrainBox(start, pos, modifiers);
+    }
+};
+
+export const MIN_SIDES = 3;
+export const MAX_SIDES = 12;
+export const MAX_CORNER_RADIUS = 50;
+
+// Style properties of a shape element drawn with `tool` in `style`. Arrows
+// carry the head styles; plain lines never have heads. Polygons and stars
+// keep their corner count so it can be changed later.
+export const getShapeProps = (tool, style) => {
+    const elementTool = elementToolFor(tool);
+    const props = { strokeStyle: style.strokeStyle };
+    if (tool === 'polygon' || tool === 'star') props.sides = style.sides;
+    if (tool === 'star') props.star = true;
+    if (FILLABLE_TOOLS.includes(elementTool)) props.fillColor = style.filled ? style.fillColor : null;
+    if (elementTool === 'rectangle') props.cornerRadius = style.cornerRadius;
+    if (elementTool === 'arrow') {
+        props.startHead = style.startHead;
+        props.endHead = style.endHead;
+    }
+    return props;
+};
+
+// The style a shape element is drawn in, for the shape options to show.
+// Settings the element does not have come from `fallback`.
+export const getShapeStyle = (el, fallback) => {
+    const style = {
+        ...fallback,
+        strokeStyle: el.strokeStyle || 'solid',
+        filled: Boolean(el.fillColor),
+        fillColor: el.fillColor || fallback.fillColor,
+        cornerRadius: el.cornerRadius || 0,
+        sides: el.sides || fallback.sides,
+    };
+    if (el.tool !== 'arrow') return style;
+    const heads = getArrowHeads(el);
+    return { ...style, startHead: heads.start, endHead: heads.end };
+};
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { getShapePoints, getShapeProps, getPolygonPoints, DEFAULT_SHAPE_STYLE } from './shapes';
+import { rotateElement, flipElement } from './scene';
+
+const drawn = (tool, sides) => {
+    const style = { ...DEFAULT_SHAPE_STYLE, sides };
+    return { id: 'shape', tool: 'polygon', z: 1, points: getShapePoints(tool, { x: 0, y: 0 }, { x: 100, y: 60 }, {}, style), ...getShapeProps(tool, style) };
+};
+
+const expectPoints = (actual, expected) => {
+    expect(actual).toHaveLength(expected.length);
+    actual.forEach((p, i) => {
+        expect(p.x).toBeCloseTo(expected[i].x, 6);
+        expect(p.y).toBeCloseTo(expected[i].y, 6);
+    });
+};
+
+describe('getPolygonPoints', () => {
+    it('redraws a polygon with another number of sides in the same box', () => {
+        expectPoints(getPolygonPoints(drawn('polygon', 5), 7), drawn('polygon', 7).points);
+    });
+
+    it('redraws a star with another number of points', () => {
+        expectPoints(getPolygonPoints(drawn('star', 5), 6), drawn('star', 6).points);
+    });
+
+    it('keeps the rotation and flip of the shape', () => {
+        const center = { x: 50, y: 30 };
+        const turn = (el) => flipElement(rotateElement(el, 0.7, center), 'y', center);
+        expectPoints(getPolygonPoints(turn(drawn('polygon', 5)), 8), turn(drawn('polygon', 8)).points);
+    });
+});
@@ -0,0 +1,103 @@
+// Keyboard shortcuts. Every command that can run from the keyboard or the
+// command palette has an id and default key bindings. Users can remap them;
+// only the commands they changed are kept in localStorage.
+//
+// A binding is a key with its modifiers joined by '+', e.g. 'mod+z',
+// 'mod+shift+z', '[' or 'p'. `mod` is Ctrl, or Cmd on a Mac. The key is
+// `KeyboardEvent.key` in lower case, with 'space' and 'plus' for the keys
+// that cannot be written directly.
+
+const BINDINGS_KEY = 'iboard:shortcuts';
+const MODIFIER_KEYS = ['control', 'shift', 'alt', 'meta', 'altgraph', 'dead', 'unidentified'];
+const KEY_NAMES = { ' ': 'space', '+': 'plus' };
+const KEY_LABELS = {
+    mod: 'Ctrl', shift: 'Shift', alt: 'Alt', space: 'Space', plus: '+', delete: 'Del', escape: 'Esc',
+    arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→',
+};
+
+const TOOLS = ['pencil', 'eraser', 'line', 'arrow', 'rectangle', 'circle', 'ellipse', 'triangle', 'polygon', 'star', 'fill', 'text', 'sticky', 'frame', 'laser', 'select'];
+const TOOL_KEYS = { pencil: 'p', eraser: 'e', line: 'l', rectangle: 'r', circle: 'c', fill: 'f', sticky: 'n', frame: 'shift+f', laser: 'shift+l', select: 'v' };
+
+export const COMMANDS = [
+    ...TOOLS.map(name => ({
+        id: `tool.${name}`,
+        label: `${name.charAt(0).toUpperCase()}${name.slice(1)} tool`,
+        group: 'Tools',
+        keys: TOOL_KEYS[name] ? [TOOL_KEYS[name]] : [],
+    })),
+    { id: 'stroke.thinner', label: 'Thinner stroke', group: 'Stroke', keys: ['['] },
+    { id: 'stroke.thicker', label: 'Thicker stroke', group: 'Stroke', keys: [']'] },
+    { id: 'edit.undo', label: 'Undo', group: 'Edit', keys: ['mod+z'] },
+    { id: 'edit.redo', label: 'Redo', group: 'Edit', keys: ['mod+shift+z', 'mod+y'] },
+    { id: 'edit.selectAll', label: 'Select all', group: 'Edit', keys: ['mod+a'] },
+    { id: 'edit.delete', label: 'Delete selection', group: 'Edit', keys: ['delete', 'backspace'] },
+    { id: 'edit.duplicate', label: 'Duplicate selection', group: 'Edit', keys: ['mod+d'] },
+    { id: 'edit.copy', label: 'Copy selection', group: 'Edit', keys: ['mod+c'] },
+    { id: 'edit.cut', label: 'Cut selection', group: 'Edit', keys: ['mod+x'] },
+    { id: 'edit.group', label: 'Group selection', group: 'Edit', keys: ['mod+g'] },
+    { id: 'edit.ungroup', label: 'Ungroup selection', group: 'Edit', keys: ['mod+shift+g'] },
+    { id: 'board.save', label: 'Save as image', group: 'Board', keys: ['mod+s'] },
+    { id: 'board.clear', label: 'Clear board', group: 'Board', keys: [] },
+    { id: 'board.export', label: 'Export', group: 'Board', keys: [] },
+    { id: 'board.import', label: 'Import .iboard file', group: 'Board', keys: [] },
+    { id: 'board.insertImage', label: 'Insert image', group: 'Board', keys: [] },
+    { id: 'board.gallery', label: 'Open boards', group: 'Board', keys: [] },
+    { id: 'board.replay', label: 'Replay session', group: 'Board', keys: [] },
+    { id: 'board.present', label: 'Present frames', group: 'Board', keys: [] },
+    { id: 'view.zoomIn', label: 'Zoom in', group: 'View', keys: [] },
+    { id: 'view.zoomOut', label: 'Zoom out', group: 'View', keys: [] },
+    { id: 'view.resetZoom', label: 'Reset zoom', group: 'View', keys: [] },
+    { id: 'view.zoomToFit', label: 'Zoom to fit', group: 'View', keys: [] },
+    { id: 'view.toggleTheme', label: 'Toggle dark theme', group: 'View', keys: [] },
+    { id: 'app.commandPalette', label: 'Command palette', group: 'App', keys: ['mod+k'] },
+    { id: 'app.shortcuts', label: 'Keyboard shortcuts', group: 'App', keys: ['?'] },
+];
+
+// Command id -> bindings
+export const DEFAULT_BINDINGS = Object.fromEntries(COMMANDS.map(({ id, keys }) => [id, keys]));
+
+// The binding a key press stands for, or null for a lone modifier.
+export const eventToBinding = (event) => {
+    const key = event.key.toLowerCase();
+    if (MODIFIER_KEYS.includes(key)) return null;
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('mod');
+    if (event.altKey) parts.push('alt');
+    // Shift is already part of symbols such as '?' or '{'
+    if (event.shiftKey && (key.length > 1 || /[a-z]/.test(key))) parts.push('shift');
+    parts.push(KEY_NAMES[key] || key);
+    return parts.join('+');
+};
+
+// Readable form of a binding, e.g. 'mod+shift+z' -> 'Ctrl+Shift+Z'.
+export const formatBinding = (binding) => binding.split('+')
+    .map(part => KEY_LABELS[part] || `${part.charAt(0).toUpperCase()}${part.slice(1)}`)
+    .join('+');
+
+// The id of the command bound to `binding`, or null.
+export const findCommand = (bindings, binding) => {
+    const entry = Object.entries(bindings).find(([, keys]) => keys.includes(binding));
+    return entry ? entry[0] : null;
+};
+
+// Binds `binding` to command `id` alone, taking it from any other command.
+export const assignBinding = (bindings, id, binding) => Object.fromEntries(Object.entries(bindings).map(([other, keys]) => (
+    [other, other === id ? [binding] : keys.filter(key => key !== binding)]
+)));
+
+export const loadBindings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY)) || {};
+        return Object.fromEntries(COMMANDS.map(({ id, keys }) => {
+            const custom = saved[id];
+            return [id, Array.isArray(custom) && custom.every(key => typeof key === 'string') ? custom : keys];
+        }));
+    } catch {
+        return DEFAULT_BINDINGS;
+    }
+};
+
+export const saveBindings = (bindings) => {
+    const changed = Object.entries(bindings).filter(([id, keys]) => keys.join(' ') !== (DEFAULT_BINDINGS[id] || []).join(' '));
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(Object.fromEntries(changed)));
+};
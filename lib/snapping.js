@@ -0,0 +1,67 @@
+import { getBounds } from './scene';
+import { snapToGrid } from './grid';
+
+// Snapping while drawing, moving and resizing: to the background grid (see
+// lib/grid.js) and to the edges and centers of other elements. A snap to an
+// element wins over the grid and shows an alignment guide, a line
+// { x1, y1, x2, y2 } through both.
+//
+// Options for every snap: { lines, grid, zoom }, where `lines` come from
+// getSnapLines (null to ignore elements) and `grid` is the board's pattern
+// (null to ignore the grid).
+
+export const SNAP_DISTANCE = 8; // screen px
+
+const UNSNAPPABLE_TOOLS = ['eraser', 'fill'];
+
+// The left, center and right (`xs`) and top, middle and bottom (`ys`) of
+// every element, each as { value, box } with the element's bounds.
+export const getSnapLines = (elements) => {
+    const xs = [];
+    const ys = [];
+    elements.filter(el => !UNSNAPPABLE_TOOLS.includes(el.tool)).forEach(el => {
+        const box = getBounds(el);
+        [box.x, box.x + box.width / 2, box.x + box.width].forEach(value => xs.push({ value, box }));
+        [box.y, box.y + box.height / 2, box.y + box.height].forEach(value => ys.push({ value, box }));
+    });
+    return { xs, ys };
+};
+
+// The closest line to any of `values`, within `distance`, as the offset that
+// moves onto it: { offset, line }, or null.
+const nearestLine = (lines, values, distance) => {
+    let best = null;
+    lines.forEach(line => values.forEach(value => {
+        const offset = line.value - value;
+        if (Math.abs(offset) <= distance && (!best || Math.abs(offset) < Math.abs(best.offset))) best = { offset, line };
+    }));
+    return best;
+};
+
+// Guide along a snapped line, long enough to reach both boxes.
+const getGuide = (axis, { value, box: other }, box) => (axis === 'x'
+    ? { x1: value, y1: Math.min(box.y, other.y), x2: value, y2: Math.max(box.y + box.height, other.y + other.height) }
+    : { x1: Math.min(box.x, other.x), y1: value, x2: Math.max(box.x + box.width, other.x + other.width), y2: value });
+
+// Snaps a box being dragged by its edges or center: { dx, dy, guides },
+// the offset to add to it and the guides to show.
+export const snapBox = (box, { lines = null, grid = null, zoom = 1 }) => {
+    const distance = SNAP_DISTANCE / zoom;
+    const corner = grid ? snapToGrid(box, grid) : null;
+    const snapAxis = (axis, start, size) => {
+        const found = lines && nearestLine(lines[`${axis}s`], [start, start + size / 2, start + size], distance);
+        if (found) return found;
+        return { offset: corner ? corner[axis] - start : 0, line: null };
+    };
+    const x = snapAxis('x', box.x, box.width);
+    const y = snapAxis('y', box.y, box.height);
+    const snapped = { ...box, x: box.x + x.offset, y: box.y + y.offset };
+    const guides = [x.line && getGuide('x', x.line, snapped), y.line && getGuide('y', y.line, snapped)].filter(Boolean);
+    return { dx: x.offset, dy: y.offset, guides };
+};
+
+// Snaps a point such as a shape corner or a line end: { point, guides }.
+export const snapPoint = (point, options) => {
+    const { dx, dy, guides } = snapBox({ x: point.x, y: point.y, width: 0, height: 0 }, options);
+    return { point: { ...point, x: point.x + dx, y: point.y + dy }, guides };
+};
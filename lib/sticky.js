@@ -0,0 +1,44 @@
+import { getBaseBounds } from './scene';
+import { DEFAULT_TEXT_STYLE, LINE_HEIGHT, wrapText } from './text';
+
+// Sticky notes: colored cards with text that wraps inside them.
+//   { tool: 'sticky', points: [corner, corner], fillColor, text, color,
+//     fontFamily, fontSize, bold, italic, align }
+// `color` is the color of the text. Text that does not fit on the card is
+// cut off at its bottom edge.
+
+export const STICKY_COLORS = ['#FEF08A', '#FBCFE8', '#BFDBFE', '#BBF7D0', '#FED7AA', '#DDD6FE'];
+export const STICKY_SIZE = 200;
+export const STICKY_PADDING = 12;
+export const STICKY_TEXT_STYLE = { ...DEFAULT_TEXT_STYLE, fontSize: 20 };
+
+// Props of a new, empty note of `fillColor` centered on `center`.
+export const getStickyProps = (center, fillColor) => ({
+    points: [
+        { x: center.x - STICKY_SIZE / 2, y: center.y - STICKY_SIZE / 2 },
+        { x: center.x + STICKY_SIZE / 2, y: center.y + STICKY_SIZE / 2 },
+    ],
+    fillColor,
+    text: '',
+    lineWidth: 0,
+    ...STICKY_TEXT_STYLE,
+});
+
+// The part of a note its text goes in.
+export const getStickyTextBox = (el) => {
+    const { x, y, width, height } = getBaseBounds(el);
+    return {
+        x: x + STICKY_PADDING,
+        y: y + STICKY_PADDING,
+        width: Math.max(0, width - STICKY_PADDING * 2),
+        height: Math.max(0, height - STICKY_PADDING * 2),
+    };
+};
+
+// The wrapped lines of a note's text, each with the position to draw it at
+// for its alignment.
+export const layoutStickyText = (el) => {
+    const box = getStickyTextBox(el);
+    const x = el.align === 'center' ? box.x + box.width / 2 : el.align === 'right' ? box.x + box.width : box.x;
+    return wrapText(el.text, el, box.width).map((text, i) => ({ text, x, y: box.y + i * el.fontSize * LINE_HEIGHT }));
+};
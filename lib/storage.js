@@ -0,0 +1,93 @@
+import { createId } from './scene';
+import { createDefaultLayers } from './layers';
+
+// Boards are stored in IndexedDB, one record per board:
+//   { id, name, elements, layers, backgroundColor, backgroundPattern, narration, timeline, thumbnail, createdAt, updatedAt }
+// The timeline is kept in a store of its own under the board's id, so
+// listing the boards does not load every board's history. Boards saved
+// before that carry it in their record until they are saved again.
+// Boards saved before layers existed have no `layers`; see lib/layers.js.
+// `backgroundPattern` is one of lib/grid.js's patterns, missing on older boards.
+// `narration` is a recorded voice-over with its timeline, or null:
+//   { timeline, sampleRate, pcm: ArrayBuffer of 16-bit samples }
+// `timeline` records every change made to the board for replays (see
+// lib/timeline.js), or is null for boards saved before it was kept.
+
+const DB_NAME = 'iboard';
+const DB_VERSION = 2;
+const STORE = 'boards';
+const TIMELINE_STORE = 'timelines';
+const LAST_BOARD_KEY = 'iboard:lastBoard';
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(TIMELINE_STORE)) db.createObjectStore(TIMELINE_STORE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+// Runs requests against the boards and timelines stores in one transaction
+// and resolves with the result of the request, or list of requests, `run`
+// returns.
+const withStores = async (mode, run) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE, TIMELINE_STORE], mode);
+        const requests = run(transaction.objectStore(STORE), transaction.objectStore(TIMELINE_STORE));
+        transaction.oncomplete = () => resolve(Array.isArray(requests) ? requests.map(request => request.result) : requests.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+export const createBoard = (name = 'Untitled board', backgroundColor = '#FFFFFF') => {
+    const now = Date.now();
+    return { id: createId(), name, elements: [], layers: createDefaultLayers(), backgroundColor, backgroundPattern: 'none', narration: null, timeline: null, thumbnail: null, createdAt: now, updatedAt: now };
+};
+
+// Lists all boards, most recently edited first.
+export const listBoards = async () => {
+    const boards = await withStores('readonly', boards => boards.getAll());
+    return boards.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// A board with its timeline, or undefined.
+export const getBoard = async (id) => {
+    const [board, timeline] = await withStores('readonly', (boards, timelines) => [boards.get(id), timelines.get(id)]);
+    return board && { ...board, timeline: timeline || board.timeline || null };
+};
+
+export const saveBoard = ({ timeline = null, ...board }) => withStores('readwrite', (boards, timelines) => [
+    boards.put(board),
+    timeline ? timelines.put(timeline, board.id) : timelines.delete(board.id),
+]);
+
+export const deleteBoard = (id) => withStores('readwrite', (boards, timelines) => [boards.delete(id), timelines.delete(id)]);
+
+export const duplicateBoard = async (id) => {
+    const board = await getBoard(id);
+    const now = Date.now();
+    const copy = { ...board, id: createId(), name: `${board.name} (copy)`, createdAt: now, updatedAt: now };
+    await saveBoard(copy);
+    return copy;
+};
+
+export const renameBoard = async (id, name) => {
+    const board = await getBoard(id);
+    await saveBoard({ ...board, name, updatedAt: Date.now() });
+};
+
+// The board that was open last is reopened on the next visit.
+export const getLastBoardId = () => localStorage.getItem(LAST_BOARD_KEY);
+
+export const setLastBoardId = (id) => localStorage.setItem(LAST_BOARD_KEY, id);
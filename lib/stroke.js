@@ -0,0 +1,51 @@
+// Freehand strokes (pencil and eraser). Points drawn with a stylus carry the
+// pen `pressure` (0–1), which varies the stroke width along the way:
+//   { x, y, pressure }
+// Strokes are drawn as a Catmull-Rom spline through their points instead of
+// straight segments.
+
+export const MAX_STABILIZER = 10;
+
+const MIN_PRESSURE_SCALE = 0.2;
+export const MAX_PRESSURE_SCALE = 1.5;
+
+export const hasPressure = (el) => el.points.length > 0 && el.points[0].pressure !== undefined;
+
+// Width of a stroke at a given pen pressure. Half pressure draws at the
+// chosen line width.
+export const widthAtPressure = (lineWidth, pressure) => {
+    if (pressure === undefined) return lineWidth;
+    return lineWidth * Math.min(MAX_PRESSURE_SCALE, Math.max(MIN_PRESSURE_SCALE, pressure * 2));
+};
+
+// Stabilizer: the stroke follows the pointer on a "string", moving only part
+// of the way towards it on every input. `strength` runs from 0 (off) to
+// MAX_STABILIZER.
+export const stabilize = (previous, point, strength) => {
+    if (!previous || strength <= 0) return point;
+    const follow = 1 / (1 + strength);
+    return { ...point, x: previous.x + (point.x - previous.x) * follow, y: previous.y + (point.y - previous.y) * follow };
+};
+
+// Splits a Catmull-Rom spline through `points` into cubic Bézier segments:
+// [{ from, control1, control2, to }]. The curve passes through every point.
+export const splineSegments = (points) => {
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const p0 = points[i - 1] || points[i];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[i + 2] || p2;
+        segments.push({
+            from: p1,
+            control1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+            control2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+            to: p2,
+        });
+    }
+    return segments;
+};
+
+// Average pressure over a segment, for its stroke width.
+export const segmentPressure = ({ from, to }) =>
+    (from.pressure === undefined ? undefined : (from.pressure + to.pressure) / 2);
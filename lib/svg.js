@@ -0,0 +1,211 @@
+import { sortByZ, getBaseBounds, getRotationCenter, getArrowHeads, arrowBarbs, arrowHeadSize } from './scene';
+import { alignedX, LINE_HEIGHT } from './text';
+import { splineSegments, segmentPressure, widthAtPressure, hasPressure } from './stroke';
+import { groupByLayer } from './layers';
+import { getLineDash } from './shapes';
+import { layoutStickyText } from './sticky';
+import { FRAME_COLOR, FRAME_LINE_WIDTH, FRAME_LABEL_SIZE, FRAME_LABEL_FONT } from './frames';
+import { patternToSvg } from './grid';
+
+const escapeAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const strokeAttrs = (el, color = el.color) =>
+    `fill="none" stroke="${escapeAttr(color)}" stroke-width="${round(el.lineWidth)}" stroke-linecap="round"`;
+
+// Path data covering the filled pixels of a fill region, in region pixels.
+const regionPathData = ({ spans }) => {
+    const parts = [];
+    for (let i = 0; i < spans.length; i += 3) {
+        parts.push(`M${spans[i + 1]} ${spans[i]}h${spans[i + 2] - spans[i + 1] + 1}v1h${spans[i + 1] - spans[i + 2] - 1}z`);
+    }
+    return parts.join('');
+};
+
+const curveData = ({ control1, control2, to }) =>
+    `C${round(control1.x)} ${round(control1.y)} ${round(control2.x)} ${round(control2.y)} ${round(to.x)} ${round(to.y)}`;
+
+// A freehand stroke as a smooth path; pressure-sensitive strokes become one
+// path per segment, each with its own width.
+const strokeToSvg = (el, color) => {
+    const { points } = el;
+    const attrs = `${strokeAttrs(el, color)} stroke-linejoin="round"`;
+    if (points.length === 1) {
+        const { x, y } = points[0];
+        const width = widthAtPressure(el.lineWidth, points[0].pressure);
+        return `<path d="M${round(x)} ${round(y)}h0" ${attrs} stroke-width="${round(width)}"/>`;
+    }
+    const segments = splineSegments(points);
+    if (!hasPressure(el)) {
+        return `<path d="M${round(points[0].x)} ${round(points[0].y)}${segments.map(curveData).join('')}" ${attrs}/>`;
+    }
+    return `<g ${attrs}>${segments.map(segment =>
+        `<path d="M${round(segment.from.x)} ${round(segment.from.y)}${curveData(segment)}" stroke-width="${round(widthAtPressure(el.lineWidth, segmentPressure(segment)))}"/>`).join('')}</g>`;
+};
+
+const polylinePoints = (points) => {
+    const list = points.length === 1 ? [points[0], points[0]] : points;
+    return list.map(p => `${round(p.x)},${round(p.y)}`).join(' ');
+};
+
+// Stroke attributes of a shape, with its fill color and dash pattern.
+const shapeAttrs = (el) => {
+    const dash = getLineDash(el);
+    const attrs = strokeAttrs(el).replace('fill="none"', `fill="${el.fillColor ? escapeAttr(el.fillColor) : 'none'}"`);
+    return dash.length > 0 ? `${attrs} stroke-dasharray="${dash.map(round).join(' ')}"` : attrs;
+};
+
+// The heads of a line or arrow, drawn solid even on dashed lines.
+const arrowHeadsToSvg = (el) => {
+    const [start, end] = el.points;
+    const heads = getArrowHeads(el);
+    const color = escapeAttr(el.color);
+    return [[heads.start, end, start], [heads.end, start, end]].map(([head, from, tip]) => {
+        if (head === 'none') return '';
+        if (head === 'dot') return `<circle cx="${round(tip.x)}" cy="${round(tip.y)}" r="${round(arrowHeadSize(el) / 3)}" fill="${color}"/>`;
+        const [barbA, barbB] = arrowBarbs(el, from, tip);
+        const attrs = `${strokeAttrs(el)} stroke-linejoin="round"`;
+        return head === 'triangle'
+            ? `<polygon points="${polylinePoints([barbA, tip, barbB])}" ${attrs.replace('fill="none"', `fill="${color}"`)}/>`
+            : `<polyline points="${polylinePoints([barbA, tip, barbB])}" ${attrs}/>`;
+    }).join('');
+};
+
+// Converts one element to SVG markup. Eraser strokes are drawn in black so
+// they can be used inside a mask.
+const shapeToSvg = (el) => {
+    const { points } = el;
+    switch (el.tool) {
+        case 'pencil':
+            return strokeToSvg(el, el.color);
+        case 'eraser':
+            return strokeToSvg(el, '#000');
+        case 'line':
+        case 'arrow':
+            return `<line x1="${round(points[0].x)}" y1="${round(points[0].y)}" x2="${round(points[1].x)}" y2="${round(points[1].y)}" ${shapeAttrs(el)}/>` +
+                arrowHeadsToSvg(el);
+        case 'polygon':
+            return `<polygon points="${polylinePoints(points)}" ${shapeAttrs(el)} stroke-linejoin="round"/>`;
+        case 'rectangle': {
+            const x = Math.min(points[0].x, points[1].x);
+            const y = Math.min(points[0].y, points[1].y);
+            const width = Math.abs(points[1].x - points[0].x);
+            const height = Math.abs(points[1].y - points[0].y);
+            const radius = Math.min(el.cornerRadius || 0, width / 2, height / 2);
+            const corners = radius > 0 ? ` rx="${round(radius)}"` : '';
+            return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}"${corners} ${shapeAttrs(el)}/>`;
+        }
+        case 'circle': {
+            const [center, edge] = points;
+            const radius = Math.hypot(edge.x - center.x, edge.y - center.y);
+            return `<circle cx="${round(center.x)}" cy="${round(center.y)}" r="${round(radius)}" ${shapeAttrs(el)}/>`;
+        }
+        case 'ellipse': {
+            const [a, b] = points;
+            return `<ellipse cx="${round((a.x + b.x) / 2)}" cy="${round((a.y + b.y) / 2)}" rx="${round(Math.abs(b.x - a.x) / 2)}" ry="${round(Math.abs(b.y - a.y) / 2)}" ${shapeAttrs(el)}/>`;
+        }
+        case 'fill': {
+            const { region } = el;
+            const transform = `translate(${round(region.x)} ${round(region.y)}) scale(${region.width / region.pixelWidth} ${region.height / region.pixelHeight})`;
+            return `<path d="${regionPathData(region)}" fill="${escapeAttr(el.color)}" transform="${transform}"/>`;
+        }
+        case 'image': {
+            const { x, y, width, height } = getBaseBounds(el);
+            return `<image href="${escapeAttr(el.src)}" x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" preserveAspectRatio="none"/>`;
+        }
+        case 'sticky': {
+            const { x, y, width, height } = getBaseBounds(el);
+            const lines = layoutStickyText(el).map(line =>
+                `<tspan x="${round(line.x)}" y="${round(line.y)}">${escapeAttr(line.text)}</tspan>`);
+            // Overflowing text is cut off by a clip path the size of the card.
+            const clipId = `sticky-${escapeAttr(el.id)}`;
+            return `<clipPath id="${clipId}"><rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}"/></clipPath>` +
+                `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="${escapeAttr(el.fillColor)}"/>` +
+                `<text clip-path="url(#${clipId})" font-family="${escapeAttr(el.fontFamily)}" font-size="${round(el.fontSize)}" ` +
+                `font-weight="${el.bold ? 'bold' : 'normal'}" font-style="${el.italic ? 'italic' : 'normal'}" ` +
+                `text-anchor="${TEXT_ANCHORS[el.align]}" dominant-baseline="text-before-edge" fill="${escapeAttr(el.color)}" ` +
+                `xml:space="preserve">${lines.join('')}</text>`;
+        }
+        case 'frame': {
+            const { x, y, width, height } = getBaseBounds(el);
+            return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="none" stroke="${FRAME_COLOR}" stroke-width="${FRAME_LINE_WIDTH}"/>` +
+                `<text x="${round(x)}" y="${round(y - FRAME_LABEL_SIZE / 3)}" font-family="${escapeAttr(FRAME_LABEL_FONT)}" font-size="${FRAME_LABEL_SIZE}" fill="${FRAME_COLOR}">${escapeAttr(el.name)}</text>`;
+        }
+        case 'text': {
+            const x = round(alignedX(el));
+            const lines = el.text.split('\n').map((line, i) =>
+                `<tspan x="${x}" y="${round(points[0].y + i * el.fontSize * LINE_HEIGHT)}">${escapeAttr(line)}</tspan>`);
+            return `<text font-family="${escapeAttr(el.fontFamily)}" font-size="${round(el.fontSize)}" ` +
+                `font-weight="${el.bold ? 'bold' : 'normal'}" font-style="${el.italic ? 'italic' : 'normal'}" ` +
+                `text-anchor="${TEXT_ANCHORS[el.align]}" dominant-baseline="text-before-edge" fill="${escapeAttr(el.color)}" ` +
+                `xml:space="preserve">${lines.join('')}</text>`;
+        }
+        default:
+            return '';
+    }
+};
+
+// Wraps an element's markup in its rotation and mirroring, if it has any.
+const elementToSvg = (el) => {
+    const markup = shapeToSvg(el);
+    if ((!el.rotation && !el.flipX && !el.flipY) || !markup) return markup;
+    const center = getRotationCenter(el);
+    const transforms = [];
+    if (el.rotation) transforms.push(`rotate(${round(el.rotation * 180 / Math.PI)} ${round(center.x)} ${round(center.y)})`);
+    if (el.flipX || el.flipY) {
+        transforms.push(`translate(${round(center.x)} ${round(center.y)}) scale(${el.flipX ? -1 : 1} ${el.flipY ? -1 : 1}) translate(${round(-center.x)} ${round(-center.y)})`);
+    }
+    return `<g transform="${transforms.join(' ')}">${markup}</g>`;
+};
+
+// Markup for a list of elements. Each eraser stroke masks out everything
+// drawn below it in the list, like destination-out does on the canvas.
+const elementsToSvg = (elements, rect, idPrefix) => {
+    let content = '';
+    let masks = '';
+    sortByZ(elements).forEach((el, index) => {
+        if (el.tool !== 'eraser') {
+            content += elementToSvg(el);
+            return;
+        }
+        const id = `${idPrefix}erase-${index}`;
+        masks += `<mask id="${id}" maskUnits="userSpaceOnUse" x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}">` +
+            `<rect x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" fill="#fff"/>${elementToSvg(el)}</mask>`;
+        content = `<g mask="url(#${id})">${content}</g>`;
+    });
+    return { content, masks };
+};
+
+// Builds a standalone SVG document of the world rectangle `rect`. With
+// `layers`, every visible layer becomes a group with the layer's opacity,
+// and its eraser strokes only mask that group.
+export const sceneToSvg = (elements, rect, background = null, layers = null, pattern = null) => {
+    let content = '';
+    let masks = '';
+    if (!layers) {
+        ({ content, masks } = elementsToSvg(elements, rect, ''));
+    } else {
+        const groups = groupByLayer(elements, layers);
+        layers.forEach((layer, index) => {
+            if (!layer.visible) return;
+            const markup = elementsToSvg(groups.get(layer.id), rect, `layer-${index}-`);
+            const opacity = layer.opacity < 1 ? ` opacity="${round(layer.opacity)}"` : '';
+            content += `<g${opacity}>${markup.content}</g>`;
+            masks += markup.masks;
+        });
+    }
+
+    // The background pattern, like the background, only goes on an opaque export.
+    const backdropRect = `x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}"`;
+    const patternDef = background && pattern ? patternToSvg(pattern, 'background-pattern', background) : '';
+    masks += patternDef;
+    const backdrop = background
+        ? `<rect ${backdropRect} fill="${escapeAttr(background)}"/>${patternDef ? `<rect ${backdropRect} fill="url(#background-pattern)"/>` : ''}`
+        : '';
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${round(rect.width)}" height="${round(rect.height)}" viewBox="${round(rect.x)} ${round(rect.y)} ${round(rect.width)} ${round(rect.height)}">` +
+        `<defs>${masks}</defs>${backdrop}${content}</svg>\n`;
+};
@@ -0,0 +1,127 @@
+import { createElement, getSceneBounds, translateElement } from './scene';
+import { getShapePoints, DEFAULT_SHAPE_STYLE } from './shapes';
+import { DEFAULT_TEXT_STYLE, measureText } from './text';
+
+// Built-in templates: ready-made layouts inserted as ordinary elements.
+// Each template lays out element properties from the origin; arrows name
+// the shapes they connect by index with `connect: { from, to }`.
+
+const INK = '#1F2937';
+const STROKE_WIDTH = 2;
+const COLUMN_WIDTH = 260;
+const COLUMN_HEIGHT = 520;
+const COLUMN_GAP = 24;
+const HEADER_HEIGHT = 60;
+const PADDING = 16;
+
+const rectangle = (x, y, width, height, fillColor = null, cornerRadius = 12) => ({
+    tool: 'rectangle', points: [{ x, y }, { x: x + width, y: y + height }],
+    color: INK, lineWidth: STROKE_WIDTH, strokeStyle: 'solid', fillColor, cornerRadius,
+});
+
+const ellipse = (x, y, width, height, fillColor = null) => ({
+    tool: 'ellipse', points: [{ x, y }, { x: x + width, y: y + height }],
+    color: INK, lineWidth: STROKE_WIDTH, strokeStyle: 'solid', fillColor,
+});
+
+const diamond = (x, y, width, height, fillColor = null) => ({
+    tool: 'polygon', points: getShapePoints('polygon', { x, y }, { x: x + width, y: y + height }, {}, { ...DEFAULT_SHAPE_STYLE, sides: 4 }),
+    color: INK, lineWidth: STROKE_WIDTH, strokeStyle: 'solid', fillColor,
+});
+
+const line = (x1, y1, x2, y2) => ({
+    tool: 'line', points: [{ x: x1, y: y1 }, { x: x2, y: y2 }],
+    color: INK, lineWidth: STROKE_WIDTH, strokeStyle: 'solid',
+});
+
+// Vertical arrow between two stacked shapes, from the bottom center of one
+// to the top center of the next.
+const arrowDown = (x, y1, y2, from, to) => ({
+    tool: 'arrow', points: [{ x, y: y1 }, { x, y: y2 }],
+    color: INK, lineWidth: STROKE_WIDTH, strokeStyle: 'solid', startHead: 'none', endHead: 'open',
+    connect: { from: [from, { x: 0.5, y: 1 }], to: [to, { x: 0.5, y: 0 }] },
+});
+
+// Text with its top-left corner at (x, y).
+const text = (value, x, y, { fontSize = 20, bold = false } = {}) => {
+    const style = { ...DEFAULT_TEXT_STYLE, fontSize, bold };
+    return { tool: 'text', points: [{ x, y }], text: value, color: INK, lineWidth: 0, ...style, ...measureText(value, style) };
+};
+
+// Text centered on (x, y).
+const centeredText = (value, x, y, options) => {
+    const el = text(value, x, y, options);
+    return { ...el, align: 'center', points: [{ x: x - el.width / 2, y: y - el.height / 2 }] };
+};
+
+// Side-by-side columns with a title and a rule under it.
+const columns = (titles, fills) => titles.flatMap((title, index) => {
+    const x = index * (COLUMN_WIDTH + COLUMN_GAP);
+    return [
+        rectangle(x, 0, COLUMN_WIDTH, COLUMN_HEIGHT, fills[index]),
+        text(title, x + PADDING, PADDING, { fontSize: 24, bold: true }),
+        line(x + PADDING, HEADER_HEIGHT, x + COLUMN_WIDTH - PADDING, HEADER_HEIGHT),
+    ];
+});
+
+const swot = () => {
+    const width = 320;
+    const height = 240;
+    const quadrants = [
+        ['Strengths', '#DCFCE7'],
+        ['Weaknesses', '#FEE2E2'],
+        ['Opportunities', '#DBEAFE'],
+        ['Threats', '#FEF3C7'],
+    ];
+    return [
+        text('SWOT analysis', 0, 0, { fontSize: 32, bold: true }),
+        ...quadrants.flatMap(([title, fill], index) => {
+            const x = (index % 2) * (width + COLUMN_GAP);
+            const y = 60 + Math.floor(index / 2) * (height + COLUMN_GAP);
+            return [rectangle(x, y, width, height, fill), text(title, x + PADDING, y + PADDING, { fontSize: 24, bold: true })];
+        }),
+    ];
+};
+
+const flowchart = () => {
+    const center = 110;
+    return [
+        ellipse(center - 80, 0, 160, 60, '#DCFCE7'),
+        centeredText('Start', center, 30),
+        rectangle(center - 110, 140, 220, 80, '#DBEAFE', 8),
+        centeredText('Do something', center, 180),
+        diamond(center - 100, 300, 200, 120, '#FEF3C7'),
+        centeredText('Decision?', center, 360),
+        ellipse(center - 80, 500, 160, 60, '#FEE2E2'),
+        centeredText('End', center, 530),
+        arrowDown(center, 60, 140, 0, 2),
+        arrowDown(center, 220, 300, 2, 4),
+        arrowDown(center, 420, 500, 4, 6),
+    ];
+};
+
+export const TEMPLATES = [
+    { id: 'kanban', name: 'Kanban', build: () => columns(['To do', 'In progress', 'Done'], ['#F3F4F6', '#DBEAFE', '#DCFCE7']) },
+    { id: 'retro', name: 'Retrospective', build: () => columns(['Went well', 'To improve', 'Action items'], ['#DCFCE7', '#FEF3C7', '#DBEAFE']) },
+    { id: 'swot', name: 'SWOT analysis', build: swot },
+    { id: 'flowchart', name: 'Flowchart', build: flowchart },
+];
+
+// New elements for the template `id`, centered on `center`, on `layer` and
+// stacked above everything in `scene`.
+export const createTemplate = (id, scene, { center, layer }) => {
+    const template = TEMPLATES.find(entry => entry.id === id);
+    const created = [];
+    template.build().forEach(({ connect, ...props }) => {
+        const el = createElement([...scene, ...created], props.tool, { ...props, layer });
+        created.push(connect ? {
+            ...el,
+            startBinding: { id: created[connect.from[0]].id, anchor: connect.from[1] },
+            endBinding: { id: created[connect.to[0]].id, anchor: connect.to[1] },
+        } : el);
+    });
+    const bounds = getSceneBounds(created);
+    const dx = center.x - (bounds.x + bounds.width / 2);
+    const dy = center.y - (bounds.y + bounds.height / 2);
+    return created.map(el => translateElement(el, dx, dy));
+};
@@ -0,0 +1,79 @@
+// Text element styling and measurement.
+//
+// Text elements are anchored at their top-left corner (points[0]) and carry
+// their measured box size so bounds and hit-testing work without a canvas:
+//   { tool: 'text', points: [topLeft], text, fontFamily, fontSize, bold,
+//     italic, align, width, height, color }
+
+export const FONT_FAMILIES = [
+    { label: 'Sans', value: 'Arial, Helvetica, sans-serif' },
+    { label: 'Serif', value: 'Georgia, "Times New Roman", serif' },
+    { label: 'Mono', value: '"Courier New", monospace' },
+    { label: 'Hand', value: '"Comic Sans MS", "Segoe Print", cursive' },
+];
+
+export const FONT_SIZES = [12, 16, 20, 24, 32, 48, 64, 96];
+
+export const DEFAULT_TEXT_STYLE = {
+    fontFamily: FONT_FAMILIES[0].value,
+    fontSize: 24,
+    bold: false,
+    italic: false,
+    align: 'left',
+};
+
+export const LINE_HEIGHT = 1.25;
+
+export const toCssFont = ({ fontSize, fontFamily, bold, italic }) =>
+    `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${fontSize}px ${fontFamily}`;
+
+// Picks the style properties out of a text element.
+export const getTextStyle = ({ fontFamily, fontSize, bold, italic, align }) => ({ fontFamily, fontSize, bold, italic, align });
+
+// x position to pass to fillText for a line, given the text alignment.
+export const alignedX = (el) => {
+    const [origin] = el.points;
+    if (el.align === 'center') return origin.x + el.width / 2;
+    if (el.align === 'right') return origin.x + el.width;
+    return origin.x;
+};
+
+let measureContext = null;
+
+// Measures the box a multi-line text takes up in the given style.
+export const measureText = (text, style) => {
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+    measureContext.font = toCssFont(style);
+    const lines = text.split('\n');
+    const width = Math.max(style.fontSize / 2, ...lines.map(line => measureContext.measureText(line).width));
+    return { width, height: lines.length * style.fontSize * LINE_HEIGHT };
+};
+
+// Breaks text into lines no wider than `maxWidth` in the given style: at
+// spaces where it can, and inside words too long for a line of their own.
+export const wrapText = (text, style, maxWidth) => {
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+    measureContext.font = toCssFont(style);
+    const fits = (line) => measureContext.measureText(line).width <= maxWidth;
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (fits(candidate)) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = word;
+            while (line.length > 1 && !fits(line)) {
+                let end = line.length - 1;
+                while (end > 1 && !fits(line.slice(0, end))) end--;
+                lines.push(line.slice(0, end));
+                line = line.slice(end);
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+};
@@ -0,0 +1,29 @@
+// Light and dark theme of the editor. The choice is kept in localStorage;
+// until one is made, the system setting decides. The dark theme is applied
+// with a `dark` class on <html> (see app/globals.css).
+//
+// The board itself is drawn in the colors stored with it. Each theme only
+// has its own background for new boards and its own default ink.
+
+const THEME_KEY = 'iboard:theme';
+
+export const THEMES = ['light', 'dark'];
+
+export const THEME_COLORS = {
+    light: { background: '#FFFFFF', ink: '#000000' },
+    dark: { background: '#1E1E24', ink: '#FFFFFF' },
+};
+
+export const loadTheme = () => {
+    try {
+        const saved = localStorage.getItem(THEME_KEY);
+        if (THEMES.includes(saved)) return saved;
+    } catch {
+        // Storage may be unavailable, e.g. in private browsing.
+    }
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+};
+
+export const saveTheme = (theme) => localStorage.setItem(THEME_KEY, theme);
+
+export const applyTheme = (theme) => document.documentElement.classList.toggle('dark', theme === 'dark');
@@ -0,0 +1,109 @@
+import { applyOp, diffScenes } from './history';
+
+// A timeline records how a board changed over time so it can be replayed:
+//   { elements, steps: [{ start, end, op }], duration }
+// `elements` is the scene when recording began. Each step is a scene
+// operation (see lib/history.js) with the times, in seconds from the start,
+// at which it began and was finished. Freehand strokes begin when the pen
+// touched down and are drawn out over that time on replay; everything else
+// appears at its `end`.
+
+const FREEHAND_TOOLS = ['pencil', 'eraser'];
+
+// Longest pause, in seconds, kept between two changes in a board's session
+// timeline, so replays skip the time nobody was drawing.
+export const SESSION_MAX_IDLE = 1;
+
+// Most steps kept in a board's session timeline. Older steps are folded
+// into its starting scene, so replays begin from there.
+export const SESSION_MAX_STEPS = 1000;
+
+export const createTimeline = (elements) => ({ elements, steps: [], duration: 0 });
+
+// `steps` moved `offset` seconds earlier.
+const shiftSteps = (steps, offset) => steps.map(step => ({
+    ...step,
+    start: Math.max(0, step.start - offset),
+    end: Math.max(0, step.end - offset),
+}));
+
+// `timeline` with its oldest steps applied to its starting scene until at
+// most `maxSteps` are left. The rest move earlier to start from there.
+export const compactTimeline = (timeline, maxSteps) => {
+    const excess = timeline.steps.length - maxSteps;
+    if (excess <= 0) return timeline;
+    const folded = timeline.steps.slice(0, excess);
+    const offset = folded[folded.length - 1].end;
+    return {
+        elements: folded.reduce((scene, step) => applyOp(scene, step.op), timeline.elements),
+        steps: shiftSteps(timeline.steps.slice(excess), offset),
+        duration: Math.max(0, timeline.duration - offset),
+    };
+};
+
+// Records onto `timeline` from the current scene `elements`, continuing after
+// its last step. Feed it every new scene with `update`; `startStroke` notes
+// when a stroke still being drawn began. Pauses between changes count for at
+// most `maxIdle` seconds, but a stroke always takes as long as it was drawn.
+// Past `maxSteps` steps, the oldest is folded into the starting scene and
+// the rest move earlier, unless `keepTimes` is set, as for a narration that
+// has to stay in time with its audio.
+export const createTimelineRecorder = (timeline, elements, { startedAt = performance.now(), maxIdle = Infinity, maxSteps = Infinity, keepTimes = false } = {}) => {
+    const start = compactTimeline(timeline, maxSteps);
+    const steps = [...start.steps];
+    const strokeStarts = new Map();
+    let keyframe = start.elements;
+    let offset = 0;
+    let clock = { real: startedAt, time: start.duration };
+    let drawing = false;
+    let last = elements;
+
+    const timeAt = (now) => {
+        const elapsed = Math.max(0, (now - clock.real) / 1000);
+        return clock.time + (drawing ? elapsed : Math.min(maxIdle, elapsed));
+    };
+    const advance = (now) => {
+        const time = timeAt(now);
+        clock = { real: now, time };
+        return time;
+    };
+
+    return {
+        startStroke: (id, now = performance.now()) => {
+            strokeStarts.set(id, advance(now));
+            drawing = true;
+        },
+        update: (scene, now = performance.now()) => {
+            const op = diffScenes(last, scene);
+            last = scene;
+            if (!op) return;
+            const end = advance(now);
+            drawing = false;
+            const stroke = op.type === 'add' && op.elements.length === 1 ? strokeStarts.get(op.elements[0].id) : undefined;
+            steps.push({ start: stroke === undefined ? end : Math.min(stroke, end), end, op });
+            if (stroke !== undefined) strokeStarts.delete(op.elements[0].id);
+            if (steps.length > maxSteps) {
+                const oldest = steps.shift();
+                keyframe = applyOp(keyframe, oldest.op);
+                if (!keepTimes) offset = oldest.end;
+            }
+        },
+        finish: (now = performance.now()) => ({ elements: keyframe, steps: shiftSteps(steps, offset), duration: Math.max(0, timeAt(now) - offset) }),
+    };
+};
+
+// The part of a freehand stroke drawn by `time`, as an add operation.
+const partialStroke = ({ start, end, op }, time) => {
+    if (op.type !== 'add' || op.elements.length !== 1 || !FREEHAND_TOOLS.includes(op.elements[0].tool)) return null;
+    const [el] = op.elements;
+    const count = Math.max(1, Math.ceil(el.points.length * (time - start) / (end - start)));
+    return { type: 'add', elements: [{ ...el, points: el.points.slice(0, count) }] };
+};
+
+// The scene as it was `time` seconds into a timeline.
+export const getSceneAt = ({ elements, steps }, time) => steps.reduce((scene, step) => {
+    if (step.end <= time) return applyOp(scene, step.op);
+    if (step.start > time) return scene;
+    const partial = partialStroke(step, time);
+    return partial ? applyOp(scene, partial) : scene;
+}, elements);
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { createTimeline, createTimelineRecorder, compactTimeline, getSceneAt } from './timeline';
+
+const dot = (i) => ({ id: `dot-${i}`, tool: 'rectangle', z: i, points: [{ x: i, y: i }, { x: i + 1, y: i + 1 }] });
+
+// Draws `count` dots one second apart and returns the finished timeline.
+const recordDots = (count, options) => {
+    const recorder = createTimelineRecorder(createTimeline([]), [], { startedAt: 0, ...options });
+    const scene = [];
+    for (let i = 0; i < count; i++) {
+        scene.push(dot(i));
+        recorder.update([...scene], (i + 1) * 1000);
+    }
+    return recorder.finish(count * 1000);
+};
+
+describe('timelines', () => {
+    it('records every change without a step limit', () => {
+        const timeline = recordDots(10);
+        expect(timeline.steps).toHaveLength(10);
+        expect(timeline.duration).toBe(10);
+    });
+
+    it('folds the oldest steps into the starting scene past the step limit', () => {
+        const timeline = recordDots(10, { maxSteps: 4 });
+        expect(timeline.steps).toHaveLength(4);
+        expect(timeline.elements).toEqual([0, 1, 2, 3, 4, 5].map(dot));
+        expect(timeline.steps[0].end).toBe(1);
+        expect(timeline.duration).toBe(4);
+        expect(getSceneAt(timeline, timeline.duration)).toEqual(Array.from({ length: 10 }, (_, i) => dot(i)));
+    });
+
+    it('keeps step times when asked to, for narrations', () => {
+        const timeline = recordDots(10, { maxSteps: 4, keepTimes: true });
+        expect(timeline.steps).toHaveLength(4);
+        expect(timeline.steps[0].end).toBe(7);
+        expect(timeline.duration).toBe(10);
+        expect(getSceneAt(timeline, 0)).toEqual(Array.from({ length: 6 }, (_, i) => dot(i)));
+    });
+
+    it('compacts a stored timeline to the step limit', () => {
+        const full = recordDots(10);
+        const compacted = compactTimeline(full, 3);
+        expect(compacted.steps).toHaveLength(3);
+        expect(compacted.duration).toBe(3);
+        expect(getSceneAt(compacted, 0)).toEqual(getSceneAt(full, 7));
+        expect(getSceneAt(compacted, compacted.duration)).toEqual(getSceneAt(full, full.duration));
+        expect(compactTimeline(full, 20)).toBe(full);
+    });
+});
@@ -0,0 +1,63 @@
+// Viewport onto the unbounded board. A board (world) point p appears on
+// screen at (p - { x, y }) * zoom, so { x, y } is the world point shown at
+// the top-left corner of the canvas.
+
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 8;
+
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, zoom: 1 };
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+export const screenToWorld = (viewport, point) => ({
+    x: point.x / viewport.zoom + viewport.x,
+    y: point.y / viewport.zoom + viewport.y,
+});
+
+export const worldToScreen = (viewport, point) => ({
+    x: (point.x - viewport.x) * viewport.zoom,
+    y: (point.y - viewport.y) * viewport.zoom,
+});
+
+// Moves the viewport by a distance measured in screen pixels.
+export const panBy = (viewport, dx, dy) => ({
+    ...viewport,
+    x: viewport.x - dx / viewport.zoom,
+    y: viewport.y - dy / viewport.zoom,
+});
+
+// Sets the zoom level while keeping the world point under `screenPoint` fixed.
+export const zoomTo = (viewport, zoom, screenPoint) => {
+    const anchor = screenToWorld(viewport, screenPoint);
+    const nextZoom = clampZoom(zoom);
+    return { x: anchor.x - screenPoint.x / nextZoom, y: anchor.y - screenPoint.y / nextZoom, zoom: nextZoom };
+};
+
+// Returns the world rectangle visible on a canvas of the given size.
+export const getVisibleRect = (viewport, { width, height }) => ({
+    x: viewport.x,
+    y: viewport.y,
+    width: width / viewport.zoom,
+    height: height / viewport.zoom,
+});
+
+// Returns a viewport that centers `bounds` on the canvas with some padding.
+export const fitToBounds = (bounds, { width, height }, padding = 40) => {
+    if (!bounds) return DEFAULT_VIEWPORT;
+    const zoom = clampZoom(Math.min(
+        (width - padding * 2) / Math.max(bounds.width, 1),
+        (height - padding * 2) / Math.max(bounds.height, 1),
+    ));
+    return {
+        x: bounds.x + bounds.width / 2 - width / 2 / zoom,
+        y: bounds.y + bounds.height / 2 - height / 2 / zoom,
+        zoom,
+    };
+};
+
+// Centers the viewport on a world point without changing the zoom.
+export const centerOn = (viewport, point, { width, height }) => ({
+    ...viewport,
+    x: point.x - width / 2 / viewport.zoom,
+    y: point.y - height / 2 / viewport.zoom,
+});
@@ -0,0 +1,190 @@
+// Local WebSocket relay for shared boards.
+//
+//   npm run relay              (listens on ws://localhost:4001)
+//   PORT=5000 npm run relay
+//
+// Clients join a named room and send the drawing operations they apply
+// locally; the relay forwards them to everyone else in the room. It also
+// keeps each room's current elements and layers so late joiners start from
+// the board as it is now. Cursor positions and in-progress strokes are only
+// relayed.
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 4001;
+
+const rooms = new Map();
+
+const getRoom = (name) => {
+    if (!rooms.has(name)) rooms.set(name, { elements: new Map(), layers: null, clients: new Map() });
+    return rooms.get(name);
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isPoint = (p) => isObject(p) && Number.isFinite(p.x) && Number.isFinite(p.y);
+
+// The basic shape every client relies on to draw an element; the same
+// checks as isElement in lib/boardFile.js.
+const isElement = (el) => (
+    isObject(el) && typeof el.id === 'string' && typeof el.tool === 'string' && Number.isFinite(el.z) &&
+    Array.isArray(el.points) && el.points.every(isPoint) &&
+    (el.tool !== 'fill' || (isObject(el.region) && Array.isArray(el.region.spans)))
+);
+
+const isElementList = (value) => Array.isArray(value) && value.every(isElement);
+
+const isLayer = (layer) => (
+    isObject(layer) && typeof layer.id === 'string' && typeof layer.name === 'string' &&
+    typeof layer.visible === 'boolean' && typeof layer.locked === 'boolean' && Number.isFinite(layer.opacity)
+);
+
+const isLayerList = (value) => Array.isArray(value) && value.every(isLayer);
+
+// Whether a client message carries a well-formed scene operation, with the
+// fields applyOp and the clients read.
+const isValidOp = (op) => {
+    if (!isObject(op)) return false;
+    switch (op.type) {
+        case 'add':
+        case 'remove':
+            return isElementList(op.elements);
+        case 'update':
+            return isElementList(op.before) && isElementList(op.after);
+        case 'batch':
+            return Array.isArray(op.ops) && op.ops.every(isValidOp);
+        case 'layers':
+            return isLayerList(op.before) && isLayerList(op.after) && op.after.length > 0;
+        default:
+            return false;
+    }
+};
+
+// A stroke being drawn, or null once it is done.
+const isValidDraft = (element) => element === null || isElement(element);
+
+// A cursor position on the board, or null while the pointer is off it.
+const isValidCursor = (position) => position === null || isPoint(position);
+
+const isValidUser = (user) => isObject(user) && typeof user.id === 'string' && typeof user.name === 'string';
+
+// Applies a scene operation (see lib/history.js) to a room's elements and
+// layers.
+const applyOp = (room, op) => {
+    switch (op.type) {
+        case 'add':
+            op.elements.forEach(el => room.elements.set(el.id, el));
+            break;
+        case 'remove':
+            op.elements.forEach(el => room.elements.delete(el.id));
+            break;
+        case 'update':
+            op.after.forEach(el => room.elements.set(el.id, el));
+            break;
+        case 'layers':
+            room.layers = op.after;
+            break;
+        case 'batch':
+            op.ops.forEach(child => applyOp(room, child));
+            break;
+        default:
+            break;
+    }
+};
+
+const broadcast = (room, message, except) => {
+    const data = JSON.stringify(message);
+    for (const socket of room.clients.keys()) {
+        if (socket !== except && socket.readyState === socket.OPEN) socket.send(data);
+    }
+};
+
+const wss = new WebSocketServer({ port: PORT });
+
+wss.on('connection', (socket) => {
+    let room = null;
+    let user = null;
+
+    // A client that sends something the relay cannot use is dropped, so it
+    // cannot corrupt the room or take the relay down for everyone.
+    const reject = (reason) => {
+        console.warn(`Dropping client: ${reason}`);
+        socket.close(1008, reason);
+    };
+
+    socket.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            reject('malformed message');
+            return;
+        }
+        if (!isObject(message)) {
+            reject('malformed message');
+            return;
+        }
+
+        if (message.type === 'join') {
+            if (room) return;
+            if (typeof message.room !== 'string' || !isValidUser(message.user)) {
+                reject('invalid join');
+                return;
+            }
+            room = getRoom(message.room);
+            user = message.user;
+            socket.send(JSON.stringify({
+                type: 'welcome',
+                elements: [...room.elements.values()],
+                layers: room.layers,
+                peers: [...room.clients.values()],
+            }));
+            room.clients.set(socket, user);
+            broadcast(room, { type: 'join', user }, socket);
+            return;
+        }
+        if (!room) {
+            reject('not in a room');
+            return;
+        }
+
+        switch (message.type) {
+            case 'op':
+                if (!isValidOp(message.op)) {
+                    reject('invalid operation');
+                    return;
+                }
+                try {
+                    applyOp(room, message.op);
+                } catch (error) {
+                    reject(`operation failed: ${error.message}`);
+                    return;
+                }
+                broadcast(room, { type: 'op', userId: user.id, op: message.op }, socket);
+                break;
+            case 'draft':
+                if (!isValidDraft(message.element)) {
+                    reject('invalid draft');
+                    return;
+                }
+                broadcast(room, { type: 'draft', userId: user.id, element: message.element }, socket);
+                break;
+            case 'cursor':
+                if (!isValidCursor(message.position)) {
+                    reject('invalid cursor');
+                    return;
+                }
+                broadcast(room, { type: 'cursor', userId: user.id, position: message.position }, socket);
+                break;
+            default:
+                break;
+        }
+    });
+
+    socket.on('close', () => {
+        if (!room) return;
+        room.clients.delete(socket);
+        broadcast(room, { type: 'leave', userId: user.id });
+    });
+});
+
+console.log(`I-Board relay listening on ws://localhost:${PORT}`);